@@ -18,6 +18,63 @@
  * (don't edit existing one) for changes to take effect.
  */
 
+/**
+ * Column headers, in sheet order
+ */
+const HEADERS = [
+  "ID",
+  "Saved At",
+  "Job Posted Time",
+  "Current Location",
+  "Pickup Address",
+  "Pickup Type",
+  "Delivery Stops",
+  "Delivery Stops Metadata",
+  "Stops Count",
+  "Fare Type",
+  "Base Fare ($)",
+  "Additional Stop Fee ($)",
+  "Priority Fee ($)",
+  "Other Surcharges ($)",
+  "Total Surcharges ($)",
+  "Total Fare ($)",
+  "Gross Fare ($)",
+  "Commission ($)",
+  "VAT ($)",
+  "CPF Withholding ($)",
+  "Platform Fee ($)",
+  "Total Deductions ($)",
+  "Net Fare ($)",
+  "Fuel Cost ($)",
+  "Fuel (L)",
+  "Distance to Pickup (km)",
+  "Job Distance (km)",
+  "Total Distance (km)",
+  "Travel to Pickup (min)",
+  "Job Travel Time (min)",
+  "Total Travel Time (min)",
+  "Wait Time (min)",
+  "Total Time (min)",
+  "Net Profit ($)",
+  "Profit/Hour ($)",
+  "Rating",
+  "Job-Only Fuel Cost ($)",
+  "Job-Only Net Profit ($)",
+  "Job-Only Time (min)",
+  "Job-Only Profit/Hour ($)",
+  "Fuel Efficiency (km/L)",
+  "Petrol Price ($)",
+  "Traffic",
+  "Bike Model",
+  "Notes",
+  "Accepted",
+  "Deduction Profile",
+  "Vehicle Cost ($)",
+  "True Net Profit ($)",
+  "True Profit/Hour ($)",
+  "Rating Name",
+];
+
 /**
  * Handle POST requests from the calculator
  */
@@ -35,60 +92,16 @@ function doPost(e) {
 
     // Add headers if this is the first row
     if (sheet.getLastRow() === 0) {
-      const headers = [
-        "ID",
-        "Saved At",
-        "Job Posted Time",
-        "Current Location",
-        "Pickup Address",
-        "Pickup Type",
-        "Delivery Stops",
-        "Delivery Stops Metadata",
-        "Stops Count",
-        "Fare Type",
-        "Base Fare ($)",
-        "Additional Stop Fee ($)",
-        "Priority Fee ($)",
-        "Other Surcharges ($)",
-        "Total Surcharges ($)",
-        "Total Fare ($)",
-        "Gross Fare ($)",
-        "Commission ($)",
-        "VAT ($)",
-        "CPF Withholding ($)",
-        "Platform Fee ($)",
-        "Total Deductions ($)",
-        "Net Fare ($)",
-        "Fuel Cost ($)",
-        "Fuel (L)",
-        "Distance to Pickup (km)",
-        "Job Distance (km)",
-        "Total Distance (km)",
-        "Travel to Pickup (min)",
-        "Job Travel Time (min)",
-        "Total Travel Time (min)",
-        "Wait Time (min)",
-        "Total Time (min)",
-        "Net Profit ($)",
-        "Profit/Hour ($)",
-        "Rating",
-        "Job-Only Fuel Cost ($)",
-        "Job-Only Net Profit ($)",
-        "Job-Only Time (min)",
-        "Job-Only Profit/Hour ($)",
-        "Fuel Efficiency (km/L)",
-        "Petrol Price ($)",
-        "Traffic",
-        "Bike Model",
-        "Notes",
-      ];
-      sheet.appendRow(headers);
+      sheet.appendRow(HEADERS);
 
       // Format header row
-      const headerRange = sheet.getRange(1, 1, 1, headers.length);
+      const headerRange = sheet.getRange(1, 1, 1, HEADERS.length);
       headerRange.setFontWeight("bold");
       headerRange.setBackground("#f97316");
       headerRange.setFontColor("#ffffff");
+    } else if (sheet.getLastColumn() < HEADERS.length) {
+      // Sheets created before newer columns were added
+      sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
     }
 
     // Append the data row
@@ -138,12 +151,18 @@ function doPost(e) {
       data.trafficCondition || "",
       data.bikeModel || "",
       data.notes || "",
+      formatAccepted(data.accepted),
+      data.deductionProfile || "",
+      formatNumber(data.vehicleCost),
+      formatNumber(data.trueNetProfit),
+      formatNumber(data.trueProfitPerHour),
+      data.ratingName || "",
     ];
 
     sheet.appendRow(row);
 
-    // Apply conditional formatting to rating column (column 24)
-    applyRatingFormatting(sheet);
+    // Colour the rating in the rider's own tier colour
+    formatRatingCell(sheet, sheet.getLastRow(), data);
 
     // Return success response
     return createJsonResponse({
@@ -204,47 +223,54 @@ function formatDateTime(isoString) {
 }
 
 /**
- * Apply conditional formatting to the rating column
+ * Store the accept/decline decision as yes, no or blank
  */
-function applyRatingFormatting(sheet) {
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return;
+function formatAccepted(accepted) {
+  if (accepted === true) return "yes";
+  if (accepted === false) return "no";
+  return "";
+}
 
-  const ratingCol = 24; // Column X (Rating)
-  const range = sheet.getRange(2, ratingCol, lastRow - 1, 1);
+/**
+ * Built-in rating colours, for rows sent without one
+ */
+const RATING_COLORS = {
+  excellent: "#059669",
+  good: "#22c55e",
+  okay: "#eab308",
+  poor: "#ef4444",
+};
 
-  // Clear existing rules for this range
-  const rules = sheet.getConditionalFormatRules();
-  const filteredRules = rules.filter((rule) => {
-    const ranges = rule.getRanges();
-    return !ranges.some((r) => r.getColumn() === ratingCol);
-  });
+/**
+ * Colour a row's rating cell with a light tint of its tier colour
+ * Riders set their own tiers, so each row carries its colour rather than
+ * the sheet matching fixed rating names.
+ */
+function formatRatingCell(sheet, rowNumber, data) {
+  const color = data.ratingColor || RATING_COLORS[data.rating];
+  if (!/^#[0-9a-f]{6}$/i.test(color || "")) return;
 
-  // Add new rules
-  const newRules = [
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextContains("excellent")
-      .setBackground("#bbf7d0")
-      .setRanges([range])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextContains("good")
-      .setBackground("#d9f99d")
-      .setRanges([range])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextContains("fair")
-      .setBackground("#fef08a")
-      .setRanges([range])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextContains("poor")
-      .setBackground("#fecaca")
-      .setRanges([range])
-      .build(),
-  ];
+  const ratingCol = HEADERS.indexOf("Rating") + 1;
+  sheet.getRange(rowNumber, ratingCol).setBackground(tintColor(color, 0.7));
+}
 
-  sheet.setConditionalFormatRules([...filteredRules, ...newRules]);
+/**
+ * Mix a hex colour with white
+ */
+function tintColor(hex, amount) {
+  const channels = [1, 3, 5].map((start) =>
+    parseInt(hex.slice(start, start + 2), 16),
+  );
+  return (
+    "#" +
+    channels
+      .map((channel) =>
+        Math.round(channel + (255 - channel) * amount)
+          .toString(16)
+          .padStart(2, "0"),
+      )
+      .join("")
+  );
 }
 
 /**
@@ -275,7 +301,9 @@ function testPost() {
     totalTimeMinutes: 25,
     netProfit: 5.63,
     profitPerHour: 13.51,
-    rating: "fair",
+    rating: "okay",
+    ratingName: "Okay",
+    ratingColor: "#eab308",
     fuelEfficiency: 45,
     petrolPrice: 2.87,
     trafficCondition: "normal",
@@ -0,0 +1,259 @@
+/**
+ * Estimate Accuracy Page
+ * Estimated vs actual travel time, waits and distance from timed jobs,
+ * with one-click recalibration of the rider's settings
+ * @module accuracy
+ */
+
+import { CONFIG, WAIT_TIMES } from "./config.js";
+import {
+  saveConfigOverrides,
+  resetConfigOverrides,
+  getConfigOverrides,
+  getBuiltInCalibration,
+} from "./services/calibration.js";
+import { getTrips } from "./services/history.js";
+import {
+  buildAccuracyReport,
+  getSuggestedOverrides,
+} from "./services/accuracy.js";
+import { showToast } from "./services/sheets.js";
+import { $, showHint, escapeHtml } from "./utils/dom.js";
+import { registerServiceWorker } from "./utils/pwa.js";
+
+let trips = [];
+
+/**
+ * Units for each section
+ * `error` formats an error amount, `setting` formats the calibrated value.
+ */
+const UNITS = {
+  travel: {
+    error: (value) => `${value.toFixed(1)} min`,
+    setting: (value) => `${value} km/h`,
+  },
+  wait: {
+    error: (value) => `${value.toFixed(1)} min`,
+    setting: (value) => `${value} min`,
+  },
+  distance: {
+    error: (value) => `${value.toFixed(2)} km`,
+    setting: (value) => `${value}×`,
+  },
+};
+
+/**
+ * Render the report from the loaded trips
+ */
+function render() {
+  const report = buildAccuracyReport(trips);
+
+  const summary = $("accuracy-summary");
+  if (summary) {
+    summary.textContent = `${report.tripCount} timed job${
+      report.tripCount === 1 ? "" : "s"
+    } on this device`;
+  }
+
+  renderTable("accuracy-travel", report.travelTime, "Traffic", UNITS.travel);
+  renderTable("accuracy-wait", report.wait, "Building", UNITS.wait);
+  renderTable("accuracy-distance", report.distance, "Method", UNITS.distance);
+  renderSuggestions(report);
+}
+
+/**
+ * Render one accuracy table
+ *
+ * @param {string} id - Container ID
+ * @param {import('./services/accuracy.js').AccuracyRow[]} rows
+ * @param {string} groupLabel - Heading for the first column
+ * @param {Object} units - Entry from UNITS
+ */
+function renderTable(id, rows, groupLabel, units) {
+  const container = $(id);
+  if (!container) return;
+
+  if (rows.length === 0) {
+    container.innerHTML = `
+      <div class="history-empty">
+        No timed legs yet. Start the job timer under the results when you
+        accept a job.
+      </div>
+    `;
+    return;
+  }
+
+  const formatBias = (bias) =>
+    `${bias > 0 ? "+" : bias < 0 ? "−" : ""}${units.error(Math.abs(bias))}`;
+
+  container.innerHTML = `
+    <table class="comparison-table dashboard-table">
+      <thead>
+        <tr>
+          <th>${escapeHtml(groupLabel)}</th>
+          <th>Legs</th>
+          <th>Mean error</th>
+          <th>Bias</th>
+          <th>Now</th>
+          <th>Suggested</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (row) => `
+          <tr>
+            <td>${escapeHtml(row.label)}</td>
+            <td>${row.count}</td>
+            <td>${units.error(row.meanError)}</td>
+            <td>${formatBias(row.bias)}</td>
+            <td>${
+              row.current === undefined ? "—" : units.setting(row.current)
+            }</td>
+            <td>${row.suggested ? units.setting(row.suggested) : "—"}</td>
+          </tr>
+        `,
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * List the values that would change and the rider's current overrides
+ * @param {import('./services/accuracy.js').AccuracyReport} report
+ */
+function renderSuggestions(report) {
+  const container = $("accuracy-suggestions");
+  if (!container) return;
+
+  const suggested = getSuggestedOverrides(report);
+  const changes = describeOverrides(suggested);
+  const saved = describeOverrides(getConfigOverrides(), true);
+
+  container.innerHTML = `
+    <p class="section-hint">
+      ${
+        changes.length > 0
+          ? "Applying will change:"
+          : `No changes to suggest. Each group needs at least ${CONFIG.calibration.minSamples} timed legs.`
+      }
+    </p>
+    ${
+      changes.length > 0
+        ? `<ul class="accuracy-list">${changes.join("")}</ul>`
+        : ""
+    }
+    ${
+      saved.length > 0
+        ? `<p class="section-hint">Your calibrated values (built-in in brackets):</p>
+           <ul class="accuracy-list">${saved.join("")}</ul>`
+        : ""
+    }
+  `;
+
+  const applyBtn = $("apply-calibration-btn");
+  if (applyBtn) applyBtn.disabled = changes.length === 0;
+  const resetBtn = $("reset-calibration-btn");
+  if (resetBtn) resetBtn.disabled = saved.length === 0;
+}
+
+/**
+ * Describe calibration values as list items
+ *
+ * @param {import('./services/calibration.js').ConfigOverrides} overrides
+ * @param {boolean} [withBuiltIn=false] - Show the built-in value beside each
+ * @returns {string[]} HTML list items
+ */
+function describeOverrides(overrides, withBuiltIn = false) {
+  const builtIn = getBuiltInCalibration();
+  const item = (label, value, format, original) =>
+    `<li>${escapeHtml(label)}: ${format(value)}${
+      withBuiltIn ? ` (${format(original)})` : ""
+    }</li>`;
+
+  return [
+    ...Object.entries(overrides.trafficSpeeds || {}).map(([key, value]) =>
+      item(
+        `${CONFIG.traffic.conditions[key]?.label || key} speed`,
+        value,
+        UNITS.travel.setting,
+        builtIn.trafficSpeeds[key],
+      ),
+    ),
+    ...Object.entries(overrides.waitMinutes || {}).map(([key, value]) =>
+      item(
+        `${WAIT_TIMES[key]?.label || key} wait`,
+        value,
+        UNITS.wait.setting,
+        builtIn.waitMinutes[key],
+      ),
+    ),
+    ...(overrides.roadDistanceFactor
+      ? [
+          item(
+            "Road-distance factor",
+            overrides.roadDistanceFactor,
+            UNITS.distance.setting,
+            builtIn.roadDistanceFactor,
+          ),
+        ]
+      : []),
+  ];
+}
+
+/**
+ * Save the suggested values to the rider's settings
+ */
+function handleApply() {
+  const overrides = getSuggestedOverrides(buildAccuracyReport(trips));
+  if (Object.keys(overrides).length === 0) return;
+
+  saveConfigOverrides(overrides);
+  render();
+  showHint(
+    "calibration-hint",
+    "Applied. New calculations use these values.",
+    "success",
+  );
+}
+
+/**
+ * Go back to the built-in values
+ */
+function handleReset() {
+  if (!confirm("Go back to the built-in speeds, waits and distance factor?")) {
+    return;
+  }
+
+  resetConfigOverrides();
+  render();
+  showHint("calibration-hint", "Back to the built-in values.");
+}
+
+/**
+ * Initialize accuracy page
+ */
+async function init() {
+  registerServiceWorker();
+
+  $("apply-calibration-btn")?.addEventListener("click", handleApply);
+  $("reset-calibration-btn")?.addEventListener("click", handleReset);
+
+  try {
+    trips = await getTrips();
+  } catch (error) {
+    console.error("Could not load trip history:", error);
+    showToast("Trip history is unavailable in this browser", "error");
+  }
+
+  render();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
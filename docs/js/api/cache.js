@@ -0,0 +1,101 @@
+/**
+ * OneMap Response Cache
+ * Keeps past geocode and route responses in IndexedDB so repeat
+ * lookups still work without signal
+ * @module api/cache
+ */
+
+import { STORES, dbGet, dbPut } from "../utils/db.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {*} data - The stored API response
+ * @property {number} cachedAt - Timestamp (ms) when it was stored
+ * @property {boolean} isFresh - True if younger than the max age
+ */
+
+/**
+ * Look up a cached response
+ * Cache failures are treated as a miss so they never block a lookup.
+ *
+ * @param {string} key - Cache key from one of the key builders
+ * @param {number} maxAgeDays - Age after which the entry counts as stale
+ * @returns {Promise<CachedResponse|null>}
+ */
+export async function getCachedResponse(key, maxAgeDays) {
+  try {
+    const entry = await dbGet(STORES.onemapCache, key);
+    if (!entry) return null;
+
+    return {
+      data: entry.data,
+      cachedAt: entry.cachedAt,
+      isFresh: Date.now() - entry.cachedAt < maxAgeDays * DAY_MS,
+    };
+  } catch (error) {
+    console.warn("OneMap cache unavailable:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a response for later offline use
+ *
+ * @param {string} key
+ * @param {*} data - JSON-serialisable API response
+ * @returns {Promise<void>}
+ */
+export async function cacheResponse(key, data) {
+  try {
+    await dbPut(STORES.onemapCache, { key, data, cachedAt: Date.now() });
+  } catch (error) {
+    console.warn("Could not cache OneMap response:", error.message);
+  }
+}
+
+/**
+ * Cache key for an address search
+ * @param {string} searchTerm
+ * @returns {string}
+ */
+export function searchCacheKey(searchTerm) {
+  return `search:${searchTerm.trim().toUpperCase().replace(/\s+/g, " ")}`;
+}
+
+/**
+ * Cache key for a route between two points
+ * Coordinates are rounded to ~1m so repeat geocodes hit the same entry
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @returns {string}
+ */
+export function routeCacheKey(start, end) {
+  return `route:${formatPoint(start, 5)}>${formatPoint(end, 5)}`;
+}
+
+/**
+ * Cache key for a reverse geocode
+ * Rounded to ~10m, well inside the 50m search buffer
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function reverseGeocodeCacheKey(lat, lng) {
+  return `revgeo:${formatPoint({ lat, lng }, 4)}`;
+}
+
+/**
+ * Format a point for use in a cache key
+ * @param {Object} point - { lat, lng }
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatPoint(point, decimals) {
+  return `${Number(point.lat).toFixed(decimals)},${Number(point.lng).toFixed(
+    decimals,
+  )}`;
+}
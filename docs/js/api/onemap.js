@@ -5,6 +5,13 @@
  */
 
 import { CONFIG } from "../config.js";
+import {
+  getCachedResponse,
+  cacheResponse,
+  searchCacheKey,
+  routeCacheKey,
+  reverseGeocodeCacheKey,
+} from "./cache.js";
 
 const { baseUrl, tokenKey, tokenExpiryKey } = CONFIG.api.onemap;
 
@@ -299,15 +306,67 @@ export function clearToken() {
   localStorage.removeItem(tokenExpiryKey);
 }
 
+/**
+ * Serve a OneMap response from the offline cache when possible
+ * Fresh entries skip the network entirely. Stale entries are refreshed,
+ * but still used if the request fails (no signal, no token, API down).
+ *
+ * @param {string} key - Cache key
+ * @param {number} maxAgeDays - How long an entry stays fresh
+ * @param {Function} request - Performs the live API request
+ * @returns {Promise<*>} API response data
+ */
+async function withOfflineCache(key, maxAgeDays, request) {
+  const cached = await getCachedResponse(key, maxAgeDays);
+  if (cached?.isFresh) return cached.data;
+
+  try {
+    const data = await request();
+    await cacheResponse(key, data);
+    return data;
+  } catch (error) {
+    if (!cached) throw error;
+
+    console.warn(
+      `OneMap request failed, using cached response from ${new Date(
+        cached.cachedAt,
+      ).toLocaleDateString()}:`,
+      error.message,
+    );
+    return cached.data;
+  }
+}
+
 /**
  * Search for an address and return location data
- * This endpoint doesn't require authentication
+ * This endpoint doesn't require authentication.
+ * Results are cached for offline use, unless the caller opts out (as
+ * autocomplete does, so every typed prefix isn't stored).
  *
  * @param {string} searchTerm - Address, postal code, or building name
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Read and store the offline cache
  * @returns {Promise<Array>} Array of location results
  * @throws {OneMapError} If search fails or no results found
  */
-export async function searchAddress(searchTerm) {
+export async function searchAddress(searchTerm, { cache = true } = {}) {
+  if (!cache) return requestSearch(searchTerm);
+
+  return withOfflineCache(
+    searchCacheKey(searchTerm),
+    CONFIG.cache.searchMaxAgeDays,
+    () => requestSearch(searchTerm),
+  );
+}
+
+/**
+ * Live address search request
+ *
+ * @param {string} searchTerm
+ * @returns {Promise<Array>}
+ * @throws {OneMapError}
+ */
+async function requestSearch(searchTerm) {
   const url = new URL(`${baseUrl}/common/elastic/search`);
   url.searchParams.set("searchVal", searchTerm);
   url.searchParams.set("returnGeom", "Y");
@@ -338,7 +397,7 @@ export async function searchAddress(searchTerm) {
 
 /**
  * Get route between two points
- * Requires authentication token
+ * Requires authentication token, except for routes already cached
  *
  * @param {Object} start - Starting point { lat, lng }
  * @param {Object} end - Ending point { lat, lng }
@@ -347,6 +406,23 @@ export async function searchAddress(searchTerm) {
  * @throws {OneMapError} If routing fails
  */
 export async function getRoute(start, end, token = null) {
+  return withOfflineCache(
+    routeCacheKey(start, end),
+    CONFIG.cache.routeMaxAgeDays,
+    () => requestRoute(start, end, token),
+  );
+}
+
+/**
+ * Live routing request
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {string} [token]
+ * @returns {Promise<Object>}
+ * @throws {OneMapError}
+ */
+async function requestRoute(start, end, token) {
   const authToken = token || getStoredToken();
 
   if (!authToken) {
@@ -507,6 +583,41 @@ export function calculateStraightLineDistance(start, end) {
   return R * c;
 }
 
+/**
+ * Decode a route geometry from the routing API
+ * OneMap returns it as an encoded polyline (precision 5).
+ *
+ * @param {string} encoded
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export function decodeRouteGeometry(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  // Each coordinate is a zigzag-encoded delta in 5-bit chunks
+  const readDelta = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readDelta();
+    lng += readDelta();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
 /**
  * Convert degrees to radians
  * @param {number} deg
@@ -527,7 +638,7 @@ export function isTokenFormatValid(token) {
 
 /**
  * Reverse geocode coordinates to get address
- * Uses OneMap's reverse geocoding endpoint
+ * Uses OneMap's reverse geocoding endpoint, with an offline cache
  *
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
@@ -535,6 +646,22 @@ export function isTokenFormatValid(token) {
  * @throws {OneMapError} If reverse geocoding fails
  */
 export async function reverseGeocode(lat, lng) {
+  return withOfflineCache(
+    reverseGeocodeCacheKey(lat, lng),
+    CONFIG.cache.reverseGeocodeMaxAgeDays,
+    () => requestReverseGeocode(lat, lng),
+  );
+}
+
+/**
+ * Live reverse geocode request
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>}
+ * @throws {OneMapError}
+ */
+async function requestReverseGeocode(lat, lng) {
   const url = new URL(`${baseUrl}/public/revgeocodexy`);
   url.searchParams.set("location", `${lat},${lng}`);
   url.searchParams.set("buffer", "50"); // 50m buffer for nearby addresses
@@ -0,0 +1,137 @@
+/**
+ * Route Server Client
+ * Routes through a self-hosted server speaking the OSRM or GraphHopper
+ * HTTP API, for riders whose OneMap account can't route
+ * @module api/route-server
+ */
+
+import { CONFIG } from "../config.js";
+import { decodeRouteGeometry } from "./onemap.js";
+
+/**
+ * @typedef {Object} ServerRoute
+ * @property {number} distanceKm
+ * @property {number} timeMinutes - Server's travel time, before traffic
+ * @property {Array<{lat: number, lng: number}>|null} geometry - Path, if
+ *   the server sent one
+ */
+
+/**
+ * Custom error for route server failures
+ */
+export class RouteServerError extends Error {
+  constructor(message, statusCode = null) {
+    super(message);
+    this.name = "RouteServerError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Build the request URL for a server's API
+ * Both APIs use 5-digit encoded polylines, the same as OneMap.
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {{url: string, format: string}} server
+ * @returns {URL}
+ */
+function buildRouteUrl(start, end, { url, format }) {
+  const base = url.replace(/\/+$/, "");
+  const { profile } = CONFIG.routing.serverFormats[format];
+
+  if (format === "graphhopper") {
+    const requestUrl = new URL(`${base}/route`);
+    requestUrl.searchParams.append("point", `${start.lat},${start.lng}`);
+    requestUrl.searchParams.append("point", `${end.lat},${end.lng}`);
+    requestUrl.searchParams.set("profile", profile);
+    requestUrl.searchParams.set("points_encoded", "true");
+    return requestUrl;
+  }
+
+  // OSRM takes lng,lat pairs in the path
+  const requestUrl = new URL(
+    `${base}/route/v1/${profile}/${start.lng},${start.lat};${end.lng},${end.lat}`,
+  );
+  requestUrl.searchParams.set("overview", "full");
+  requestUrl.searchParams.set("geometries", "polyline");
+  return requestUrl;
+}
+
+/**
+ * Read distance, time and path from a server's response
+ *
+ * @param {Object} data - Parsed JSON response
+ * @param {string} format - 'osrm' or 'graphhopper'
+ * @returns {ServerRoute}
+ * @throws {RouteServerError} If the response has no route
+ */
+function parseRoute(data, format) {
+  if (format === "graphhopper") {
+    const path = data?.paths?.[0];
+    if (!path) {
+      throw new RouteServerError(data?.message || "No route found");
+    }
+    return {
+      distanceKm: path.distance / 1000,
+      timeMinutes: path.time / 60000,
+      geometry: path.points ? decodeRouteGeometry(path.points) : null,
+    };
+  }
+
+  const route = data?.routes?.[0];
+  if (data?.code !== "Ok" || !route) {
+    throw new RouteServerError(data?.message || data?.code || "No route found");
+  }
+  return {
+    distanceKm: route.distance / 1000,
+    timeMinutes: route.duration / 60,
+    geometry: route.geometry ? decodeRouteGeometry(route.geometry) : null,
+  };
+}
+
+/**
+ * Route between two points on a self-hosted server
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {{url: string, format: string}} server - Address and API of the server
+ * @returns {Promise<ServerRoute>}
+ * @throws {RouteServerError}
+ */
+export async function requestServerRoute(start, end, server) {
+  let response;
+  try {
+    response = await fetch(buildRouteUrl(start, end, server), {
+      method: "GET",
+      signal: AbortSignal.timeout(CONFIG.routing.timeoutMs),
+    });
+  } catch (error) {
+    throw new RouteServerError(
+      error.name === "TimeoutError"
+        ? "Route server didn't answer in time"
+        : `Network error: ${error.message}`,
+    );
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    // Not JSON; reported below by status or as an invalid response
+  }
+
+  if (!response.ok) {
+    throw new RouteServerError(
+      `Route server request failed: ${
+        data?.message || response.statusText || response.status
+      }`,
+      response.status,
+    );
+  }
+  if (!data) {
+    throw new RouteServerError("Invalid route server response");
+  }
+
+  return parseRoute(data, server.format);
+}
@@ -12,49 +12,316 @@ export const CONFIG = {
     },
   },
 
+  // Offline cache of OneMap responses (IndexedDB)
+  // Entries older than this are refreshed when online, but still used offline
+  cache: {
+    searchMaxAgeDays: 90,
+    routeMaxAgeDays: 30,
+    reverseGeocodeMaxAgeDays: 90,
+  },
+
   defaults: {
     petrolPrice: 2.87,
     pickupWaitMinutes: 6,
-    averageSpeedKmH: 25, // Fallback if API fails
+    averageSpeedKmH: 25, // Speed factor 1 in the traffic profile
+    roadDistanceFactor: 1.4, // Road vs straight-line distance when the route API fails
   },
 
   limits: {
     maxStops: 10,
+    minOrders: 2, // Compare mode needs at least two candidates
+    maxOrders: 5,
     minFare: 0,
     maxFare: 500,
+    maxTargetRate: 100, // $/hour, for the required fare mode
   },
 
   // Lalamove fare deductions (Singapore)
   // The offered fare includes the platform fee offset
   // Commission and VAT are calculated on base fare (gross fare - platform fee)
+  // Built-in profile; riders can add dated profiles (see services/deductions.js)
   fareDeductions: {
     commissionRate: 0.15, // 15% commission on base fare
     vatRate: 0.09, // 9% GST/VAT for Singapore
-    cpfWithholdingRate: 0.0, // Platform Worker's Act CPF (set to 0 if not yet applicable)
+    cpfWithholdingRate: 0.0, // Flat CPF rate, used only when the rider hasn't set up CPF (see cpf below)
     platformFeeOffset: 0.5, // $0.50 already included in offered fare
   },
 
+  // Rider-defined deduction profiles (localStorage, read synchronously)
+  deductionProfiles: {
+    storageKey: "lalamove_deduction_profiles",
+    maxPlatformFee: 10,
+  },
+
+  // Rider profiles: bike, petrol, home base and targets (localStorage)
+  // With none saved, a default profile is built from the values here
+  riderProfiles: {
+    storageKey: "lalamove_rider_profiles",
+    activeKey: "lalamove_active_rider_profile",
+    defaultBikeModel: "ybr125",
+    defaultPetrolGrade: "95",
+    maxRatingTiers: 8, // Including the four built-in tiers
+    // Tiers every profile keeps, highest first; the rest of the app relies
+    // on them (the "Good" target, the "Okay" minimum)
+    builtInTiers: ["excellent", "good", "okay", "poor"],
+  },
+
+  // Platform Workers Act CPF (from 2025)
+  // Contributions are on net earnings (base fare), at the employee and
+  // employer rates for the rider's age band, phased in by year.
+  // Check cpf.gov.sg for the published rates and ceilings.
+  cpf: {
+    storageKey: "lalamove_cpf_settings",
+    mandatoryBornFrom: 1995, // Riders born earlier may opt in
+    minBirthYear: 1940,
+    startYear: 2025,
+    // Share of the full rates that applies each year (last entry carries on)
+    phaseIn: { 2025: 0.2, 2026: 0.4, 2027: 0.6, 2028: 0.8, 2029: 1 },
+    // Full rates by age reached in the job's year
+    ageBands: [
+      { maxAge: 55, workerRate: 0.2, platformRate: 0.17 },
+      { maxAge: 60, workerRate: 0.18, platformRate: 0.16 },
+      { maxAge: 65, workerRate: 0.125, platformRate: 0.125 },
+      { maxAge: 70, workerRate: 0.075, platformRate: 0.09 },
+      { maxAge: Infinity, workerRate: 0.05, platformRate: 0.075 },
+    ],
+    // Monthly earnings ceiling by year (last entry carries on)
+    monthlyCeiling: { 2025: 7400, 2026: 8000 },
+  },
+
+  // Ownership costs beyond fuel (entered by the rider in Settings)
+  // Wear items are spread over the km they last; yearly costs over the
+  // hours the rider works in a year
+  vehicleCosts: {
+    storageKey: "lalamove_vehicle_costs",
+    defaultHoursPerWeek: 40,
+    maxHoursPerWeek: 100,
+    items: {
+      tyres: {
+        label: "Tyres",
+        icon: "🛞",
+        basis: "distance",
+        costLabel: "Set cost ($)",
+        spanLabel: "Lasts (km)",
+      },
+      servicing: {
+        label: "Servicing",
+        icon: "🔧",
+        basis: "distance",
+        costLabel: "Per service ($)",
+        spanLabel: "Every (km)",
+      },
+      chain: {
+        label: "Chain & sprockets",
+        icon: "⛓️",
+        basis: "distance",
+        costLabel: "Set cost ($)",
+        spanLabel: "Lasts (km)",
+      },
+      depreciation: {
+        label: "Depreciation",
+        icon: "📉",
+        basis: "time",
+        costLabel: "Bike price less resale ($)",
+        spanLabel: "Kept for (years)",
+      },
+      coe: {
+        label: "COE",
+        icon: "📜",
+        basis: "time",
+        costLabel: "COE price ($)",
+        spanLabel: "Years left",
+      },
+      insurance: {
+        label: "Insurance",
+        icon: "🛡️",
+        basis: "time",
+        costLabel: "Per year ($)",
+      },
+      roadTax: {
+        label: "Road tax",
+        icon: "🧾",
+        basis: "time",
+        costLabel: "Per year ($)",
+      },
+    },
+  },
+
+  // Wait times learned from the rider's own deliveries (IndexedDB)
+  // The building-type default counts as priorWeight samples, so one
+  // unusual wait doesn't swing the estimate
+  waitLearning: {
+    priorWeight: 2,
+    maxSamples: 20, // Most recent waits kept per address
+    maxWaitMinutes: 120,
+  },
+
+  // Best/worst case $/hour (see calculateProfitability)
+  // Share of travel time a job can run either side of the estimate, by
+  // each leg's traffic condition; legs without a OneMap route add estimatedRouteSpread.
+  // Wait spreads come from getEstimateConfidence() in services/wait-time.js
+  uncertainty: {
+    travelSpread: { light: 0.1, normal: 0.2, heavy: 0.3 },
+    estimatedRouteSpread: 0.25,
+  },
+
+  // Busy-time wait rules (localStorage, read synchronously)
+  // Each matching rule adds its minutes to a stop's wait, by the job's
+  // Singapore day and hour
+  waitRules: {
+    storageKey: "lalamove_wait_rules",
+    maxRules: 12,
+    maxExtraMinutes: 30,
+    maxReasonLength: 60,
+  },
+
+  // On-job timer (state kept in localStorage across reloads)
+  jobTimer: {
+    storageKey: "lalamove_job_timer",
+    maxGpsAccuracyMeters: 50, // Fixes less accurate than this are skipped
+    minGpsStepMeters: 10, // Smaller moves are treated as GPS jitter
+  },
+
+  // Routing providers, tried in the rider's order before falling back to
+  // a straight-line estimate (settings kept in localStorage)
+  routing: {
+    storageKey: "lalamove_routing_providers",
+    providers: {
+      onemap: { label: "OneMap", icon: "🗺️" },
+      server: { label: "Route server", icon: "🖥️" },
+    },
+    // APIs a self-hosted route server can speak, with the routing profile
+    // requested from each
+    serverFormats: {
+      osrm: { label: "OSRM", profile: "driving" },
+      graphhopper: { label: "GraphHopper", profile: "car" },
+    },
+    timeoutMs: 8000, // A server that doesn't answer moves on to the next provider
+    matrixConcurrency: 4, // Pairs routed at once by the stop order check
+    // Raffles Place to Woodlands, for testing a provider from settings
+    testRoute: [
+      { lat: 1.2841, lng: 103.8515 },
+      { lat: 1.4369, lng: 103.7864 },
+    ],
+  },
+
+  // Route map preview under the results (OneMap basemap tiles)
+  routeMap: {
+    tileUrl: "https://www.onemap.gov.sg/maps/tiles/Default/{z}/{x}/{y}.png",
+    tileSize: 256,
+    minZoom: 11,
+    maxZoom: 18,
+    attribution: "OneMap © contributors | Singapore Land Authority",
+  },
+
+  // As-you-type address suggestions (OneMap search)
+  autocomplete: {
+    minChars: 3,
+    debounceMs: 300,
+    maxSuggestions: 6,
+  },
+
+  // Recalibration from timed jobs (overrides kept in localStorage)
+  calibration: {
+    storageKey: "lalamove_config_overrides",
+    minSamples: 3, // Fewer timed legs than this aren't enough to suggest a value
+  },
+
+  // What-if panel slider ranges (widened to fit the job's own values)
+  whatIf: {
+    petrolPrice: { min: 2.0, max: 4.0, step: 0.01 },
+    maxStopWaitMinutes: 30,
+    fareStep: 0.01, // Cent steps so the offered fare is always on the slider
+    chartPoints: 41,
+  },
+
   // Lalamove multi-stop pricing (Singapore, Motorcycle)
   multiStop: {
     additionalStopFare: 3.0, // $3 per additional stop (part of gross fare)
   },
 
   traffic: {
+    // What the rider can pick for a whole job, and the bands legs are
+    // labelled with. Speeds are recalibrated from timed jobs.
     conditions: {
       light: { label: "Light Traffic", speedKmH: 35, icon: "🟢" },
       normal: { label: "Normal Traffic", speedKmH: 25, icon: "🟡" },
       heavy: { label: "Heavy Traffic", speedKmH: 15, icon: "🔴" },
     },
-    // Singapore time (UTC+8) peak hours
-    peakHours: {
-      morning: { start: 7, end: 10 }, // 7am-10am
-      evening: { start: 17, end: 20 }, // 5pm-8pm
-    },
-    // Moderate traffic hours
-    moderateHours: {
-      midday: { start: 11, end: 14 }, // 11am-2pm (lunch)
-      afternoon: { start: 14, end: 17 }, // 2pm-5pm
+    // Speed factor by Singapore hour (index 0-23), relative to
+    // defaults.averageSpeedKmH, which OneMap's travel times are taken to assume
+    hourlyProfiles: {
+      weekday: [
+        1.4, 1.4, 1.4, 1.4, 1.4, 1.3, 1.1, 0.65, 0.6, 0.75, 1.0, 0.95, 0.9,
+        0.95, 1.0, 0.95, 0.85, 0.65, 0.6, 0.75, 1.0, 1.15, 1.25, 1.35,
+      ],
+      // Weekend getaways and the Causeway make Friday evenings worse
+      friday: [
+        1.4, 1.4, 1.4, 1.4, 1.4, 1.3, 1.1, 0.65, 0.6, 0.75, 1.0, 0.95, 0.9,
+        0.95, 1.0, 0.95, 0.8, 0.6, 0.55, 0.65, 0.85, 1.0, 1.15, 1.3,
+      ],
+      // No commuter peaks; busy from late morning as people head out
+      saturday: [
+        1.35, 1.4, 1.4, 1.4, 1.4, 1.4, 1.35, 1.25, 1.15, 1.05, 1.0, 0.9, 0.85,
+        0.85, 0.9, 0.9, 0.85, 0.8, 0.8, 0.85, 0.95, 1.05, 1.2, 1.3,
+      ],
+      sunday: [
+        1.35, 1.4, 1.4, 1.4, 1.4, 1.4, 1.4, 1.35, 1.25, 1.1, 1.0, 0.95, 0.9,
+        0.9, 0.95, 0.95, 0.9, 0.85, 0.85, 0.9, 1.0, 1.1, 1.25, 1.35,
+      ],
     },
+    // Profile for each day of the week, Sunday first. Public holidays
+    // use Sunday's.
+    dayProfiles: [
+      "sunday",
+      "weekday",
+      "weekday",
+      "weekday",
+      "weekday",
+      "friday",
+      "saturday",
+    ],
+    // Congested areas, slower than the hour's speed while a window applies.
+    // Boxes are [south, west, north, east]; expressway stretches are
+    // covered by a few boxes each, so nearby roads count too.
+    areas: [
+      {
+        id: "cbd",
+        label: "CBD",
+        boxes: [[1.272, 103.842, 1.302, 103.862]],
+        windows: [
+          { days: [1, 2, 3, 4, 5], startHour: 7, endHour: 10, factor: 0.75 },
+          { days: [1, 2, 3, 4, 5], startHour: 10, endHour: 17, factor: 0.85 },
+          { days: [1, 2, 3, 4, 5], startHour: 17, endHour: 20, factor: 0.7 },
+        ],
+      },
+      {
+        id: "causeway",
+        label: "Woodlands Causeway approach",
+        boxes: [[1.43, 103.755, 1.46, 103.785]],
+        windows: [
+          { days: [1, 2, 3, 4, 5], startHour: 5, endHour: 9, factor: 0.5 },
+          { days: [1, 2, 3, 4], startHour: 17, endHour: 20, factor: 0.6 },
+          { days: [5], startHour: 16, endHour: 23, factor: 0.4 },
+          { days: [6], startHour: 6, endHour: 13, factor: 0.5 },
+          { days: [0], startHour: 16, endHour: 24, factor: 0.5 },
+        ],
+      },
+      {
+        id: "pie-cte",
+        label: "PIE/CTE",
+        boxes: [
+          [1.3, 103.836, 1.345, 103.864], // CTE, city to Braddell
+          [1.345, 103.84, 1.385, 103.862], // CTE, Braddell to Ang Mo Kio
+          [1.326, 103.77, 1.342, 103.836], // PIE, Adam Road to Thomson
+          [1.326, 103.864, 1.342, 103.91], // PIE, Toa Payoh to Eunos
+        ],
+        windows: [
+          { days: [1, 2, 3, 4, 5], startHour: 7, endHour: 10, factor: 0.7 },
+          { days: [1, 2, 3, 4, 5], startHour: 17, endHour: 20, factor: 0.7 },
+        ],
+      },
+    ],
   },
 };
 
@@ -76,6 +343,16 @@ export const BIKE_MODELS = [
   { id: "custom", name: "Custom / Other", efficiency: null },
 ];
 
+/**
+ * Petrol grades a rider can price their fill-ups at
+ */
+export const PETROL_GRADES = [
+  { id: "92", name: "92 Octane" },
+  { id: "95", name: "95 Octane" },
+  { id: "98", name: "98 Octane" },
+  { id: "premium", name: "Premium" },
+];
+
 /**
  * Wait time estimates by building type (in minutes)
  * Based on typical Singapore delivery experience:
@@ -122,6 +399,51 @@ export const WAIT_TIMES = {
   },
 };
 
+/**
+ * Built-in busy-time wait rules
+ * Days are 0 (Sunday) to 6 (Saturday), with public holidays counting as
+ * Sunday; hours run from startHour up to, but not including, endHour.
+ * The rider can edit these in Settings.
+ */
+export const DEFAULT_WAIT_RULES = [
+  {
+    id: "office-rush",
+    buildingType: "office",
+    days: [1, 2, 3, 4, 5],
+    startHour: 17,
+    endHour: 19,
+    minutes: 3,
+    reason: "Office rush hour - busy lifts",
+  },
+  {
+    id: "mall-lunch",
+    buildingType: "mall",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    startHour: 11,
+    endHour: 14,
+    minutes: 2,
+    reason: "Peak dining hours",
+  },
+  {
+    id: "mall-dinner",
+    buildingType: "mall",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    startHour: 17,
+    endHour: 21,
+    minutes: 2,
+    reason: "Peak dining hours",
+  },
+  {
+    id: "condo-dinner",
+    buildingType: "condo",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    startHour: 17,
+    endHour: 21,
+    minutes: 2,
+    reason: "Residents returning home",
+  },
+];
+
 /**
  * Links to check current petrol prices in Singapore
  */
@@ -135,63 +457,73 @@ export const PETROL_LINKS = [
 
 /**
  * Profitability rating thresholds ($/hour)
- * Based on Singapore minimum wage considerations and opportunity cost
+ * Based on Singapore minimum wage considerations and opportunity cost.
+ * Highest first. The active rider profile replaces these with its own
+ * tiers (see services/rider-profiles.js); excellent, good, okay and poor
+ * are always present.
  */
 export const PROFIT_THRESHOLDS = {
-  excellent: { min: 20, color: "#059669", label: "🔥 Excellent", emoji: "🔥" },
-  good: { min: 15, color: "#22c55e", label: "✅ Good", emoji: "✅" },
-  okay: { min: 10, color: "#eab308", label: "⚠️ Okay", emoji: "⚠️" },
-  poor: { min: 0, color: "#ef4444", label: "❌ Poor", emoji: "❌" },
+  excellent: {
+    min: 20,
+    color: "#059669",
+    label: "🔥 Excellent",
+    name: "Excellent",
+    emoji: "🔥",
+  },
+  good: {
+    min: 15,
+    color: "#22c55e",
+    label: "✅ Good",
+    name: "Good",
+    emoji: "✅",
+  },
+  okay: {
+    min: 10,
+    color: "#eab308",
+    label: "⚠️ Okay",
+    name: "Okay",
+    emoji: "⚠️",
+  },
+  poor: {
+    min: 0,
+    color: "#ef4444",
+    label: "❌ Poor",
+    name: "Poor",
+    emoji: "❌",
+  },
 };
 
 /**
- * Detect traffic condition based on current Singapore time
- * Returns 'heavy' during peak hours, 'normal' during moderate hours, 'light' otherwise
- *
- * @returns {string} Traffic condition key: 'light', 'normal', or 'heavy'
+ * Singapore public holidays (gazetted by MOM), by date
+ * Includes the Mondays given in lieu of holidays falling on a Sunday.
+ * Add each year's dates once they're announced; years not listed only
+ * treat weekends as rest days.
  */
-export function detectTrafficCondition() {
-  // Get current hour in Singapore (UTC+8)
-  const now = new Date();
-  const singaporeHour = new Date(
-    now.toLocaleString("en-US", { timeZone: "Asia/Singapore" }),
-  ).getHours();
-
-  const { peakHours, moderateHours } = CONFIG.traffic;
-
-  // Check peak hours (heavy traffic)
-  if (
-    (singaporeHour >= peakHours.morning.start &&
-      singaporeHour < peakHours.morning.end) ||
-    (singaporeHour >= peakHours.evening.start &&
-      singaporeHour < peakHours.evening.end)
-  ) {
-    return "heavy";
-  }
-
-  // Check moderate hours (normal traffic)
-  if (
-    (singaporeHour >= moderateHours.midday.start &&
-      singaporeHour < moderateHours.midday.end) ||
-    (singaporeHour >= moderateHours.afternoon.start &&
-      singaporeHour < moderateHours.afternoon.end)
-  ) {
-    return "normal";
-  }
-
-  // Off-peak (light traffic)
-  return "light";
-}
-
-/**
- * Get traffic speed based on condition
- *
- * @param {string} condition - Traffic condition key
- * @returns {number} Speed in km/h
- */
-export function getTrafficSpeed(condition) {
-  return (
-    CONFIG.traffic.conditions[condition]?.speedKmH ??
-    CONFIG.defaults.averageSpeedKmH
-  );
-}
+export const PUBLIC_HOLIDAYS = {
+  "2025-01-01": "New Year's Day",
+  "2025-01-29": "Chinese New Year",
+  "2025-01-30": "Chinese New Year",
+  "2025-03-31": "Hari Raya Puasa",
+  "2025-04-18": "Good Friday",
+  "2025-05-01": "Labour Day",
+  "2025-05-03": "Polling Day",
+  "2025-05-12": "Vesak Day",
+  "2025-06-07": "Hari Raya Haji",
+  "2025-08-09": "National Day",
+  "2025-10-20": "Deepavali",
+  "2025-12-25": "Christmas Day",
+  "2026-01-01": "New Year's Day",
+  "2026-02-17": "Chinese New Year",
+  "2026-02-18": "Chinese New Year",
+  "2026-03-21": "Hari Raya Puasa",
+  "2026-04-03": "Good Friday",
+  "2026-05-01": "Labour Day",
+  "2026-05-27": "Hari Raya Haji",
+  "2026-05-31": "Vesak Day",
+  "2026-06-01": "Vesak Day (in lieu)",
+  "2026-08-09": "National Day",
+  "2026-08-10": "National Day (in lieu)",
+  "2026-11-08": "Deepavali",
+  "2026-11-09": "Deepavali (in lieu)",
+  "2026-12-25": "Christmas Day",
+};
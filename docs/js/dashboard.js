@@ -0,0 +1,234 @@
+/**
+ * Earnings Dashboard Page
+ * Daily, weekly and monthly earnings from the local trip history
+ * @module dashboard
+ */
+
+import { getRating } from "./services/profitability.js";
+import { getTrips } from "./services/history.js";
+import {
+  BREAKDOWNS,
+  isWorkedTrip,
+  summarizeTrips,
+  aggregateByPeriod,
+  breakdownTrips,
+} from "./services/earnings.js";
+import { showToast } from "./services/sheets.js";
+import { createMetricCard } from "./ui/components.js";
+import {
+  formatCurrency,
+  formatDuration,
+  formatProfitPerHour,
+} from "./utils/format.js";
+import { $, $qa, escapeHtml } from "./utils/dom.js";
+import { registerServiceWorker } from "./utils/pwa.js";
+
+let allTrips = [];
+let activePeriod = "day";
+
+/**
+ * Trips in the selected scope
+ * @returns {Object[]}
+ */
+function getScopedTrips() {
+  const scope = $("dashboard-scope")?.value || "worked";
+  return scope === "all" ? allTrips : allTrips.filter(isWorkedTrip);
+}
+
+/**
+ * Render every dashboard section
+ */
+function render() {
+  const trips = getScopedTrips();
+  renderTotals(trips);
+  renderPeriods(trips);
+  renderBreakdowns(trips);
+}
+
+/**
+ * Render headline totals
+ * @param {Object[]} trips
+ */
+function renderTotals(trips) {
+  const container = $("dashboard-totals");
+  if (!container) return;
+
+  const totals = summarizeTrips(trips);
+  container.innerHTML = "";
+
+  [
+    {
+      label: "Net Profit",
+      value: formatCurrency(totals.netProfit),
+      icon: "💰",
+      className: totals.netProfit >= 0 ? "positive" : "negative",
+      subtext: `${totals.trips} trip${totals.trips === 1 ? "" : "s"}`,
+    },
+    {
+      label: "Effective Rate",
+      value: formatProfitPerHour(totals.profitPerHour),
+      icon: "⏱️",
+      subtext: `Job only: ${formatProfitPerHour(totals.jobOnlyProfitPerHour)}`,
+    },
+    {
+      label: "Gross Fare",
+      value: formatCurrency(totals.grossFare),
+      icon: "💵",
+      subtext: `${formatCurrency(totals.totalDeductions)} deductions`,
+    },
+    {
+      label: "Hours Worked",
+      value: formatDuration(totals.hours * 60),
+      icon: "🕐",
+      subtext: `${formatCurrency(totals.fuelCost)} fuel`,
+    },
+  ].forEach((metric) => container.appendChild(createMetricCard(metric)));
+}
+
+/**
+ * Render the per-period table for the active tab
+ * @param {Object[]} trips
+ */
+function renderPeriods(trips) {
+  const container = $("dashboard-periods");
+  if (!container) return;
+
+  container.innerHTML = createEarningsTable(
+    aggregateByPeriod(trips, activePeriod),
+    "Period",
+  );
+}
+
+/**
+ * Render one table per breakdown dimension
+ * @param {Object[]} trips
+ */
+function renderBreakdowns(trips) {
+  const container = $("dashboard-breakdowns");
+  if (!container) return;
+
+  container.innerHTML = Object.entries(BREAKDOWNS)
+    .map(
+      ([dimension, { label }]) => `
+        <section class="results-section">
+          <h3>By ${label.toLowerCase()}</h3>
+          <div class="dashboard-table-wrap">
+            ${createEarningsTable(breakdownTrips(trips, dimension), label)}
+          </div>
+        </section>
+      `,
+    )
+    .join("");
+}
+
+/**
+ * Build an earnings table for a list of groups
+ *
+ * @param {import('./services/earnings.js').EarningsGroup[]} groups
+ * @param {string} groupLabel - Heading for the first column
+ * @returns {string} HTML
+ */
+function createEarningsTable(groups, groupLabel) {
+  if (groups.length === 0) {
+    return `
+      <div class="history-empty">
+        ${
+          allTrips.length === 0
+            ? 'No trips yet. Calculate a job and mark it accepted in <a href="history.html">Trip History</a>.'
+            : "No trips in this view."
+        }
+      </div>
+    `;
+  }
+
+  const rows = groups
+    .map(({ label, totals }) => {
+      const rating = getRating(totals.profitPerHour);
+      return `
+        <tr class="rating-${rating}">
+          <td>${escapeHtml(label)}</td>
+          <td>${totals.trips}</td>
+          <td>${formatCurrency(totals.grossFare)}</td>
+          <td>${formatCurrency(totals.totalDeductions)}</td>
+          <td>${formatCurrency(totals.fuelCost)}</td>
+          <td>${formatCurrency(totals.netProfit)}</td>
+          <td>${formatDuration(totals.hours * 60)}</td>
+          <td class="rate">${formatProfitPerHour(totals.profitPerHour)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+    <table class="comparison-table dashboard-table">
+      <thead>
+        <tr>
+          <th>${escapeHtml(groupLabel)}</th>
+          <th>Trips</th>
+          <th>Gross</th>
+          <th>Deductions</th>
+          <th>Fuel</th>
+          <th>Net</th>
+          <th>Hours</th>
+          <th>$/hr</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Switch the per-period table
+ * @param {'day'|'week'|'month'} period
+ */
+function setPeriod(period) {
+  activePeriod = period;
+  $qa(".mode-tab[data-period]").forEach((tab) => {
+    const isActive = tab.dataset.period === period;
+    tab.classList.toggle("active", isActive);
+    tab.setAttribute("aria-selected", String(isActive));
+  });
+  renderPeriods(getScopedTrips());
+}
+
+/**
+ * Load trips from the local history
+ * Trips saved to Google Sheets aren't read back, since the sheet's web
+ * app is open to anyone with its URL.
+ */
+async function loadTrips() {
+  try {
+    allTrips = await getTrips();
+  } catch (error) {
+    console.error("Could not load trip history:", error);
+    showToast("Trip history is unavailable in this browser", "error");
+  }
+
+  const sources = $("dashboard-sources");
+  if (sources) {
+    sources.textContent = `${allTrips.length} trips from this device`;
+  }
+}
+
+/**
+ * Initialize dashboard page
+ */
+async function init() {
+  registerServiceWorker();
+
+  $("dashboard-scope")?.addEventListener("change", render);
+  $qa(".mode-tab[data-period]").forEach((tab) => {
+    tab.addEventListener("click", () => setPeriod(tab.dataset.period));
+  });
+
+  await loadTrips();
+  render();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
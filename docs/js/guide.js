@@ -10,20 +10,26 @@ import {
   WAIT_TIMES,
   BIKE_MODELS,
 } from "./config.js";
-import { calculateFareBreakdown } from "./services/profitability.js";
+import { calculateFareBreakdown, getRating } from "./services/profitability.js";
+// Shows the rider's calibrated wait minutes
+import "./services/calibration.js";
+import { getProfileForDate } from "./services/deductions.js";
+import { escapeHtml } from "./utils/dom.js";
+import { registerServiceWorker } from "./utils/pwa.js";
 
 /**
  * Calculate net value from additional stop fare
  */
 function calculateNetFromGross(grossAmount) {
-  const { commissionRate, vatRate, platformFeeOffset } = CONFIG.fareDeductions;
+  const { commissionRate, vatRate, cpfWithholdingRate } = getProfileForDate();
   // Additional stop fare is part of gross, so deductions apply
   // But platform fee offset is fixed $0.50, not per-stop
-  // So for additional stops, we only deduct commission + VAT
+  // So for additional stops, we only deduct the percentage deductions
   const baseFare = grossAmount;
   const commission = baseFare * commissionRate;
   const vat = baseFare * vatRate;
-  return grossAmount - commission - vat;
+  const cpfWithholding = baseFare * cpfWithholdingRate;
+  return grossAmount - commission - vat - cpfWithholding;
 }
 
 /**
@@ -61,9 +67,7 @@ function populateEfficiencyTable() {
         <td class="fare">+$${addedFare.toFixed(2)}</td>
         <td class="net">+$${netAdded.toFixed(2)}</td>
         <td class="time">~${avgWaitMinutes} min</td>
-        <td class="rate ${
-          hourlyRate >= 20 ? "excellent" : hourlyRate >= 15 ? "good" : "okay"
-        }">
+        <td class="rate ${getRating(hourlyRate)}">
           $${hourlyRate.toFixed(0)}/hr
         </td>
       </tr>
@@ -159,18 +163,8 @@ function populateScenariosGrid() {
     const hourlyRate = (netProfit / totalTime) * 60;
 
     // Determine rating
-    let ratingClass = "poor";
-    let ratingEmoji = "❌";
-    if (hourlyRate >= 20) {
-      ratingClass = "excellent";
-      ratingEmoji = "🔥";
-    } else if (hourlyRate >= 15) {
-      ratingClass = "good";
-      ratingEmoji = "✅";
-    } else if (hourlyRate >= 10) {
-      ratingClass = "okay";
-      ratingEmoji = "⚠️";
-    }
+    const ratingClass = getRating(hourlyRate);
+    const ratingEmoji = escapeHtml(PROFIT_THRESHOLDS[ratingClass].emoji);
 
     return `
       <div class="scenario-card ${ratingClass}">
@@ -213,31 +207,30 @@ function populateScenariosGrid() {
 
 /**
  * Populate rating scale
+ * Shows the rider's own tiers, highest first. Extra tiers have no
+ * stylesheet colours, so they're tinted with their own.
  */
 function populateRatingScale() {
   const container = document.getElementById("rating-scale");
   if (!container) return;
 
-  const ratings = Object.entries(PROFIT_THRESHOLDS).map(([key, data]) => {
-    const max =
-      key === "excellent"
-        ? "+"
-        : key === "good"
-          ? PROFIT_THRESHOLDS.excellent.min - 1
-          : key === "okay"
-            ? PROFIT_THRESHOLDS.good.min - 1
-            : PROFIT_THRESHOLDS.okay.min - 1;
+  const tiers = Object.entries(PROFIT_THRESHOLDS);
+  const ratings = tiers.map(([key, data], index) => {
+    const above = tiers[index - 1]?.[1];
+    const range = !above
+      ? `$${data.min}+`
+      : data.min > 0
+        ? `$${data.min}-${above.min}`
+        : `Under $${above.min}`;
+    const isBuiltIn = CONFIG.riderProfiles.builtInTiers.includes(key);
 
     return `
-      <div class="rating-item ${key}">
-        <span class="rating-emoji">${data.emoji}</span>
-        <span class="rating-label">${data.label.replace(
-          data.emoji + " ",
-          "",
-        )}</span>
-        <span class="rating-range">$${data.min}${
-          max === "+" ? "+" : "-" + max
-        }/hr</span>
+      <div class="rating-item ${key}"${
+        isBuiltIn ? "" : ` style="background: ${data.color}26"`
+      }>
+        <span class="rating-emoji">${escapeHtml(data.emoji)}</span>
+        <span class="rating-label">${escapeHtml(data.name)}</span>
+        <span class="rating-range">${range}/hr</span>
       </div>
     `;
   });
@@ -245,6 +238,23 @@ function populateRatingScale() {
   container.innerHTML = ratings.join("");
 }
 
+/**
+ * Fill the $/hour lines of the decision cards from the rider's tiers
+ */
+function populateDecisionRates() {
+  const { excellent, good } = PROFIT_THRESHOLDS;
+  const lines = {
+    "decision-take-rate": `$${excellent.min}+/hour potential`,
+    "decision-consider-rate": `$${good.min}-${excellent.min}/hour potential`,
+    "decision-avoid-rate": `Below $${good.min}/hour potential`,
+  };
+
+  Object.entries(lines).forEach(([id, text]) => {
+    const item = document.getElementById(id);
+    if (item) item.textContent = text;
+  });
+}
+
 /**
  * Populate wait times grid
  */
@@ -274,9 +284,11 @@ function populateWaitTimesGrid() {
  * Initialize guide page
  */
 function init() {
+  registerServiceWorker();
   populateEfficiencyTable();
   populateScenariosGrid();
   populateRatingScale();
+  populateDecisionRates();
   populateWaitTimesGrid();
 }
 
@@ -0,0 +1,261 @@
+/**
+ * Trip History Page
+ * Browse, filter, annotate and delete locally stored trips
+ * @module history
+ */
+
+import { PROFIT_THRESHOLDS, WAIT_TIMES } from "./config.js";
+import {
+  getTrips,
+  filterTrips,
+  updateTrip,
+  deleteTrip,
+  getTripTime,
+} from "./services/history.js";
+import {
+  formatCurrency,
+  formatDistance,
+  formatDuration,
+  formatProfitPerHour,
+  formatAddress,
+} from "./utils/format.js";
+import { $, $q, $qa, escapeHtml } from "./utils/dom.js";
+import { registerServiceWorker } from "./utils/pwa.js";
+import { showToast } from "./services/sheets.js";
+
+let allTrips = [];
+
+/**
+ * Filter inputs and the filterTrips() option each one sets
+ */
+const FILTER_INPUTS = {
+  "filter-from": "from",
+  "filter-to": "to",
+  "filter-rating": "rating",
+  "filter-building": "buildingType",
+  "filter-decision": "decision",
+};
+
+/**
+ * Fill the rating and building type selects from config
+ */
+function populateFilterOptions() {
+  const ratingSelect = $("filter-rating");
+  if (ratingSelect) {
+    ratingSelect.innerHTML += Object.entries(PROFIT_THRESHOLDS)
+      .map(
+        ([key, t]) =>
+          `<option value="${escapeHtml(key)}">${escapeHtml(t.label)}</option>`,
+      )
+      .join("");
+  }
+
+  const buildingSelect = $("filter-building");
+  if (buildingSelect) {
+    buildingSelect.innerHTML += Object.entries(WAIT_TIMES)
+      .map(([key, w]) => `<option value="${key}">${w.label}</option>`)
+      .join("");
+  }
+}
+
+/**
+ * Read the current filter values
+ * @returns {Object}
+ */
+function getFilters() {
+  return Object.fromEntries(
+    Object.entries(FILTER_INPUTS).map(([id, key]) => [key, $(id)?.value]),
+  );
+}
+
+/**
+ * Render the filtered trip list and summary
+ */
+function render() {
+  const trips = filterTrips(allTrips, getFilters());
+  renderSummary(trips);
+
+  const list = $("history-list");
+  if (!list) return;
+
+  if (trips.length === 0) {
+    list.innerHTML = `
+      <div class="history-empty">
+        ${
+          allTrips.length === 0
+            ? "No trips yet. Every calculation you run is saved here automatically."
+            : "No trips match these filters."
+        }
+      </div>
+    `;
+    return;
+  }
+
+  list.innerHTML = "";
+  trips.forEach((trip) => list.appendChild(createTripCard(trip)));
+}
+
+/**
+ * Render counts and totals for the filtered trips
+ * @param {Object[]} trips
+ */
+function renderSummary(trips) {
+  const summary = $("history-summary");
+  if (!summary) return;
+
+  const accepted = trips.filter((trip) => trip.accepted === true);
+  const acceptedProfit = accepted.reduce(
+    (sum, trip) => sum + (trip.netProfit || 0),
+    0,
+  );
+
+  summary.innerHTML = `
+    <span><strong>${trips.length}</strong> trip${
+      trips.length === 1 ? "" : "s"
+    }</span>
+    <span><strong>${accepted.length}</strong> accepted</span>
+    <span><strong>${formatCurrency(
+      acceptedProfit,
+    )}</strong> net from accepted</span>
+  `;
+}
+
+/**
+ * Create one trip card
+ *
+ * @param {Object} trip - Stored trip record
+ * @returns {HTMLElement}
+ */
+function createTripCard(trip) {
+  const threshold = PROFIT_THRESHOLDS[trip.rating] || PROFIT_THRESHOLDS.poor;
+  const when = new Date(getTripTime(trip)).toLocaleString("en-SG", {
+    timeZone: "Asia/Singapore",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  const card = document.createElement("article");
+  card.className = `trip-card rating-${trip.rating}`;
+  card.style.borderLeftColor = threshold.color;
+  card.innerHTML = `
+    <div class="trip-header">
+      <span class="trip-rate">${escapeHtml(
+        threshold.emoji,
+      )} ${formatProfitPerHour(trip.profitPerHour)}</span>
+      <span class="trip-date">${when}</span>
+    </div>
+    <div class="trip-route">
+      ${escapeHtml(formatAddress(trip.pickupAddress, 36))}
+      <span class="trip-type">${escapeHtml(trip.pickupBuildingType)}</span>
+      → ${trip.stopsCount} stop${trip.stopsCount === 1 ? "" : "s"}
+    </div>
+    <div class="trip-stats">
+      Fare ${formatCurrency(trip.totalFare)} · Net ${formatCurrency(
+        trip.netProfit,
+      )} · ${formatDuration(trip.totalTimeMinutes)} · ${formatDistance(
+        trip.totalDistanceKm,
+      )}
+    </div>
+    <textarea class="trip-notes" rows="2" placeholder="Add a note...">${escapeHtml(
+      trip.notes,
+    )}</textarea>
+    <div class="trip-actions">
+      <button type="button" class="btn-decision" data-accepted="true">✅ Accepted</button>
+      <button type="button" class="btn-decision" data-accepted="false">❌ Declined</button>
+      <button type="button" class="btn-delete-trip" title="Delete trip">🗑️</button>
+    </div>
+  `;
+
+  const showDecision = () => {
+    $qa(".btn-decision", card).forEach((btn) => {
+      btn.classList.toggle(
+        "active",
+        String(trip.accepted ?? null) === btn.dataset.accepted,
+      );
+    });
+  };
+  showDecision();
+
+  $qa(".btn-decision", card).forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const choice = btn.dataset.accepted === "true";
+      const accepted = trip.accepted === choice ? null : choice;
+      await saveChanges(trip, { accepted });
+      showDecision();
+      renderSummary(filterTrips(allTrips, getFilters()));
+    });
+  });
+
+  $q(".trip-notes", card).addEventListener("change", async (e) => {
+    await saveChanges(trip, { notes: e.target.value });
+    showToast("Note saved", "success");
+  });
+
+  $q(".btn-delete-trip", card).addEventListener("click", async () => {
+    if (!confirm("Delete this trip from your history?")) return;
+
+    await deleteTrip(trip.id);
+    allTrips = allTrips.filter((t) => t.id !== trip.id);
+    render();
+  });
+
+  return card;
+}
+
+/**
+ * Persist changes to a trip and update the in-memory copy
+ *
+ * @param {Object} trip
+ * @param {Object} changes
+ */
+async function saveChanges(trip, changes) {
+  try {
+    await updateTrip(trip.id, changes);
+    Object.assign(trip, changes);
+  } catch (error) {
+    console.error("Failed to update trip:", error);
+    showToast("Could not save changes", "error");
+  }
+}
+
+/**
+ * Reset all filters
+ */
+function clearFilters() {
+  Object.keys(FILTER_INPUTS).forEach((id) => {
+    const input = $(id);
+    if (input) input.value = "";
+  });
+  render();
+}
+
+/**
+ * Initialize history page
+ */
+async function init() {
+  registerServiceWorker();
+  populateFilterOptions();
+
+  Object.keys(FILTER_INPUTS).forEach((id) => {
+    $(id)?.addEventListener("change", render);
+  });
+  $("clear-filters-btn")?.addEventListener("click", clearFilters);
+
+  try {
+    allTrips = await getTrips();
+  } catch (error) {
+    console.error("Could not load trip history:", error);
+    showToast("Trip history is unavailable in this browser", "error");
+  }
+
+  render();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
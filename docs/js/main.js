@@ -6,15 +6,30 @@
 
 import { CONFIG } from "./config.js";
 import { geocodeAddress, geocodeMultiple } from "./services/geocoding.js";
-import { calculateMultiStopRoute } from "./services/routing.js";
+import {
+  calculateMultiStopRoute,
+  calculateRouteMatrix,
+  isOneMapRoutingEnabled,
+} from "./services/routing.js";
 import { calculateFuelCost, getBikeEfficiency } from "./services/fuel.js";
-import { calculateTotalWaitTime } from "./services/wait-time.js";
-import { calculateProfitability } from "./services/profitability.js";
+import {
+  calculateTotalWaitTime,
+  getWaitObservations,
+} from "./services/wait-time.js";
+import {
+  calculateProfitability,
+  calculateRequiredFare,
+  rankOrders,
+} from "./services/profitability.js";
+import { compareStopOrders } from "./services/stop-optimizer.js";
 import {
   initForm,
   setFormLoading,
   updateStopTypeBadge,
   updatePickupTypeBadge,
+  getMode,
+  reorderStops,
+  restoreForm,
 } from "./ui/form.js";
 import {
   renderResults,
@@ -23,9 +38,23 @@ import {
   clearResults,
   initResultsModule,
   setFormData,
+  addBackButton,
 } from "./ui/results.js";
+import { renderComparison } from "./ui/comparison.js";
+import { renderChain } from "./ui/chain.js";
+import { renderTargetFare } from "./ui/target-fare.js";
+import { initJobTimer } from "./ui/job-timer.js";
+import { summarizeChain } from "./services/chain.js";
+import {
+  recordCalculation,
+  getTrips,
+  getTripTime,
+} from "./services/history.js";
+import { setCpfEarningsHistory } from "./services/cpf.js";
+import { readShareLink } from "./services/share-link.js";
 import { getStoredToken, getValidToken, isTokenExpired } from "./api/onemap.js";
 import { $, $q, toggleHidden } from "./utils/dom.js";
+import { registerServiceWorker, isOnline } from "./utils/pwa.js";
 
 /**
  * Application state
@@ -41,33 +70,77 @@ const state = {
 export async function init() {
   console.log("🏍️ Lalamove Profitability Calculator initializing...");
 
+  registerServiceWorker();
+
   // Initialize form with submit callback
   initForm({
     onSubmit: handleCalculate,
   });
 
   // Initialize results module (includes sheets service)
-  await initResultsModule();
+  await initResultsModule({
+    onOptimizeStops: handleOptimizeStops,
+    onApplyStopOrder: handleApplyStopOrder,
+  });
+
+  // Bring back a job timer left running before a reload
+  initJobTimer();
+
+  // Reflect connectivity changes in the status indicator
+  window.addEventListener("offline", () => updateApiStatus("offline"));
+  window.addEventListener("online", checkApiStatus);
+
+  await checkApiStatus();
+
+  openShareLink();
+
+  console.log("✅ App initialized");
+}
+
+/**
+ * Calculate the order in a shared link, if the page was opened with one
+ * The hash is cleared so a reload doesn't recalculate it.
+ */
+function openShareLink() {
+  const order = readShareLink(window.location.hash);
+  if (!order) return;
+
+  restoreForm(order);
+  history.replaceState(
+    null,
+    "",
+    window.location.pathname + window.location.search,
+  );
+  $("calculator-form")?.requestSubmit();
+}
+
+/**
+ * Check connectivity and token, then update the status indicator
+ */
+async function checkApiStatus() {
+  if (!isOnline()) {
+    updateApiStatus("offline");
+    return;
+  }
 
   // Try to get a valid token (will auto-fetch if secrets.js exists)
   updateApiStatus("checking");
   const token = await getValidToken();
 
   if (!token) {
-    showTokenReminder();
+    // Riders routing through their own server don't need the nudge
+    if (isOneMapRoutingEnabled()) showTokenReminder();
     updateApiStatus("disconnected");
   } else {
     hideTokenReminder();
     updateApiStatus("connected");
     console.log("✅ Valid API token available");
   }
-
-  console.log("✅ App initialized");
 }
 
 /**
  * Update the API status indicator
- * @param {'checking'|'connected'|'disconnected'} status
+ * @param {'checking'|'connected'|'disconnected'|'offline'} status
  */
 function updateApiStatus(status) {
   const statusEl = $("api-status");
@@ -82,6 +155,7 @@ function updateApiStatus(status) {
     checking: { icon: "⏳", text: "Checking OneMap API..." },
     connected: { icon: "✅", text: "OneMap API connected" },
     disconnected: { icon: "⚠️", text: "No API token (estimates only)" },
+    offline: { icon: "📴", text: "Offline (saved addresses and routes only)" },
   };
 
   const config = statusConfig[status];
@@ -120,13 +194,25 @@ async function handleCalculate(formData) {
   setFormLoading(true);
   showLoading("Geocoding addresses...");
 
-  // Store form data for saving later
-  setFormData(formData);
-
   try {
-    const result = await analyzeOrder(formData);
-    state.lastResult = result;
-    renderResults(result);
+    await loadCpfEarnings();
+
+    if (formData.mode === "compare") {
+      await handleCompare(formData);
+    } else if (formData.mode === "chain") {
+      await handleChain(formData);
+    } else if (formData.mode === "target") {
+      await handleTargetFare(formData);
+    } else {
+      // Store form data for saving later
+      setFormData(formData);
+
+      const result = await analyzeOrder(formData);
+      await addToHistory(result, formData);
+      state.lastResult = result;
+      showDetectedBuildingTypes(result.locations);
+      renderResults(result);
+    }
   } catch (error) {
     console.error("Calculation error:", error);
     renderError(error);
@@ -136,13 +222,283 @@ async function handleCalculate(formData) {
   }
 }
 
+/**
+ * Give the CPF service the rider's accepted trips
+ * Needed for month-to-date totals against the CPF earnings ceiling.
+ */
+async function loadCpfEarnings() {
+  try {
+    const trips = await getTrips();
+    setCpfEarningsHistory(
+      trips
+        .filter((trip) => trip.accepted === true)
+        .map((trip) => ({
+          time: getTripTime(trip),
+          earnings: trip.grossFare - trip.platformFee,
+          workerContribution: trip.cpfWithholding || 0,
+        })),
+    );
+  } catch (error) {
+    console.warn("Could not load trips for CPF totals:", error.message);
+  }
+}
+
+/**
+ * Analyse every candidate order from the same current location and rank them
+ *
+ * @param {Object} formData - Form data with an orders array
+ */
+async function handleCompare(formData) {
+  showLoading("Looking up your location...");
+  const [origin] = await geocodeMultiple(
+    [formData.currentLocation],
+    [formData.lockedLocations?.currentLocation],
+  );
+
+  const results = [];
+  const orderForms = [];
+  for (const [index, order] of formData.orders.entries()) {
+    const orderFormData = {
+      ...formData,
+      ...order,
+      waitOverrides: {},
+      pinnedStops: [],
+      lockedLocations: {},
+    };
+    const result = await analyzeOrder(orderFormData, {
+      origin,
+      label: `Order ${index + 1} of ${formData.orders.length}`,
+    });
+    results.push(result);
+    orderForms.push(orderFormData);
+  }
+
+  const showRanking = (sortBy) => {
+    const ranking = rankOrders(
+      results.map((result) => result.profitability),
+      sortBy,
+    );
+    renderComparison(ranking, results, {
+      onSortChange: showRanking,
+      onViewOrder: (orderNumber) =>
+        viewOrder(
+          results[orderNumber - 1],
+          orderForms[orderNumber - 1],
+          "Back to comparison",
+          () => showRanking(ranking.sortBy),
+        ),
+    });
+  };
+
+  showRanking("profitPerHour");
+}
+
+/**
+ * Show one order from a comparison or chain in full
+ * Orders are only added to trip history once the rider opens one, so
+ * candidates they passed over and links they never reached aren't counted
+ * as trips.
+ *
+ * @param {Object} result - Analysis result
+ * @param {Object} orderFormData - Form data the order was analysed with
+ * @param {string} backLabel - Label of the button back to the list
+ * @param {Function} onBack - Shows the list again
+ */
+async function viewOrder(result, orderFormData, backLabel, onBack) {
+  if (result.historyId === undefined) {
+    await addToHistory(result, orderFormData);
+  }
+
+  state.lastResult = result;
+  setFormData(orderFormData);
+  renderResults(result);
+  addBackButton(backLabel, onBack);
+}
+
+/**
+ * Analyse orders as a back-to-back chain
+ * Each order starts from the last delivery stop of the previous one
+ *
+ * @param {Object} formData - Form data with an orders array
+ */
+async function handleChain(formData) {
+  showLoading("Looking up your location...");
+  let [origin] = await geocodeMultiple(
+    [formData.currentLocation],
+    [formData.lockedLocations?.currentLocation],
+  );
+
+  // Each job starts when the one before it is expected to finish
+  let jobTime = formData.jobTime ? new Date(formData.jobTime) : new Date();
+
+  const results = [];
+  const orderForms = [];
+  for (const [index, order] of formData.orders.entries()) {
+    const orderFormData = {
+      ...formData,
+      ...order,
+      waitOverrides: {},
+      pinnedStops: [],
+      lockedLocations: {},
+      jobTime,
+    };
+    const result = await analyzeOrder(orderFormData, {
+      origin,
+      label: `Job ${index + 1} of ${formData.orders.length}`,
+    });
+    results.push(result);
+    orderForms.push(orderFormData);
+    origin = result.locations.stops[result.locations.stops.length - 1];
+    jobTime = new Date(
+      jobTime.getTime() + result.profitability.totalTimeMinutes * 60000,
+    );
+  }
+
+  const chain = summarizeChain(results);
+
+  const showChain = () =>
+    renderChain(chain, {
+      onViewOrder: (orderNumber) =>
+        viewOrder(
+          results[orderNumber - 1],
+          orderForms[orderNumber - 1],
+          "Back to chain",
+          showChain,
+        ),
+    });
+
+  showChain();
+}
+
+/**
+ * Work out the fare a route needs to reach the rider's target $/hour
+ * Not added to trip history since there is no offered fare yet.
+ *
+ * @param {Object} formData - Form data with a targetRate
+ */
+async function handleTargetFare(formData) {
+  const routeResult = await analyzeOrder({ ...formData, fare: 0 });
+  const { fuel, route, waitTime } = routeResult;
+
+  const target = calculateRequiredFare({
+    fuelCost: fuel.cost,
+    travelMinutes: route.totalTravelMinutes,
+    waitMinutes: waitTime.total,
+    pickupWaitMinutes: waitTime.pickupWait,
+    jobTime: waitTime.jobTime,
+    distanceKm: route.totalDistanceKm,
+    targetHourlyRate: formData.targetRate,
+    uncertainty: getTimeUncertainty(
+      routeResult.locations.pickup,
+      route,
+      waitTime,
+    ),
+  });
+
+  // The same route priced at the required fare, for the full breakdown
+  const result = {
+    ...routeResult,
+    profitability: target.profitability,
+    inputs: { ...routeResult.inputs, fare: target.fare },
+  };
+  state.lastResult = result;
+  setFormData({ ...formData, fare: target.fare });
+  showDetectedBuildingTypes(result.locations);
+
+  const showTarget = () =>
+    renderTargetFare(target, {
+      onViewDetails: () => {
+        renderResults(result);
+        addBackButton("Back to required fare", showTarget);
+      },
+    });
+
+  showTarget();
+}
+
+/**
+ * Save a calculation to the local trip history
+ * The record ID is kept on the result so the accept/decline buttons
+ * and the Sheets export can update the same entry.
+ *
+ * @param {Object} result - Analysis result
+ * @param {Object} formData - Form data used for this order
+ */
+async function addToHistory(result, formData) {
+  const record = await recordCalculation(result, formData);
+  result.historyId = record?.id ?? null;
+}
+
+/**
+ * Look for a faster delivery order for an analysed order
+ * Only results from the stops form can be written back to it.
+ *
+ * @param {Object} result - Analysis result being displayed
+ * @param {function(number, number): void} [onProgress] - Called with the
+ *   point pairs routed so far and the total
+ * @returns {Promise<Object>} Stop order comparison
+ */
+async function handleOptimizeStops(result, onProgress) {
+  const { pickup, stops } = result.locations;
+  const token = await getValidToken();
+
+  // Pairs are timed for when the rider leaves the pickup
+  const matrix = await calculateRouteMatrix(
+    [pickup, ...stops],
+    token,
+    result.route.trafficOverride,
+    new Date(result.route.legs[1].departAt),
+    { onProgress },
+  );
+
+  return {
+    ...compareStopOrders(result, matrix, {
+      pinned: result.inputs.pinnedStops,
+    }),
+    canApply: getMode() === "single" || getMode() === "target",
+  };
+}
+
+/**
+ * Put the stops into the chosen order and recalculate
+ *
+ * @param {number[]} order - Stop indices in visit order
+ */
+function handleApplyStopOrder(order) {
+  reorderStops(order);
+  $("calculator-form")?.requestSubmit();
+}
+
+/**
+ * Show detected building types as badges on the single-order form
+ *
+ * @param {Object} locations - Geocoded locations from analyzeOrder
+ */
+function showDetectedBuildingTypes({ pickup, stops }) {
+  updatePickupTypeBadge(pickup.buildingType, pickup.buildingType.toUpperCase());
+
+  stops.forEach((stop, index) => {
+    updateStopTypeBadge(
+      index + 1,
+      stop.buildingType,
+      stop.buildingType.toUpperCase(),
+    );
+  });
+}
+
 /**
  * Main analysis function - orchestrates all services
+ * Busy-time waits and deductions are for formData.jobTime, or the current
+ * time for an order that has just been posted. Each leg's traffic is for
+ * when it starts, unless the rider picked a condition for the whole job.
  *
  * @param {Object} formData
+ * @param {Object} [options]
+ * @param {GeocodedLocation} [options.origin] - Already geocoded start point
+ * @param {string} [options.label] - Prefix for loading messages
  * @returns {Promise<Object>} Complete analysis result
  */
-async function analyzeOrder(formData) {
+async function analyzeOrder(formData, { origin = null, label = "" } = {}) {
   const {
     currentLocation,
     pickup,
@@ -153,32 +509,46 @@ async function analyzeOrder(formData) {
     petrolPrice,
     waitOverrides,
     trafficCondition,
+    pinnedStops = [],
+    lockedLocations = {},
+    jobTime = null,
   } = formData;
 
-  // Step 1: Geocode all locations
-  showLoading("Looking up addresses...");
-
-  const addressesToGeocode = [currentLocation, pickup, ...stops];
-  const geocodedLocations = await geocodeMultiple(addressesToGeocode);
+  const progress = (message) =>
+    showLoading(label ? `${label}: ${message.toLowerCase()}` : message);
 
-  const [currentCoords, pickupCoords, ...stopCoords] = geocodedLocations;
+  const jobStart = jobTime ? new Date(jobTime) : new Date();
 
-  // Update UI with detected building types
-  updatePickupTypeBadge(
+  // Step 1: Geocode all locations
+  progress("Looking up addresses...");
+
+  const addressesToGeocode = origin
+    ? [pickup, ...stops]
+    : [currentLocation, pickup, ...stops];
+  const lockedStops = lockedLocations.stops || [];
+  const locked = origin
+    ? [lockedLocations.pickup, ...lockedStops]
+    : [lockedLocations.currentLocation, lockedLocations.pickup, ...lockedStops];
+  const geocodedLocations = await geocodeMultiple(addressesToGeocode, locked);
+
+  const [currentCoords, pickupCoords, ...stopCoords] = origin
+    ? [origin, ...geocodedLocations]
+    : geocodedLocations;
+
+  // Step 2: Calculate wait times, using waits logged at these addresses
+  // and any busy-time rules for when the job happens (pickup included)
+  const waitTime = calculateTotalWaitTime(
+    stopCoords,
+    waitOverrides,
+    CONFIG.defaults.pickupWaitMinutes,
+    await getWaitObservations(stopCoords),
+    jobStart,
     pickupCoords.buildingType,
-    pickupCoords.buildingType.toUpperCase(),
   );
 
-  stopCoords.forEach((stop, index) => {
-    updateStopTypeBadge(
-      index + 1,
-      stop.buildingType,
-      stop.buildingType.toUpperCase(),
-    );
-  });
-
-  // Step 2: Calculate route through all points
-  showLoading("Calculating routes...");
+  // Step 3: Calculate route through all points, timing each leg for when
+  // it starts (after the waits before it)
+  progress("Calculating routes...");
 
   // Get a valid token (will auto-refresh if needed)
   const token = await getValidToken();
@@ -188,9 +558,17 @@ async function analyzeOrder(formData) {
     allPoints,
     token,
     trafficCondition,
+    {
+      departAt: jobStart,
+      waitMinutes: [
+        0,
+        waitTime.pickupWait,
+        ...waitTime.breakdown.map((stop) => stop.minutes),
+      ],
+    },
   );
 
-  // Step 3: Get fuel efficiency
+  // Step 4: Get fuel efficiency
   const efficiency = getBikeEfficiency(bikeModel) ?? customEfficiency;
 
   if (!efficiency || efficiency <= 0) {
@@ -199,20 +577,13 @@ async function analyzeOrder(formData) {
     );
   }
 
-  // Step 4: Calculate fuel cost
+  // Step 5: Calculate fuel cost
   const fuel = calculateFuelCost(
     route.totalDistanceKm,
     efficiency,
     petrolPrice,
   );
 
-  // Step 5: Calculate wait times
-  const waitTime = calculateTotalWaitTime(
-    stopCoords,
-    waitOverrides,
-    CONFIG.defaults.pickupWaitMinutes,
-  );
-
   // Step 6: Calculate profitability
   const profitability = calculateProfitability({
     fare,
@@ -220,6 +591,9 @@ async function analyzeOrder(formData) {
     travelMinutes: route.totalTravelMinutes,
     waitMinutes: waitTime.total,
     pickupWaitMinutes: waitTime.pickupWait,
+    jobTime: jobStart,
+    distanceKm: route.totalDistanceKm,
+    uncertainty: getTimeUncertainty(pickupCoords, route, waitTime),
   });
 
   return {
@@ -236,10 +610,28 @@ async function analyzeOrder(formData) {
       fare,
       efficiency,
       petrolPrice,
+      pinnedStops,
     },
   };
 }
 
+/**
+ * Where a job's times came from, for its best and worst case $/hour
+ *
+ * @param {GeocodedLocation} pickup
+ * @param {Object} route - From calculateMultiStopRoute()
+ * @param {Object} waitTime - From calculateTotalWaitTime()
+ * @returns {import('./services/profitability.js').TimeUncertainty}
+ */
+function getTimeUncertainty(pickup, route, waitTime) {
+  return {
+    stopWaits: waitTime.breakdown,
+    pickupBuildingType: pickup.buildingType,
+    legs: route.legs,
+    trafficCondition: route.trafficCondition,
+  };
+}
+
 /**
  * Get the last calculation result
  * @returns {Object|null}
@@ -0,0 +1,334 @@
+/**
+ * Estimate Accuracy Service
+ * Compares the calculator's estimates with timed jobs and suggests
+ * recalibrated traffic speeds, wait times and road-distance factor
+ * @module services/accuracy
+ */
+
+import { CONFIG, WAIT_TIMES } from "../config.js";
+import { getTrafficSpeed } from "./traffic.js";
+
+/**
+ * @typedef {Object} ErrorStats
+ * @property {number} count - Number of timed legs
+ * @property {number} meanError - Mean absolute error (estimate vs actual)
+ * @property {number} bias - Mean signed error; positive means the estimate is too high
+ */
+
+/**
+ * @typedef {Object} AccuracyRow
+ * @property {string} key - Traffic condition, building type or distance method
+ * @property {string} label
+ * @property {number} count
+ * @property {number} meanError
+ * @property {number} bias
+ * @property {number} [current] - Setting in force
+ * @property {number|null} [suggested] - Recalibrated setting (null if too few samples)
+ */
+
+/**
+ * @typedef {Object} AccuracyReport
+ * @property {number} tripCount - Trips with actuals
+ * @property {AccuracyRow[]} travelTime - Travel minutes by traffic condition
+ * @property {AccuracyRow[]} wait - Delivery stop wait minutes by building type
+ * @property {AccuracyRow[]} distance - Km by routing provider and the
+ *   straight-line fallback (needs GPS)
+ */
+
+/**
+ * Mean absolute and signed error of estimate/actual pairs
+ *
+ * @param {Array<{estimated: number, actual: number}>} pairs
+ * @returns {ErrorStats}
+ */
+export function summarizeErrors(pairs) {
+  const count = pairs.length;
+  if (count === 0) return { count, meanError: 0, bias: 0 };
+
+  const errors = pairs.map(({ estimated, actual }) => estimated - actual);
+  return {
+    count,
+    meanError: errors.reduce((sum, e) => sum + Math.abs(e), 0) / count,
+    bias: errors.reduce((sum, e) => sum + e, 0) / count,
+  };
+}
+
+/**
+ * Timed legs from trips with actuals, with their job-level context
+ *
+ * @param {Object[]} trips - Trip history records
+ * @returns {Object[]} Legs from JobActuals, plus trafficCondition,
+ *   trafficSpeedKmH, roadDistanceFactor, gpsTracked and isPickup. Jobs
+ *   timed before legs had their own traffic use the job's.
+ */
+export function collectTimedLegs(trips) {
+  return trips
+    .filter((trip) => trip.actuals?.legs?.length)
+    .flatMap(({ actuals }) =>
+      actuals.legs.map((leg, index) => ({
+        ...leg,
+        isPickup: index === 0,
+        trafficCondition: leg.trafficCondition ?? actuals.trafficCondition,
+        trafficSpeedKmH:
+          leg.trafficSpeedKmH ??
+          actuals.trafficSpeedKmH ??
+          getTrafficSpeed(actuals.trafficCondition),
+        roadDistanceFactor:
+          actuals.roadDistanceFactor ?? CONFIG.defaults.roadDistanceFactor,
+        gpsTracked: actuals.gpsTracked,
+      })),
+    );
+}
+
+/**
+ * Travel time a leg would be estimated at with the current settings
+ * Estimated time scales inversely with the speed of the leg's traffic
+ * band (which scales the profile's hours in that band), and fallback
+ * legs also scale with the road-distance factor.
+ *
+ * @param {Object} leg - From collectTimedLegs()
+ * @returns {number} Minutes
+ */
+function reestimateTravelMinutes(leg) {
+  let minutes =
+    leg.estimatedTravelMinutes *
+    (leg.trafficSpeedKmH / getTrafficSpeed(leg.trafficCondition));
+
+  if (leg.isEstimate) {
+    minutes *= CONFIG.defaults.roadDistanceFactor / leg.roadDistanceFactor;
+  }
+  return minutes;
+}
+
+/**
+ * Group legs and summarise each group's errors
+ *
+ * @param {Object[]} legs
+ * @param {Function} keyOf - Group key for a leg
+ * @param {Function} pairOf - {estimated, actual} for a leg
+ * @returns {Map<string, {legs: Object[], stats: ErrorStats}>}
+ */
+function groupErrors(legs, keyOf, pairOf) {
+  const groups = new Map();
+  legs.forEach((leg) => {
+    const key = keyOf(leg);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(leg);
+  });
+
+  return new Map(
+    [...groups].map(([key, groupLegs]) => [
+      key,
+      { legs: groupLegs, stats: summarizeErrors(groupLegs.map(pairOf)) },
+    ]),
+  );
+}
+
+/**
+ * Travel time accuracy by traffic condition
+ * The suggested speed makes estimated and actual travel time add up; it
+ * applies to every hour and area of the traffic profile in that band.
+ *
+ * @param {Object[]} legs
+ * @returns {AccuracyRow[]}
+ */
+function buildTravelTimeRows(legs) {
+  const groups = groupErrors(
+    legs,
+    (leg) => leg.trafficCondition,
+    (leg) => ({
+      estimated: reestimateTravelMinutes(leg),
+      actual: leg.actualTravelMinutes,
+    }),
+  );
+
+  return Object.entries(CONFIG.traffic.conditions)
+    .filter(([key]) => groups.has(key))
+    .map(([key, condition]) => {
+      const { legs: groupLegs, stats } = groups.get(key);
+      const estimated = groupLegs.reduce(
+        (sum, leg) => sum + reestimateTravelMinutes(leg),
+        0,
+      );
+      const actual = groupLegs.reduce(
+        (sum, leg) => sum + leg.actualTravelMinutes,
+        0,
+      );
+
+      return {
+        key,
+        label: `${condition.icon} ${condition.label}`,
+        ...stats,
+        current: condition.speedKmH,
+        suggested: suggest(
+          stats.count,
+          actual > 0
+            ? Math.round((condition.speedKmH * estimated) / actual)
+            : 0,
+        ),
+      };
+    });
+}
+
+/**
+ * Delivery stop wait accuracy by building type
+ * Compared with the building-type default plus any busy-time rule minutes
+ * the wait included. The suggestion replaces the default with the average
+ * actual wait less those rule minutes, since the rules still add them.
+ * Pickup waits use their own default.
+ *
+ * @param {Object[]} legs
+ * @returns {AccuracyRow[]}
+ */
+function buildWaitRows(legs) {
+  const groups = groupErrors(
+    legs.filter((leg) => !leg.isPickup),
+    (leg) => (WAIT_TIMES[leg.buildingType] ? leg.buildingType : "default"),
+    (leg) => ({
+      estimated:
+        (WAIT_TIMES[leg.buildingType] || WAIT_TIMES.default).minutes +
+        (leg.ruleWaitMinutes || 0),
+      actual: leg.actualWaitMinutes,
+    }),
+  );
+
+  return Object.entries(WAIT_TIMES)
+    .filter(([key]) => groups.has(key))
+    .map(([key, wait]) => {
+      const { legs: groupLegs, stats } = groups.get(key);
+      const meanActual =
+        groupLegs.reduce(
+          (sum, leg) =>
+            sum + leg.actualWaitMinutes - (leg.ruleWaitMinutes || 0),
+          0,
+        ) / groupLegs.length;
+
+      return {
+        key,
+        label: wait.label,
+        ...stats,
+        current: wait.minutes,
+        suggested: suggest(stats.count, Math.max(0, Math.round(meanActual))),
+      };
+    });
+}
+
+/**
+ * Distance accuracy of each routing provider and the straight-line fallback
+ * The fallback is checked on every GPS-tracked leg, not just the legs
+ * that needed it, since each leg's straight-line distance is known. Legs
+ * timed before there was a choice of provider were routed by OneMap.
+ *
+ * @param {Object[]} legs
+ * @returns {AccuracyRow[]}
+ */
+function buildDistanceRows(legs) {
+  const tracked = legs.filter(
+    (leg) => leg.gpsTracked && typeof leg.actualKm === "number",
+  );
+  const factor = CONFIG.defaults.roadDistanceFactor;
+
+  const routed = groupErrors(
+    tracked.filter((leg) => !leg.isEstimate),
+    (leg) => leg.provider || "onemap",
+    (leg) => ({ estimated: leg.estimatedKm, actual: leg.actualKm }),
+  );
+  const rows = Object.entries(CONFIG.routing.providers)
+    .filter(([key]) => routed.has(key))
+    .map(([key, provider]) => ({
+      key,
+      label: `${provider.label} route`,
+      ...routed.get(key).stats,
+    }));
+
+  if (tracked.length > 0) {
+    const straightLine = tracked.reduce(
+      (sum, leg) => sum + leg.straightLineKm,
+      0,
+    );
+    const actual = tracked.reduce((sum, leg) => sum + leg.actualKm, 0);
+    const stats = summarizeErrors(
+      tracked.map((leg) => ({
+        estimated: leg.straightLineKm * factor,
+        actual: leg.actualKm,
+      })),
+    );
+
+    rows.push({
+      key: "fallback",
+      label: `Straight line × ${factor}`,
+      ...stats,
+      current: factor,
+      suggested: suggest(
+        stats.count,
+        straightLine > 0 ? Math.round((actual / straightLine) * 100) / 100 : 0,
+      ),
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * A suggested value, if there are enough samples and it makes sense
+ *
+ * @param {number} count
+ * @param {number} value
+ * @returns {number|null}
+ */
+function suggest(count, value) {
+  return count >= CONFIG.calibration.minSamples && value > 0 ? value : null;
+}
+
+/**
+ * Build the accuracy report from trip history
+ *
+ * @param {Object[]} trips - Trip history records
+ * @returns {AccuracyReport}
+ */
+export function buildAccuracyReport(trips) {
+  const legs = collectTimedLegs(trips);
+
+  return {
+    tripCount: trips.filter((trip) => trip.actuals?.legs?.length).length,
+    travelTime: buildTravelTimeRows(legs),
+    wait: buildWaitRows(legs),
+    distance: buildDistanceRows(legs),
+  };
+}
+
+/**
+ * Suggested values that differ from the settings in force
+ *
+ * @param {AccuracyReport} report
+ * @returns {import('./calibration.js').ConfigOverrides} Empty if nothing to change
+ */
+export function getSuggestedOverrides(report) {
+  const changed = (row) =>
+    row.suggested !== null &&
+    row.suggested !== undefined &&
+    row.suggested !== row.current;
+
+  const overrides = {};
+
+  const speeds = report.travelTime.filter(changed);
+  if (speeds.length > 0) {
+    overrides.trafficSpeeds = Object.fromEntries(
+      speeds.map((row) => [row.key, row.suggested]),
+    );
+  }
+
+  const waits = report.wait.filter(changed);
+  if (waits.length > 0) {
+    overrides.waitMinutes = Object.fromEntries(
+      waits.map((row) => [row.key, row.suggested]),
+    );
+  }
+
+  const fallback = report.distance.find((row) => row.key === "fallback");
+  if (fallback && changed(fallback)) {
+    overrides.roadDistanceFactor = fallback.suggested;
+  }
+
+  return overrides;
+}
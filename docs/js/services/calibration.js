@@ -0,0 +1,105 @@
+/**
+ * Calibration Service
+ * Rider's own traffic speeds, waits and road-distance factor, written
+ * over the built-in values in CONFIG and WAIT_TIMES
+ * @module services/calibration
+ */
+
+import { CONFIG, WAIT_TIMES } from "../config.js";
+
+/**
+ * Built-in values the rider's calibration can override
+ */
+const BUILT_IN_CALIBRATION = {
+  trafficSpeeds: Object.fromEntries(
+    Object.entries(CONFIG.traffic.conditions).map(([key, condition]) => [
+      key,
+      condition.speedKmH,
+    ]),
+  ),
+  waitMinutes: Object.fromEntries(
+    Object.entries(WAIT_TIMES).map(([key, wait]) => [key, wait.minutes]),
+  ),
+  roadDistanceFactor: CONFIG.defaults.roadDistanceFactor,
+};
+
+/**
+ * @typedef {Object} ConfigOverrides
+ * @property {Object<string, number>} [trafficSpeeds] - km/h by traffic condition
+ * @property {Object<string, number>} [waitMinutes] - Minutes by building type
+ * @property {number} [roadDistanceFactor] - Road vs straight-line distance
+ */
+
+/**
+ * Rider's saved calibration overrides
+ * @returns {ConfigOverrides}
+ */
+export function getConfigOverrides() {
+  try {
+    return (
+      JSON.parse(localStorage.getItem(CONFIG.calibration.storageKey)) || {}
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save calibration overrides and apply them straight away
+ * Merged with overrides saved earlier.
+ *
+ * @param {ConfigOverrides} overrides
+ */
+export function saveConfigOverrides(overrides) {
+  const existing = getConfigOverrides();
+  const merged = {
+    ...existing,
+    ...overrides,
+    trafficSpeeds: { ...existing.trafficSpeeds, ...overrides.trafficSpeeds },
+    waitMinutes: { ...existing.waitMinutes, ...overrides.waitMinutes },
+  };
+
+  localStorage.setItem(CONFIG.calibration.storageKey, JSON.stringify(merged));
+  applyConfigOverrides(merged);
+}
+
+/**
+ * Go back to the built-in values
+ */
+export function resetConfigOverrides() {
+  localStorage.removeItem(CONFIG.calibration.storageKey);
+  applyConfigOverrides({});
+}
+
+/**
+ * Built-in values, to show beside the rider's overrides
+ * @returns {{trafficSpeeds: Object<string, number>, waitMinutes: Object<string, number>, roadDistanceFactor: number}}
+ */
+export function getBuiltInCalibration() {
+  return BUILT_IN_CALIBRATION;
+}
+
+/**
+ * Write overrides into CONFIG and WAIT_TIMES
+ * Values not overridden go back to the built-in ones.
+ *
+ * @param {ConfigOverrides} overrides
+ */
+function applyConfigOverrides(overrides) {
+  Object.entries(CONFIG.traffic.conditions).forEach(([key, condition]) => {
+    condition.speedKmH =
+      overrides.trafficSpeeds?.[key] ?? BUILT_IN_CALIBRATION.trafficSpeeds[key];
+  });
+  Object.entries(WAIT_TIMES).forEach(([key, wait]) => {
+    wait.minutes =
+      overrides.waitMinutes?.[key] ?? BUILT_IN_CALIBRATION.waitMinutes[key];
+  });
+  CONFIG.defaults.roadDistanceFactor =
+    overrides.roadDistanceFactor ?? BUILT_IN_CALIBRATION.roadDistanceFactor;
+}
+
+// Every page that imports this, directly or through services/traffic.js,
+// picks up the rider's calibration on load
+if (typeof localStorage !== "undefined") {
+  applyConfigOverrides(getConfigOverrides());
+}
@@ -0,0 +1,104 @@
+/**
+ * Order Chaining Service
+ * Combines back-to-back orders into a single work session
+ * @module services/chain
+ */
+
+import { PROFIT_THRESHOLDS } from "../config.js";
+import { getRating } from "./profitability.js";
+
+/**
+ * @typedef {Object} ChainLink
+ * @property {number} orderNumber - Position in the chain (1-based)
+ * @property {Object} result - Full analysis result for this order
+ * @property {string} startAddress - Where this order starts from
+ * @property {number} deadheadKm - Empty running to the pickup
+ * @property {number} deadheadMinutes - Travel time to the pickup
+ * @property {Object} cumulative - Running totals up to and including this order
+ */
+
+/**
+ * @typedef {Object} ChainSummary
+ * @property {ChainLink[]} links - One entry per order
+ * @property {Object} totals - Session totals and $/hour
+ */
+
+/**
+ * Summarise a chain of analysed orders
+ * The first route leg of every order is the empty run to its pickup,
+ * so it is counted as deadhead distance.
+ *
+ * @param {Object[]} results - Analysis results in chain order
+ * @returns {ChainSummary}
+ */
+export function summarizeChain(results) {
+  const running = {
+    grossFare: 0,
+    netProfit: 0,
+    fuelCost: 0,
+    totalTimeMinutes: 0,
+    distanceKm: 0,
+    deadheadKm: 0,
+  };
+
+  const links = results.map((result, index) => {
+    const { profitability, route } = result;
+    const deadheadLeg = route.legs[0] || { distanceKm: 0, timeMinutes: 0 };
+
+    running.grossFare += profitability.fare;
+    running.netProfit += profitability.netProfit;
+    running.fuelCost += profitability.fuelCost;
+    running.totalTimeMinutes += profitability.totalTimeMinutes;
+    running.distanceKm += route.totalDistanceKm;
+    running.deadheadKm += deadheadLeg.distanceKm;
+
+    const cumulativeRate = hourlyRate(
+      running.netProfit,
+      running.totalTimeMinutes,
+    );
+
+    return {
+      orderNumber: index + 1,
+      result,
+      startAddress: result.locations.current.address,
+      deadheadKm: deadheadLeg.distanceKm,
+      deadheadMinutes: deadheadLeg.timeMinutes,
+      cumulative: {
+        ...running,
+        profitPerHour: cumulativeRate,
+        rating: getRating(cumulativeRate),
+      },
+    };
+  });
+
+  const sessionProfitPerHour = hourlyRate(
+    running.netProfit,
+    running.totalTimeMinutes,
+  );
+  const rating = getRating(sessionProfitPerHour);
+
+  return {
+    links,
+    totals: {
+      ...running,
+      deadheadPercentage:
+        running.distanceKm > 0
+          ? (running.deadheadKm / running.distanceKm) * 100
+          : 0,
+      sessionProfitPerHour,
+      rating,
+      ratingDetails: PROFIT_THRESHOLDS[rating],
+    },
+  };
+}
+
+/**
+ * Convert profit over a duration into $/hour
+ *
+ * @param {number} profit
+ * @param {number} minutes
+ * @returns {number}
+ */
+function hourlyRate(profit, minutes) {
+  return minutes > 0 ? (profit / minutes) * 60 : 0;
+}
@@ -0,0 +1,198 @@
+/**
+ * Platform Workers Act CPF Service
+ * Works out the rider's and the platform's CPF contributions for a job
+ * from the rider's age band, the phase-in year and the monthly ceiling
+ * @module services/cpf
+ */
+
+import { CONFIG } from "../config.js";
+
+/**
+ * @typedef {Object} CpfSettings
+ * @property {number|null} birthYear - Rider's year of birth (null if not set)
+ * @property {boolean} optedIn - Opted in (only needed if born before mandatoryBornFrom)
+ */
+
+/**
+ * @typedef {Object} CpfContribution
+ * @property {number} workerRate - Rider's contribution rate
+ * @property {number} platformRate - Platform's contribution rate
+ * @property {number} earnings - Job's net earnings (base fare)
+ * @property {number} contributableEarnings - Part of earnings under the monthly ceiling
+ * @property {number} workerContribution - Withheld from the rider's fare
+ * @property {number} platformContribution - Paid by the platform on top of the fare
+ * @property {number} monthToDateEarnings - Earnings from earlier jobs this month
+ * @property {number} monthToDateWithholding - Rider's withholding this month, including this job
+ */
+
+/**
+ * @typedef {Object} CpfEarningsEntry
+ * @property {number} time - When the job was posted (ms)
+ * @property {number} earnings - Net earnings (base fare)
+ * @property {number} workerContribution - CPF withheld
+ */
+
+// Earlier worked jobs, for month-to-date totals
+let earningsHistory = [];
+
+/**
+ * Singapore calendar date of a time
+ * @param {Date|string|number} when
+ * @returns {string} YYYY-MM-DD
+ */
+function getSingaporeDate(when) {
+  return new Date(when).toLocaleDateString("en-CA", {
+    timeZone: "Asia/Singapore",
+  });
+}
+
+/**
+ * Value for a year from a year-keyed table
+ * Uses the latest year on or before the given one.
+ *
+ * @param {Object<string, number>} table
+ * @param {number} year
+ * @returns {number|undefined}
+ */
+function getYearValue(table, year) {
+  const years = Object.keys(table)
+    .map(Number)
+    .filter((key) => key <= year)
+    .sort((a, b) => a - b);
+  return years.length > 0 ? table[years[years.length - 1]] : undefined;
+}
+
+/**
+ * Rider's saved CPF settings
+ * @returns {CpfSettings}
+ */
+export function getCpfSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.cpf.storageKey));
+    return {
+      birthYear: Number.isInteger(stored?.birthYear) ? stored.birthYear : null,
+      optedIn: stored?.optedIn === true,
+    };
+  } catch {
+    return { birthYear: null, optedIn: false };
+  }
+}
+
+/**
+ * Save the rider's CPF settings
+ * @param {CpfSettings} settings
+ */
+export function saveCpfSettings({ birthYear, optedIn }) {
+  localStorage.setItem(
+    CONFIG.cpf.storageKey,
+    JSON.stringify({ birthYear, optedIn: Boolean(optedIn) }),
+  );
+}
+
+/**
+ * Whether CPF applies to the rider
+ * Compulsory for younger riders; older riders must opt in.
+ *
+ * @param {CpfSettings} [settings]
+ * @returns {boolean}
+ */
+export function isCpfCovered(settings = getCpfSettings()) {
+  if (!settings.birthYear) return false;
+  return settings.birthYear >= CONFIG.cpf.mandatoryBornFrom || settings.optedIn;
+}
+
+/**
+ * Contribution rates for a job
+ *
+ * @param {Date|string|number} [when] - Job time (defaults to now)
+ * @param {CpfSettings} [settings]
+ * @returns {{workerRate: number, platformRate: number}|null} Null if CPF doesn't apply
+ */
+export function getCpfRates(when = new Date(), settings = getCpfSettings()) {
+  const year = Number(getSingaporeDate(when).slice(0, 4));
+  if (!isCpfCovered(settings) || !(year >= CONFIG.cpf.startYear)) {
+    return null;
+  }
+
+  const age = year - settings.birthYear;
+  const band = CONFIG.cpf.ageBands.find((b) => age <= b.maxAge);
+  const share = getYearValue(CONFIG.cpf.phaseIn, year);
+
+  return {
+    workerRate: band.workerRate * share,
+    platformRate: band.platformRate * share,
+  };
+}
+
+/**
+ * Set the worked jobs used for month-to-date totals
+ * Kept in memory so fare calculations stay synchronous.
+ *
+ * @param {CpfEarningsEntry[]} entries
+ */
+export function setCpfEarningsHistory(entries) {
+  earningsHistory = entries;
+}
+
+/**
+ * Earnings and withholding from jobs earlier in the same month
+ *
+ * @param {Date|string|number} when - Job time
+ * @returns {{earnings: number, withholding: number}}
+ */
+export function getMonthToDate(when) {
+  const time = new Date(when).getTime();
+  const month = getSingaporeDate(when).slice(0, 7);
+
+  return earningsHistory
+    .filter(
+      (entry) =>
+        entry.time < time && getSingaporeDate(entry.time).slice(0, 7) === month,
+    )
+    .reduce(
+      (totals, entry) => ({
+        earnings: totals.earnings + entry.earnings,
+        withholding: totals.withholding + entry.workerContribution,
+      }),
+      { earnings: 0, withholding: 0 },
+    );
+}
+
+/**
+ * CPF contributions for a job
+ * Only earnings under the monthly ceiling attract CPF, counting
+ * earlier jobs in the same month first.
+ *
+ * @param {number} earnings - Job's net earnings (base fare)
+ * @param {Date|string|number} [when] - Job time (defaults to now)
+ * @param {CpfSettings} [settings]
+ * @returns {CpfContribution|null} Null if CPF doesn't apply
+ */
+export function calculateCpfContribution(
+  earnings,
+  when = new Date(),
+  settings = getCpfSettings(),
+) {
+  const rates = getCpfRates(when, settings);
+  if (!rates) return null;
+
+  const year = Number(getSingaporeDate(when).slice(0, 4));
+  const ceiling = getYearValue(CONFIG.cpf.monthlyCeiling, year);
+  const monthToDate = getMonthToDate(when);
+
+  const contributableEarnings = Math.max(
+    0,
+    Math.min(earnings, ceiling - monthToDate.earnings),
+  );
+  const workerContribution = contributableEarnings * rates.workerRate;
+
+  return {
+    ...rates,
+    earnings,
+    contributableEarnings,
+    workerContribution,
+    platformContribution: contributableEarnings * rates.platformRate,
+    monthToDateEarnings: monthToDate.earnings,
+    monthToDateWithholding: monthToDate.withholding + workerContribution,
+  };
+}
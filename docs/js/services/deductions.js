@@ -0,0 +1,201 @@
+/**
+ * Fare Deduction Profiles
+ * Dated sets of Lalamove deduction rates, so fares are priced with the
+ * terms in force when each job was posted
+ * @module services/deductions
+ */
+
+import { CONFIG } from "../config.js";
+import { validateDeductionProfile } from "../utils/validation.js";
+import { getActiveRiderProfile } from "./rider-profiles.js";
+
+/**
+ * @typedef {Object} DeductionProfile
+ * @property {string} id - Unique ID ('built-in' for the default rates)
+ * @property {string} name - Display name
+ * @property {string} effectiveFrom - First day in force (YYYY-MM-DD, Singapore)
+ * @property {number} commissionRate - Fraction of base fare
+ * @property {number} vatRate - Fraction of base fare
+ * @property {number} cpfWithholdingRate - Fraction of base fare
+ * @property {number} platformFeeOffset - Fixed amount in SGD
+ * @property {boolean} [isBuiltIn] - True for the CONFIG.fareDeductions profile
+ */
+
+export const BUILT_IN_PROFILE_ID = "built-in";
+
+/**
+ * Profile for CONFIG.fareDeductions
+ * Has no start date, so it covers any job before the first saved profile.
+ *
+ * @returns {DeductionProfile}
+ */
+function getBuiltInProfile() {
+  return {
+    id: BUILT_IN_PROFILE_ID,
+    name: "Standard rates (built-in)",
+    effectiveFrom: "",
+    ...CONFIG.fareDeductions,
+    isBuiltIn: true,
+  };
+}
+
+/**
+ * Read saved profiles from localStorage
+ * Stored synchronously so fare calculations never wait on storage.
+ *
+ * @returns {DeductionProfile[]}
+ */
+function loadSavedProfiles() {
+  try {
+    const stored = localStorage.getItem(CONFIG.deductionProfiles.storageKey);
+    const profiles = stored ? JSON.parse(stored) : [];
+    return Array.isArray(profiles) ? profiles : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write saved profiles to localStorage
+ * @param {DeductionProfile[]} profiles
+ */
+function storeProfiles(profiles) {
+  localStorage.setItem(
+    CONFIG.deductionProfiles.storageKey,
+    JSON.stringify(profiles),
+  );
+}
+
+/**
+ * All profiles, built-in first then by effective date
+ * Profiles sharing a date keep the order they were saved in.
+ *
+ * @returns {DeductionProfile[]}
+ */
+export function getDeductionProfiles() {
+  const saved = loadSavedProfiles().sort((a, b) =>
+    a.effectiveFrom.localeCompare(b.effectiveFrom),
+  );
+  return [getBuiltInProfile(), ...saved];
+}
+
+/**
+ * Profile in force at a given time
+ * The latest profile whose effective date is on or before the job's
+ * Singapore date; the most recently saved wins a tie. A profile pinned in
+ * the active rider profile wins from its own effective date, so older jobs
+ * keep the rates that were in force for them.
+ *
+ * @param {Date|string|number} [when] - Job time (defaults to now)
+ * @returns {DeductionProfile}
+ */
+export function getProfileForDate(when = new Date()) {
+  const date = new Date(when);
+  const sgDate = isNaN(date.getTime())
+    ? ""
+    : date.toLocaleDateString("en-CA", { timeZone: "Asia/Singapore" });
+
+  const { deductionProfileId } = getActiveRiderProfile();
+  const pinned =
+    deductionProfileId &&
+    getDeductionProfiles().find((profile) => profile.id === deductionProfileId);
+  if (pinned && pinned.effectiveFrom <= sgDate) return pinned;
+
+  const inForce = getDeductionProfiles().filter(
+    (profile) => profile.effectiveFrom <= sgDate,
+  );
+  return inForce[inForce.length - 1];
+}
+
+/**
+ * Add or replace a saved profile
+ *
+ * @param {Object} profile - Profile fields; an existing id replaces that profile
+ * @returns {DeductionProfile} The stored profile
+ * @throws {Error} If the profile is invalid
+ */
+export function saveDeductionProfile(profile) {
+  const validation = validateDeductionProfile(profile);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+  if (profile.id === BUILT_IN_PROFILE_ID) {
+    throw new Error("The built-in profile can't be changed");
+  }
+
+  const record = {
+    id:
+      profile.id ||
+      `profile-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 6)}`,
+    name: profile.name.trim(),
+    effectiveFrom: profile.effectiveFrom,
+    commissionRate: profile.commissionRate,
+    vatRate: profile.vatRate,
+    cpfWithholdingRate: profile.cpfWithholdingRate,
+    platformFeeOffset: profile.platformFeeOffset,
+  };
+
+  const others = loadSavedProfiles().filter((p) => p.id !== record.id);
+  storeProfiles([...others, record]);
+  return record;
+}
+
+/**
+ * Delete a saved profile
+ * @param {string} id
+ */
+export function deleteDeductionProfile(id) {
+  storeProfiles(loadSavedProfiles().filter((profile) => profile.id !== id));
+}
+
+/**
+ * Saved profiles as a JSON document for backup or sharing
+ * @returns {string}
+ */
+export function exportDeductionProfiles() {
+  return JSON.stringify({ version: 1, profiles: loadSavedProfiles() }, null, 2);
+}
+
+/**
+ * Import profiles from an exported JSON document
+ * Profiles with an existing ID replace it; nothing is saved if any are invalid.
+ *
+ * @param {string} json - Output of exportDeductionProfiles() (or a bare array)
+ * @returns {number} Number of profiles imported
+ * @throws {Error} If the file is not valid
+ */
+export function importDeductionProfiles(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+
+  const profiles = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error("No deduction profiles found in file");
+  }
+
+  const ids = new Set();
+  profiles.forEach((profile, index) => {
+    const validation = validateDeductionProfile(profile);
+    if (!validation.isValid) {
+      throw new Error(`Profile ${index + 1}: ${validation.error}`);
+    }
+    if (profile.id === BUILT_IN_PROFILE_ID) {
+      throw new Error(
+        `Profile ${index + 1}: The built-in profile can't be changed`,
+      );
+    }
+    if (profile.id && ids.has(profile.id)) {
+      throw new Error(`Profile ${index + 1}: Same ID as an earlier profile`);
+    }
+    ids.add(profile.id);
+  });
+
+  profiles.forEach((profile) => saveDeductionProfile(profile));
+  return profiles.length;
+}
@@ -0,0 +1,239 @@
+/**
+ * Earnings Service
+ * Aggregates saved trip records into daily, weekly and monthly earnings
+ * and breakdowns by time, fare type, stops and pickup building type
+ * @module services/earnings
+ */
+
+import { WAIT_TIMES } from "../config.js";
+import { getTripTime, getTripDate } from "./history.js";
+
+/**
+ * @typedef {Object} EarningsTotals
+ * @property {number} trips - Number of trips
+ * @property {number} grossFare - Sum of gross fares
+ * @property {number} totalDeductions - Commission, VAT, CPF and platform fees
+ * @property {number} fuelCost - Fuel spent
+ * @property {number} netProfit - Take-home after deductions and fuel
+ * @property {number} hours - Total time worked (travel + waiting)
+ * @property {number} profitPerHour - Net profit per hour worked
+ * @property {number} jobOnlyProfitPerHour - Time-weighted job-only $/hour
+ */
+
+/**
+ * @typedef {Object} EarningsGroup
+ * @property {string} key - Sort/group key
+ * @property {string} label - Display label
+ * @property {EarningsTotals} totals
+ */
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const FARE_TYPE_LABELS = {
+  regular: "Regular",
+  pooling: "Pooling",
+  priority: "Priority",
+};
+
+/**
+ * Reporting periods: how to key a trip and label the group
+ * Weeks start on Monday, all in Singapore time.
+ */
+export const PERIODS = {
+  day: {
+    label: "Daily",
+    getKey: (trip) => getTripDate(trip),
+    formatKey: (key) => {
+      const [year, month, day] = key.split("-").map(Number);
+      const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+      return `${WEEKDAYS[weekday]} ${day} ${MONTHS[month - 1]}`;
+    },
+  },
+  week: {
+    label: "Weekly",
+    getKey: (trip) => getWeekStart(getTripDate(trip)),
+    formatKey: (key) => {
+      const [, month, day] = key.split("-").map(Number);
+      return `Week of ${day} ${MONTHS[month - 1]}`;
+    },
+  },
+  month: {
+    label: "Monthly",
+    getKey: (trip) => getTripDate(trip).slice(0, 7),
+    formatKey: (key) => {
+      const [year, month] = key.split("-").map(Number);
+      return `${MONTHS[month - 1]} ${year}`;
+    },
+  },
+};
+
+/**
+ * Breakdown dimensions: how to key a trip and label the group
+ * Keys are zero-padded where needed so string sorting gives a natural order.
+ */
+export const BREAKDOWNS = {
+  hourOfDay: {
+    label: "Hour of day",
+    getKey: (trip) => String(getSingaporeHour(trip)).padStart(2, "0"),
+    formatKey: (key) => {
+      const hour = Number(key);
+      const suffix = hour < 12 ? "am" : "pm";
+      return `${hour % 12 || 12}${suffix}`;
+    },
+  },
+  fareType: {
+    label: "Fare type",
+    getKey: (trip) => trip.fareType || "regular",
+    formatKey: (key) => FARE_TYPE_LABELS[key] || key,
+  },
+  stopsCount: {
+    label: "Stops",
+    getKey: (trip) => String(Number(trip.stopsCount) || 1).padStart(2, "0"),
+    formatKey: (key) => {
+      const stops = Number(key);
+      return `${stops} stop${stops === 1 ? "" : "s"}`;
+    },
+  },
+  pickupBuildingType: {
+    label: "Pickup building",
+    getKey: (trip) => trip.pickupBuildingType || "unknown",
+    formatKey: (key) => WAIT_TIMES[key]?.label || "Unknown",
+  },
+};
+
+/**
+ * Whether a trip counts as work done
+ * History records every calculation, so only accepted trips count.
+ *
+ * @param {Object} trip
+ * @returns {boolean}
+ */
+export function isWorkedTrip(trip) {
+  return trip.accepted === true;
+}
+
+/**
+ * Sum earnings for a set of trips
+ *
+ * @param {Object[]} trips - Records in buildSaveData() shape
+ * @returns {EarningsTotals}
+ */
+export function summarizeTrips(trips) {
+  const sum = (field) =>
+    trips.reduce((total, trip) => total + (Number(trip[field]) || 0), 0);
+
+  const netProfit = sum("netProfit");
+  const hours = sum("totalTimeMinutes") / 60;
+
+  // Weight each trip's job-only rate by its job-only time
+  const jobOnlyMinutes = sum("jobOnlyTimeMinutes");
+  const jobOnlyWeighted = trips.reduce(
+    (total, trip) =>
+      total +
+      (Number(trip.jobOnlyProfitPerHour) || 0) *
+        (Number(trip.jobOnlyTimeMinutes) || 0),
+    0,
+  );
+
+  return {
+    trips: trips.length,
+    grossFare: sum("grossFare"),
+    totalDeductions: sum("totalDeductions"),
+    fuelCost: sum("fuelCost"),
+    netProfit,
+    hours,
+    profitPerHour: hours > 0 ? netProfit / hours : 0,
+    jobOnlyProfitPerHour:
+      jobOnlyMinutes > 0 ? jobOnlyWeighted / jobOnlyMinutes : 0,
+  };
+}
+
+/**
+ * Group trips by day, week or month, newest first
+ *
+ * @param {Object[]} trips
+ * @param {'day'|'week'|'month'} period
+ * @returns {EarningsGroup[]}
+ */
+export function aggregateByPeriod(trips, period) {
+  const groups = groupTrips(trips, PERIODS[period]);
+  return groups.reverse();
+}
+
+/**
+ * Group trips by a breakdown dimension, in natural order
+ *
+ * @param {Object[]} trips
+ * @param {'hourOfDay'|'fareType'|'stopsCount'|'pickupBuildingType'} dimension
+ * @returns {EarningsGroup[]}
+ */
+export function breakdownTrips(trips, dimension) {
+  return groupTrips(trips, BREAKDOWNS[dimension]);
+}
+
+/**
+ * Group trips with a key function and summarise each group
+ *
+ * @param {Object[]} trips
+ * @param {Object} grouping - Entry from PERIODS or BREAKDOWNS
+ * @returns {EarningsGroup[]} Sorted by key, ascending
+ */
+function groupTrips(trips, grouping) {
+  const groups = new Map();
+
+  trips.forEach((trip) => {
+    if (Number.isNaN(getTripTime(trip))) return;
+
+    const key = grouping.getKey(trip);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(trip);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, members]) => ({
+      key,
+      label: grouping.formatKey(key),
+      totals: summarizeTrips(members),
+    }));
+}
+
+/**
+ * Monday of the week containing a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekStart(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  const utc = new Date(Date.UTC(year, month - 1, day));
+  const daysSinceMonday = (utc.getUTCDay() + 6) % 7;
+  utc.setUTCDate(utc.getUTCDate() - daysSinceMonday);
+  return utc.toISOString().slice(0, 10);
+}
+
+/**
+ * Hour of day (0-23) a trip happened, in Singapore time
+ * @param {Object} trip
+ * @returns {number}
+ */
+function getSingaporeHour(trip) {
+  return new Date(
+    new Date(getTripTime(trip)).toLocaleString("en-US", {
+      timeZone: "Asia/Singapore",
+    }),
+  ).getHours();
+}
@@ -5,6 +5,7 @@
  */
 
 import { searchAddress, reverseGeocode } from "../api/onemap.js";
+import { CONFIG } from "../config.js";
 
 /**
  * @typedef {Object} GeocodedLocation
@@ -86,16 +87,45 @@ export async function geocodeAddress(addressInput) {
 
   // Standard address search
   const results = await searchAddress(addressInput.trim());
-  const best = results[0];
+  return toGeocodedLocation(results[0]);
+}
+
+/**
+ * Address suggestions for a partly typed search
+ * No matches (or no connection) gives an empty list rather than an error.
+ * Searched live, since caching every typed prefix would fill the offline
+ * cache.
+ *
+ * @param {string} searchTerm
+ * @param {number} [limit=CONFIG.autocomplete.maxSuggestions]
+ * @returns {Promise<GeocodedLocation[]>}
+ */
+export async function searchLocations(
+  searchTerm,
+  limit = CONFIG.autocomplete.maxSuggestions,
+) {
+  try {
+    const results = await searchAddress(searchTerm.trim(), { cache: false });
+    return results.slice(0, limit).map(toGeocodedLocation);
+  } catch {
+    return [];
+  }
+}
 
+/**
+ * Convert a OneMap search result to a geocoded location
+ * @param {Object} result - OneMap search result
+ * @returns {GeocodedLocation}
+ */
+function toGeocodedLocation(result) {
   return {
-    lat: parseFloat(best.LATITUDE),
-    lng: parseFloat(best.LONGITUDE),
-    address: best.ADDRESS || best.SEARCHVAL,
-    postalCode: best.POSTAL || "",
-    buildingType: detectBuildingType(best),
-    buildingName: best.BUILDING || "",
-    raw: best,
+    lat: parseFloat(result.LATITUDE),
+    lng: parseFloat(result.LONGITUDE),
+    address: result.ADDRESS || result.SEARCHVAL,
+    postalCode: result.POSTAL || "",
+    buildingType: detectBuildingType(result),
+    buildingName: result.BUILDING || "",
+    raw: result,
   };
 }
 
@@ -268,13 +298,16 @@ function detectBuildingTypeFromReverse(result) {
 
 /**
  * Geocode multiple addresses in parallel
+ * Addresses the rider already picked from suggestions are used as they
+ * are rather than searched again.
  *
  * @param {string[]} addresses - Array of address strings
+ * @param {Array<GeocodedLocation|null>} [locked] - Picked locations, by position
  * @returns {Promise<GeocodedLocation[]>}
  */
-export async function geocodeMultiple(addresses) {
+export async function geocodeMultiple(addresses, locked = []) {
   const results = await Promise.all(
-    addresses.map((addr) => geocodeAddress(addr)),
+    addresses.map((addr, index) => locked[index] || geocodeAddress(addr)),
   );
   return results;
 }
@@ -0,0 +1,164 @@
+/**
+ * Trip History Service
+ * Stores every calculation locally in IndexedDB, using the same record
+ * shape as the Google Sheets export
+ * @module services/history
+ */
+
+import { STORES, dbGet, dbGetAll, dbPut, dbDelete } from "../utils/db.js";
+import { buildSaveData } from "./sheets.js";
+
+/**
+ * Record a calculation in the trip history
+ * Uses the job's start time (or the calculation time for a job starting now)
+ * as the job posted time until the rider says otherwise.
+ * Fare type and priority fee come from a pasted order, if there was one.
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @param {Object} formData - Form data used for the calculation
+ * @returns {Promise<Object|null>} Saved record, or null if storage failed
+ */
+export async function recordCalculation(result, formData) {
+  const record = buildSaveData({
+    result,
+    formData,
+    jobPostedTime: new Date(formData.jobTime ?? Date.now()).toISOString(),
+    fareType: formData.fareType || "regular",
+    priorityFee: formData.priorityFee || 0,
+    surchargeAmount: 0,
+    notes: "",
+  });
+
+  try {
+    await dbPut(STORES.trips, record);
+    return record;
+  } catch (error) {
+    console.warn("Could not save trip to history:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace a trip's details, keeping its identity, decision and actuals
+ * Used when the rider fills in the save form (fare type, surcharges, notes)
+ *
+ * @param {string} id - Trip ID
+ * @param {Object} options - Same options as buildSaveData()
+ * @returns {Promise<Object|null>} Updated record
+ */
+export async function updateTripDetails(id, options) {
+  const existing = await dbGet(STORES.trips, id);
+  if (!existing) return null;
+
+  const record = {
+    ...buildSaveData({ ...options, id, accepted: existing.accepted }),
+    savedAt: existing.savedAt,
+    actuals: existing.actuals,
+  };
+  await dbPut(STORES.trips, record);
+  return record;
+}
+
+/**
+ * Update individual fields of a trip
+ *
+ * @param {string} id - Trip ID
+ * @param {Object} changes - Fields to overwrite (e.g. notes, accepted)
+ * @returns {Promise<Object|null>} Updated record
+ */
+export async function updateTrip(id, changes) {
+  const existing = await dbGet(STORES.trips, id);
+  if (!existing) return null;
+
+  const record = { ...existing, ...changes, id };
+  await dbPut(STORES.trips, record);
+  return record;
+}
+
+/**
+ * Mark whether the rider accepted a job
+ *
+ * @param {string} id - Trip ID
+ * @param {boolean|null} accepted - null clears the decision
+ * @returns {Promise<Object|null>}
+ */
+export function setTripAccepted(id, accepted) {
+  return updateTrip(id, { accepted });
+}
+
+/**
+ * Get all trips, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getTrips() {
+  const trips = await dbGetAll(STORES.trips);
+  return trips.sort((a, b) => getTripTime(b) - getTripTime(a));
+}
+
+/**
+ * Delete a trip
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function deleteTrip(id) {
+  return dbDelete(STORES.trips, id);
+}
+
+/**
+ * Filter trips for the history page
+ * Building type matches the pickup or any delivery stop.
+ *
+ * @param {Object[]} trips
+ * @param {Object} filters
+ * @param {string} [filters.from] - Earliest date (YYYY-MM-DD), inclusive
+ * @param {string} [filters.to] - Latest date (YYYY-MM-DD), inclusive
+ * @param {string} [filters.rating] - Rating key
+ * @param {string} [filters.buildingType] - Building type key
+ * @param {'accepted'|'declined'|'undecided'} [filters.decision]
+ * @returns {Object[]}
+ */
+export function filterTrips(
+  trips,
+  { from, to, rating, buildingType, decision } = {},
+) {
+  return trips.filter((trip) => {
+    const date = getTripDate(trip);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    if (rating && trip.rating !== rating) return false;
+
+    if (buildingType) {
+      const types = [
+        trip.pickupBuildingType,
+        ...(trip.deliveryStopsMetadata || []).map((stop) => stop.buildingType),
+      ];
+      if (!types.includes(buildingType)) return false;
+    }
+
+    if (decision === "accepted" && trip.accepted !== true) return false;
+    if (decision === "declined" && trip.accepted !== false) return false;
+    if (decision === "undecided" && trip.accepted != null) return false;
+
+    return true;
+  });
+}
+
+/**
+ * When the job happened (posted time, falling back to save time)
+ * @param {Object} trip
+ * @returns {number} Timestamp in ms
+ */
+export function getTripTime(trip) {
+  return new Date(trip.jobPostedTime || trip.savedAt).getTime();
+}
+
+/**
+ * Singapore calendar date of a trip
+ * @param {Object} trip
+ * @returns {string} YYYY-MM-DD
+ */
+export function getTripDate(trip) {
+  return new Date(getTripTime(trip)).toLocaleDateString("en-CA", {
+    timeZone: "Asia/Singapore",
+  });
+}
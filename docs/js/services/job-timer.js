@@ -0,0 +1,372 @@
+/**
+ * Job Timer Service
+ * Times an accepted job leg by leg (heading to pickup, at pickup, en route
+ * to each stop, at each stop) and compares the actuals with the estimate
+ * @module services/job-timer
+ */
+
+import { CONFIG } from "../config.js";
+import { calculateStraightLineDistance } from "../api/onemap.js";
+import { calculateFuelCost } from "./fuel.js";
+import { calculateProfitability } from "./profitability.js";
+import { recordWaitObservation } from "./wait-time.js";
+import { updateTrip } from "./history.js";
+import { getTrafficSpeed } from "./traffic.js";
+
+/**
+ * @typedef {Object} TimerLeg
+ * @property {string} from - Starting address
+ * @property {string} to - Ending address
+ * @property {boolean} isEstimate - Route used the straight-line fallback
+ * @property {string|null} provider - Routing provider ID (null for estimates)
+ * @property {number} straightLineKm - Straight-line distance between the ends
+ * @property {number} estimatedKm - Route distance
+ * @property {number} estimatedTravelMinutes - Route travel time
+ * @property {string} buildingType - Building type at the end of the leg
+ * @property {number} estimatedWaitMinutes - Expected wait at the end of the leg
+ * @property {number} ruleWaitMinutes - Busy-time rule minutes included in it
+ * @property {string} trafficCondition - Traffic band the leg was timed for
+ * @property {number} trafficSpeedKmH - Speed of that band when timed
+ */
+
+/**
+ * @typedef {Object} JobTimer
+ * @property {string|null} tripId - Trip history record the actuals belong to
+ * @property {string} startedAt - ISO time the timer started
+ * @property {string} trafficCondition - Traffic band of the whole route
+ * @property {number} trafficSpeedKmH - Speed of that band
+ * @property {number} roadDistanceFactor - Straight-line to road factor in force
+ * @property {boolean} trackGps - Whether GPS distance is recorded
+ * @property {Object} pricing - Fare, efficiency and petrol price of the job
+ * @property {number} estimatedNetProfit - Net profit the estimate predicted
+ * @property {TimerLeg[]} legs - Estimated legs
+ * @property {GeocodedLocation[]} stops - Delivery stops, for logging waits
+ * @property {number[]} transitions - Start time (ms) of each phase reached
+ * @property {number[]} phaseKm - GPS km ridden in each phase
+ * @property {{lat: number, lng: number}|null} lastFix - Last GPS fix used
+ */
+
+/**
+ * @typedef {Object} LegActual
+ * @property {string} from
+ * @property {string} to
+ * @property {boolean} isEstimate
+ * @property {string|null} provider
+ * @property {number} straightLineKm
+ * @property {string} buildingType
+ * @property {number} estimatedKm
+ * @property {number|null} actualKm - GPS distance (null without GPS)
+ * @property {number} estimatedTravelMinutes
+ * @property {number} actualTravelMinutes
+ * @property {number} estimatedWaitMinutes
+ * @property {number} ruleWaitMinutes
+ * @property {number} actualWaitMinutes
+ * @property {string} trafficCondition
+ * @property {number} trafficSpeedKmH
+ * @property {number} estimatedMinutes - Travel plus wait
+ * @property {number} actualMinutes - Travel plus wait
+ * @property {number} estimatedProfitPerHour
+ * @property {number} actualProfitPerHour
+ */
+
+/**
+ * @typedef {Object} JobActuals
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {string} trafficCondition
+ * @property {number} trafficSpeedKmH
+ * @property {number} roadDistanceFactor
+ * @property {boolean} gpsTracked
+ * @property {LegActual[]} legs
+ * @property {Object} totals - Estimated and actual km, minutes, net profit and $/hour
+ */
+
+/**
+ * Start timing a job from its analysis result
+ * The first phase (heading to pickup) starts straight away.
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @param {Object} [options]
+ * @param {boolean} [options.trackGps=false] - Record distance travelled with GPS
+ * @param {number} [options.now] - Start time in ms (defaults to now)
+ * @returns {JobTimer}
+ */
+export function createJobTimer(
+  result,
+  { trackGps = false, now = Date.now() } = {},
+) {
+  const { route, waitTime, locations, inputs, profitability } = result;
+  const points = [locations.current, locations.pickup, ...locations.stops];
+
+  const legs = route.legs.map((leg, index) => {
+    const isPickup = index === 0;
+    const stopWait = waitTime.breakdown[index - 1];
+    const trafficCondition = leg.trafficCondition ?? route.trafficCondition;
+
+    return {
+      from: leg.from,
+      to: leg.to,
+      isEstimate: leg.isEstimate,
+      provider: leg.isEstimate ? null : leg.provider || "onemap",
+      straightLineKm: calculateStraightLineDistance(
+        points[index],
+        points[index + 1],
+      ),
+      estimatedKm: leg.distanceKm,
+      estimatedTravelMinutes: leg.timeMinutes,
+      buildingType: isPickup
+        ? locations.pickup.buildingType
+        : stopWait?.buildingType || "default",
+      estimatedWaitMinutes: isPickup
+        ? waitTime.pickupWait
+        : stopWait?.minutes || 0,
+      ruleWaitMinutes: (
+        (isPickup ? waitTime.pickupAdjustments : stopWait?.adjustments) || []
+      ).reduce((sum, adjustment) => sum + adjustment.minutes, 0),
+      trafficCondition,
+      trafficSpeedKmH: getTrafficSpeed(trafficCondition),
+    };
+  });
+
+  return {
+    tripId: result.historyId ?? null,
+    startedAt: new Date(now).toISOString(),
+    trafficCondition: route.trafficCondition,
+    trafficSpeedKmH: getTrafficSpeed(route.trafficCondition),
+    roadDistanceFactor: CONFIG.defaults.roadDistanceFactor,
+    trackGps,
+    pricing: {
+      fare: profitability.fare,
+      efficiency: inputs.efficiency,
+      petrolPrice: inputs.petrolPrice,
+    },
+    estimatedNetProfit: profitability.netProfit,
+    legs,
+    stops: locations.stops,
+    transitions: [now],
+    phaseKm: [0],
+    lastFix: null,
+  };
+}
+
+/**
+ * Describe a phase
+ * Each leg has a travel phase followed by a wait phase at its end.
+ *
+ * @param {JobTimer} timer
+ * @param {number} index - Phase index
+ * @returns {{type: 'travel'|'wait', legIndex: number, label: string}|null}
+ *   Null once past the last phase
+ */
+export function getPhase(timer, index) {
+  const legIndex = Math.floor(index / 2);
+  if (legIndex >= timer.legs.length) return null;
+
+  const type = index % 2 === 0 ? "travel" : "wait";
+  let label;
+  if (legIndex === 0) {
+    label = type === "travel" ? "Heading to pickup" : "At pickup";
+  } else {
+    label =
+      type === "travel"
+        ? `En route to stop ${legIndex}`
+        : `At stop ${legIndex}`;
+  }
+
+  return { type, legIndex, label };
+}
+
+/**
+ * Index of the phase in progress
+ * @param {JobTimer} timer
+ * @returns {number}
+ */
+export function getCurrentPhaseIndex(timer) {
+  return timer.transitions.length - 1;
+}
+
+/**
+ * Whether every phase has been completed
+ * @param {JobTimer} timer
+ * @returns {boolean}
+ */
+export function isJobTimerDone(timer) {
+  return getPhase(timer, getCurrentPhaseIndex(timer)) === null;
+}
+
+/**
+ * Move on to the next phase
+ *
+ * @param {JobTimer} timer
+ * @param {number} [now] - Time of the transition in ms
+ * @returns {JobTimer}
+ */
+export function advanceJobTimer(timer, now = Date.now()) {
+  if (isJobTimerDone(timer)) return timer;
+
+  return {
+    ...timer,
+    transitions: [...timer.transitions, now],
+    phaseKm: [...timer.phaseKm, 0],
+  };
+}
+
+/**
+ * Add a GPS fix to the distance ridden on the current leg
+ * Inaccurate fixes are skipped so GPS jitter isn't counted as riding,
+ * and walking about during a wait isn't counted at all.
+ *
+ * @param {JobTimer} timer
+ * @param {{lat: number, lng: number, accuracy: number}} fix
+ * @returns {JobTimer}
+ */
+export function addGpsFix(timer, { lat, lng, accuracy }) {
+  if (!timer.trackGps || isJobTimerDone(timer)) return timer;
+  if (accuracy > CONFIG.jobTimer.maxGpsAccuracyMeters) return timer;
+
+  const point = { lat, lng };
+  if (!timer.lastFix) return { ...timer, lastFix: point };
+
+  const km = calculateStraightLineDistance(timer.lastFix, point);
+  if (km * 1000 < CONFIG.jobTimer.minGpsStepMeters) return timer;
+
+  const phaseKm = [...timer.phaseKm];
+  if (getPhase(timer, getCurrentPhaseIndex(timer)).type === "travel") {
+    phaseKm[phaseKm.length - 1] += km;
+  }
+  return { ...timer, phaseKm, lastFix: point };
+}
+
+/**
+ * Compare a finished job with its estimate
+ * Each leg is credited with a share of the job's net profit in proportion
+ * to its estimated time, so a leg that overruns shows a lower $/hour.
+ *
+ * @param {JobTimer} timer - Timer with every phase completed
+ * @returns {JobActuals}
+ */
+export function summarizeJobTimer(timer) {
+  const minutesOf = (phaseIndex) =>
+    (timer.transitions[phaseIndex + 1] - timer.transitions[phaseIndex]) / 60000;
+
+  const legs = timer.legs.map((leg, index) => ({
+    ...leg,
+    actualKm: timer.trackGps ? timer.phaseKm[index * 2] : null,
+    actualTravelMinutes: minutesOf(index * 2),
+    actualWaitMinutes: minutesOf(index * 2 + 1),
+    estimatedMinutes: leg.estimatedTravelMinutes + leg.estimatedWaitMinutes,
+  }));
+  legs.forEach((leg) => {
+    leg.actualMinutes = leg.actualTravelMinutes + leg.actualWaitMinutes;
+  });
+
+  const sum = (field) => legs.reduce((total, leg) => total + leg[field], 0);
+  const estimatedKm = sum("estimatedKm");
+  const actualKm = timer.trackGps ? sum("actualKm") : estimatedKm;
+  const estimatedMinutes = sum("estimatedMinutes");
+
+  const [pickupLeg, ...stopLegs] = legs;
+  const { fare, efficiency, petrolPrice } = timer.pricing;
+  const actual = calculateProfitability({
+    fare,
+    fuelCost: calculateFuelCost(actualKm, efficiency, petrolPrice).cost,
+    travelMinutes: sum("actualTravelMinutes"),
+    waitMinutes: stopLegs.reduce((t, leg) => t + leg.actualWaitMinutes, 0),
+    pickupWaitMinutes: pickupLeg.actualWaitMinutes,
+    jobTime: timer.startedAt,
+  });
+
+  const perHour = (profit, minutes) =>
+    minutes > 0 ? profit / (minutes / 60) : 0;
+
+  legs.forEach((leg) => {
+    const share =
+      estimatedMinutes > 0 ? leg.estimatedMinutes / estimatedMinutes : 0;
+    leg.estimatedProfitPerHour = perHour(
+      timer.estimatedNetProfit * share,
+      leg.estimatedMinutes,
+    );
+    leg.actualProfitPerHour = perHour(
+      actual.netProfit * share,
+      leg.actualMinutes,
+    );
+  });
+
+  return {
+    startedAt: timer.startedAt,
+    finishedAt: new Date(
+      timer.transitions[timer.transitions.length - 1],
+    ).toISOString(),
+    trafficCondition: timer.trafficCondition,
+    trafficSpeedKmH: timer.trafficSpeedKmH,
+    roadDistanceFactor: timer.roadDistanceFactor,
+    gpsTracked: timer.trackGps,
+    legs,
+    totals: {
+      estimatedKm,
+      actualKm: timer.trackGps ? actualKm : null,
+      estimatedMinutes,
+      actualMinutes: sum("actualMinutes"),
+      estimatedNetProfit: timer.estimatedNetProfit,
+      actualNetProfit: actual.netProfit,
+      estimatedProfitPerHour: perHour(
+        timer.estimatedNetProfit,
+        estimatedMinutes,
+      ),
+      actualProfitPerHour: actual.profitPerHour,
+    },
+  };
+}
+
+/**
+ * Store a finished job's actuals
+ * Saved on the trip history record, and each stop's wait is logged so
+ * future estimates for those addresses learn from it.
+ *
+ * @param {JobTimer} timer - Timer with every phase completed
+ * @returns {Promise<JobActuals>}
+ */
+export async function finishJobTimer(timer) {
+  const actuals = summarizeJobTimer(timer);
+
+  if (timer.tripId) {
+    await updateTrip(timer.tripId, { actuals, accepted: true });
+  }
+
+  for (const [index, stop] of timer.stops.entries()) {
+    const minutes = Math.round(actuals.legs[index + 1].actualWaitMinutes);
+    if (minutes <= CONFIG.waitLearning.maxWaitMinutes) {
+      await recordWaitObservation(stop, minutes);
+    }
+  }
+
+  clearActiveJobTimer();
+  return actuals;
+}
+
+/**
+ * Timer in progress, kept across page reloads
+ * @returns {JobTimer|null}
+ */
+export function getActiveJobTimer() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.jobTimer.storageKey));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the timer in progress
+ * @param {JobTimer} timer
+ */
+export function saveActiveJobTimer(timer) {
+  localStorage.setItem(CONFIG.jobTimer.storageKey, JSON.stringify(timer));
+}
+
+/**
+ * Stop keeping a timer
+ */
+export function clearActiveJobTimer() {
+  localStorage.removeItem(CONFIG.jobTimer.storageKey);
+}
@@ -0,0 +1,196 @@
+/**
+ * Order Text Parser
+ * Pulls the pickup, drop-offs, fare, priority fee and order type out of
+ * text copied from a Lalamove order card or read from a screenshot by OCR
+ * @module services/order-parser
+ */
+
+/**
+ * @typedef {Object} ParsedAddress
+ * @property {string} text - Address as it appeared in the order text
+ * @property {string} postalCode - Six-digit postal code ("" if none found)
+ * @property {boolean} isConfident - Whether it was labelled and has a postal code
+ */
+
+/**
+ * @typedef {Object} ParsedOrder
+ * @property {ParsedAddress|null} pickup
+ * @property {ParsedAddress[]} stops - Drop-offs in order
+ * @property {number|null} fare - Total fare offered
+ * @property {boolean} isFareConfident - Whether the fare was labelled
+ * @property {number} priorityFee - Priority fee or tip (0 if none)
+ * @property {'regular'|'pooling'|'priority'} fareType
+ */
+
+// Line labels, matched at the start of a line
+const PICKUP_LABEL =
+  /^(?:pick[\s-]?up(?:\s+(?:point|location|address))?|from)\b\s*[:.-]?\s*/i;
+const STOP_LABEL =
+  /^(?:drop[\s-]?off|delivery(?! fee)|destination|stop|to)\b\s*\d*\s*[:.-]?\s*/i;
+const PRIORITY_FEE_LABEL = /\b(?:priority fee|tip)\b/i;
+const POOLING_LABEL = /\bpool(?:ing|ed)?\b/i;
+
+// Fare labels, best first: a card can show a delivery fee as well as the
+// total, and the total is what the rider gets
+const FARE_LABELS = [
+  /\b(?:total|you(?:'|’)?ll get|earn(?:ings?)?)\b/i,
+  /\b(?:fare|price|order value)\b/i,
+  /\bdelivery fee\b/i,
+];
+
+// Lines in an address section that aren't part of the address
+const NOISE_LINE =
+  /^(?:contact|name|phone|tel|mobile|remarks?|notes?|items?|recipient|sender)\b|\b[689]\d{3}\s?\d{4}\b|\b\d+(?:\.\d+)?\s?(?:km|mins?|minutes?)\b/i;
+
+const AMOUNT = /(?:S\$|SGD|\$)\s*(\d+(?:[.,]\d{1,2})?)/i;
+const POSTAL_CODE = /(?:singapore|\bS)\s*\(?(\d{6})\)?|\b(\d{6})\b/i;
+
+/**
+ * Parse order text into form fields
+ * Labelled sections ("Pick-up", "Drop-off 2") are followed line by line.
+ * Without labels, any lines with postal codes are taken in order as the
+ * pickup and drop-offs, and marked as not confident.
+ *
+ * @param {string} text
+ * @returns {ParsedOrder}
+ */
+export function parseOrderText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const addresses = parseLabelledAddresses(lines);
+  const [pickup = null, ...stops] =
+    addresses.length > 0 ? addresses : parseUnlabelledAddresses(lines);
+
+  const { fare, isFareConfident, priorityFee } = parseAmounts(lines);
+
+  let fareType = "regular";
+  if (priorityFee > 0 || lines.some((line) => /priority/i.test(line))) {
+    fareType = "priority";
+  } else if (lines.some((line) => POOLING_LABEL.test(line))) {
+    fareType = "pooling";
+  }
+
+  return { pickup, stops, fare, isFareConfident, priorityFee, fareType };
+}
+
+/**
+ * Addresses under "Pick-up" and "Drop-off" labels
+ * An address may run over several lines (building name, then street)
+ * until its postal code.
+ *
+ * @param {string[]} lines
+ * @returns {ParsedAddress[]} Pickup first, or empty if there were no labels
+ */
+function parseLabelledAddresses(lines) {
+  const sections = [];
+  let current = null;
+
+  lines.forEach((line) => {
+    // "Delivery fee S$3" is an amount, not a drop-off
+    const isLabel = !AMOUNT.test(line);
+    const isPickup = isLabel && PICKUP_LABEL.test(line);
+    const isStop = isLabel && !isPickup && STOP_LABEL.test(line);
+
+    if (isPickup || isStop) {
+      current = { isPickup, parts: [] };
+      sections.push(current);
+      line = line.replace(isPickup ? PICKUP_LABEL : STOP_LABEL, "");
+    }
+
+    if (!current || !line || AMOUNT.test(line) || NOISE_LINE.test(line)) {
+      return;
+    }
+    if (current.parts.some((part) => POSTAL_CODE.test(part))) return;
+
+    current.parts.push(line);
+  });
+
+  const pickup = sections.find((section) => section.isPickup);
+  if (!pickup) return [];
+
+  return [pickup, ...sections.filter((section) => !section.isPickup)]
+    .filter((section) => section.parts.length > 0)
+    .map((section) => toAddress(section.parts.join(", "), true));
+}
+
+/**
+ * Lines that contain a postal code, in order
+ * @param {string[]} lines
+ * @returns {ParsedAddress[]}
+ */
+function parseUnlabelledAddresses(lines) {
+  return lines
+    .filter((line) => POSTAL_CODE.test(line) && !AMOUNT.test(line))
+    .map((line) => toAddress(line, false));
+}
+
+/**
+ * Build a parsed address
+ *
+ * @param {string} text
+ * @param {boolean} isLabelled
+ * @returns {ParsedAddress}
+ */
+function toAddress(text, isLabelled) {
+  const match = text.match(POSTAL_CODE);
+  const postalCode = match ? match[1] || match[2] : "";
+
+  return { text, postalCode, isConfident: isLabelled && Boolean(postalCode) };
+}
+
+/**
+ * Fare and priority fee from lines with dollar amounts
+ * The amount with the best fare label wins (the first, if labels tie);
+ * otherwise the first amount that isn't a priority fee is taken as the fare.
+ *
+ * @param {string[]} lines
+ * @returns {{fare: number|null, isFareConfident: boolean, priorityFee: number}}
+ */
+function parseAmounts(lines) {
+  let labelledFare = null;
+  let labelRank = FARE_LABELS.length;
+  let firstAmount = null;
+  let priorityFee = 0;
+
+  lines.forEach((line, index) => {
+    const amount = readAmount(line);
+    if (amount === null) return;
+
+    // OCR often puts the label on the line above the amount
+    const above = lines[index - 1] || "";
+    const label = `${readAmount(above) === null ? above : ""} ${line.replace(
+      AMOUNT,
+      "",
+    )}`;
+
+    const rank = FARE_LABELS.findIndex((pattern) => pattern.test(label));
+
+    if (PRIORITY_FEE_LABEL.test(label)) {
+      priorityFee = amount;
+    } else if (rank === -1) {
+      firstAmount ??= amount;
+    } else if (rank < labelRank) {
+      labelledFare = amount;
+      labelRank = rank;
+    }
+  });
+
+  return {
+    fare: labelledFare ?? firstAmount,
+    isFareConfident: labelledFare !== null,
+    priorityFee,
+  };
+}
+
+/**
+ * Dollar amount in a line
+ * @param {string} line
+ * @returns {number|null}
+ */
+function readAmount(line) {
+  const match = line.match(AMOUNT);
+  return match ? parseFloat(match[1].replace(",", ".")) : null;
+}
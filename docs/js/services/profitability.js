@@ -5,6 +5,10 @@
  */
 
 import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
+import { getProfileForDate } from "./deductions.js";
+import { calculateCpfContribution, getCpfRates } from "./cpf.js";
+import { calculateVehicleCost } from "./vehicle-cost.js";
+import { getEstimateConfidence, getWaitSpread } from "./wait-time.js";
 
 /**
  * @typedef {Object} FareBreakdown
@@ -15,6 +19,9 @@ import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
  * @property {number} platformFee - Platform fee offset deducted
  * @property {number} totalDeductions - Sum of all deductions
  * @property {number} netFare - Fare after all deductions
+ * @property {import('./deductions.js').DeductionProfile} deductionProfile - Rates used
+ * @property {import('./cpf.js').CpfContribution|null} cpf - Platform Workers Act
+ *   CPF, or null if the rider isn't covered (the profile's flat rate applies)
  */
 
 /**
@@ -26,20 +33,54 @@ import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
  * @property {number} netProfit - Profit after fuel and deductions
  * @property {number} totalTimeMinutes - Total time for the order
  * @property {number} profitPerHour - Hourly profit rate
- * @property {string} rating - Rating key (excellent/good/okay/poor)
+ * @property {string} rating - Rating key (excellent/good/okay/poor, or one
+ *   of the rider's extra tiers)
  * @property {Object} ratingDetails - Full rating information
  * @property {Object} breakdown - Detailed time/cost breakdown
+ * @property {import('./vehicle-cost.js').VehicleCost|null} vehicleCost - Ownership
+ *   costs beyond fuel, or null if not set up
+ * @property {number} trueNetProfit - Net profit after fuel and ownership costs
+ * @property {number} trueProfitPerHour - Hourly rate after fuel and ownership costs
+ * @property {ProfitRange|null} range - Best and worst case $/hour, or null
+ *   without the estimates' sources
+ */
+
+/**
+ * @typedef {Object} ProfitRange
+ * @property {number} bestPerHour - $/hour if waits and travel run short
+ * @property {number} expectedPerHour - Same as profitPerHour
+ * @property {number} worstPerHour - $/hour if waits and travel run long
+ * @property {number} shortestMinutes - Total time in the best case
+ * @property {number} longestMinutes - Total time in the worst case
+ * @property {string} worstRating - Rating key of the worst case
+ */
+
+/**
+ * @typedef {Object} TimeUncertainty
+ * @property {import('./wait-time.js').WaitEstimate[]} stopWaits - Per-stop
+ *   wait estimates
+ * @property {string} [pickupBuildingType]
+ * @property {import('./routing.js').RouteLeg[]} legs
+ * @property {string} trafficCondition - Traffic band of the route, for
+ *   legs without their own
  */
 
 /**
  * Calculate fare breakdown after Lalamove deductions
  *
  * @param {number} grossFare - Original offered fare (includes platform fee offset)
+ * @param {import('./deductions.js').DeductionProfile} [profile] - Rates to apply
+ *   (defaults to the profile in force now)
+ * @param {Date|string} [jobTime] - When the job was posted, for CPF (defaults to now)
  * @returns {FareBreakdown}
  */
-export function calculateFareBreakdown(grossFare) {
+export function calculateFareBreakdown(
+  grossFare,
+  profile = getProfileForDate(),
+  jobTime = new Date(),
+) {
   const { commissionRate, vatRate, cpfWithholdingRate, platformFeeOffset } =
-    CONFIG.fareDeductions;
+    profile;
 
   // The gross fare includes the platform fee offset
   // Commission and VAT are calculated on the base fare (before platform fee was added)
@@ -48,9 +89,14 @@ export function calculateFareBreakdown(grossFare) {
   // Calculate each deduction on the base fare
   const commission = baseFare * commissionRate;
   const vat = baseFare * vatRate;
-  const cpfWithholding = baseFare * cpfWithholdingRate;
   const platformFee = platformFeeOffset;
 
+  // Modelled CPF replaces the profile's flat placeholder rate
+  const cpf = calculateCpfContribution(baseFare, jobTime);
+  const cpfWithholding = cpf
+    ? cpf.workerContribution
+    : baseFare * cpfWithholdingRate;
+
   const totalDeductions = commission + vat + cpfWithholding + platformFee;
   const netFare = grossFare - totalDeductions;
 
@@ -63,6 +109,8 @@ export function calculateFareBreakdown(grossFare) {
     platformFee,
     totalDeductions,
     netFare,
+    deductionProfile: profile,
+    cpf,
   };
 }
 
@@ -75,6 +123,12 @@ export function calculateFareBreakdown(grossFare) {
  * @param {number} params.travelMinutes - Total travel time
  * @param {number} params.waitMinutes - Total wait time at delivery stops
  * @param {number} [params.pickupWaitMinutes] - Wait time at pickup
+ * @param {Date|string} [params.jobTime] - When the job was posted, to pick
+ *   the deduction profile (defaults to now)
+ * @param {number} [params.distanceKm] - Total distance, for ownership costs
+ *   (fuel-only figures if omitted)
+ * @param {TimeUncertainty} [params.uncertainty] - Where the times came from,
+ *   for the best and worst case (no range if omitted)
  * @returns {ProfitabilityResult}
  */
 export function calculateProfitability({
@@ -83,9 +137,16 @@ export function calculateProfitability({
   travelMinutes,
   waitMinutes,
   pickupWaitMinutes = CONFIG.defaults.pickupWaitMinutes,
+  jobTime,
+  distanceKm,
+  uncertainty,
 }) {
   // Calculate fare breakdown after Lalamove deductions
-  const fareBreakdown = calculateFareBreakdown(fare);
+  const fareBreakdown = calculateFareBreakdown(
+    fare,
+    getProfileForDate(jobTime),
+    jobTime,
+  );
   const netFare = fareBreakdown.netFare;
 
   // Calculate net profit (after deductions AND fuel)
@@ -102,6 +163,15 @@ export function calculateProfitability({
   const rating = getRating(profitPerHour);
   const ratingDetails = PROFIT_THRESHOLDS[rating];
 
+  // "True" figures also cover wear, servicing and fixed ownership costs
+  const vehicleCost =
+    distanceKm === undefined
+      ? null
+      : calculateVehicleCost(distanceKm, totalTimeMinutes);
+  const trueNetProfit = netProfit - (vehicleCost?.total ?? 0);
+  const trueProfitPerHour =
+    totalTimeHours > 0 ? trueNetProfit / totalTimeHours : 0;
+
   return {
     fare,
     netFare,
@@ -118,20 +188,98 @@ export function calculateProfitability({
       pickupWaitMinutes,
       fuelCostPercentage: netFare > 0 ? (fuelCost / netFare) * 100 : 0,
     },
+    vehicleCost,
+    trueNetProfit,
+    trueProfitPerHour,
+    range: uncertainty
+      ? calculateProfitRange(
+          netProfit,
+          totalTimeMinutes,
+          calculateTimeSpread({ ...uncertainty, pickupWaitMinutes }),
+        )
+      : null,
+  };
+}
+
+/**
+ * How far the job's total time could run either side of the estimate
+ * Traffic errors run the same way across a job, so leg spreads (by each
+ * leg's traffic condition) add up; each wait varies on its own, so those
+ * combine with travel as independent errors (square root of the sum of
+ * squares).
+ *
+ * @param {TimeUncertainty & {pickupWaitMinutes: number}} uncertainty
+ * @returns {number} Minutes
+ */
+function calculateTimeSpread({
+  stopWaits = [],
+  pickupWaitMinutes,
+  pickupBuildingType,
+  legs = [],
+  trafficCondition,
+}) {
+  const { travelSpread, estimatedRouteSpread } = CONFIG.uncertainty;
+  const spreadOf = (condition) =>
+    travelSpread[condition] ?? travelSpread.normal;
+
+  const travel = legs.reduce(
+    (sum, leg) =>
+      sum +
+      leg.timeMinutes *
+        (spreadOf(leg.trafficCondition ?? trafficCondition) +
+          (leg.isEstimate ? estimatedRouteSpread : 0)),
+    0,
+  );
+  const pickupWait =
+    pickupWaitMinutes *
+    ((100 - getEstimateConfidence(pickupBuildingType).percentage) / 100);
+  const waits = stopWaits.map((wait) => wait.minutes * getWaitSpread(wait));
+
+  return Math.sqrt(
+    [travel, pickupWait, ...waits].reduce((sum, d) => sum + d * d, 0),
+  );
+}
+
+/**
+ * Best, expected and worst case $/hour for a time spread
+ *
+ * @param {number} netProfit
+ * @param {number} totalTimeMinutes
+ * @param {number} spreadMinutes
+ * @returns {ProfitRange}
+ */
+function calculateProfitRange(netProfit, totalTimeMinutes, spreadMinutes) {
+  const shortestMinutes = Math.max(totalTimeMinutes - spreadMinutes, 1);
+  const longestMinutes = totalTimeMinutes + spreadMinutes;
+  const perHour = (minutes) => netProfit / (minutes / 60);
+
+  // A loss gets worse the longer the job takes, not better
+  const rates = [perHour(shortestMinutes), perHour(longestMinutes)];
+  const worstPerHour = Math.min(...rates);
+
+  return {
+    bestPerHour: Math.max(...rates),
+    expectedPerHour: totalTimeMinutes > 0 ? perHour(totalTimeMinutes) : 0,
+    worstPerHour,
+    shortestMinutes,
+    longestMinutes,
+    worstRating: getRating(worstPerHour),
   };
 }
 
 /**
  * Determine profitability rating based on hourly rate
+ * The highest of the rider's tiers the rate reaches; PROFIT_THRESHOLDS is
+ * kept highest first.
  *
  * @param {number} profitPerHour
  * @returns {string} Rating key
  */
-function getRating(profitPerHour) {
-  if (profitPerHour >= PROFIT_THRESHOLDS.excellent.min) return "excellent";
-  if (profitPerHour >= PROFIT_THRESHOLDS.good.min) return "good";
-  if (profitPerHour >= PROFIT_THRESHOLDS.okay.min) return "okay";
-  return "poor";
+export function getRating(profitPerHour) {
+  const match = Object.entries(PROFIT_THRESHOLDS).find(
+    ([, threshold]) => profitPerHour >= threshold.min,
+  );
+  return match ? match[0] : "poor";
 }
 
 /**
@@ -150,36 +298,218 @@ export function compareOrders(order1, order2) {
     betterOrder: profitDiff >= 0 ? 1 : 2,
     profitPerHourDifference: Math.abs(profitDiff),
     timeDifference: timeDiff,
-    recommendation:
-      profitDiff > 5
-        ? "Strong preference for order 1"
-        : profitDiff > 2
-          ? "Slight preference for order 1"
-          : profitDiff > -2
-            ? "Similar profitability"
-            : profitDiff > -5
-              ? "Slight preference for order 2"
-              : "Strong preference for order 2",
+    recommendation: describePreference(profitDiff),
   };
 }
 
+/**
+ * Sort keys supported by rankOrders
+ * Each comparator puts the preferred order first and falls back to $/hour
+ */
+const RANKING_COMPARATORS = {
+  profitPerHour: (a, b) =>
+    b.profitPerHour - a.profitPerHour || b.netProfit - a.netProfit,
+  netProfit: (a, b) =>
+    b.netProfit - a.netProfit || b.profitPerHour - a.profitPerHour,
+  totalTimeMinutes: (a, b) =>
+    a.totalTimeMinutes - b.totalTimeMinutes ||
+    b.profitPerHour - a.profitPerHour,
+};
+
+/**
+ * Rank any number of orders against each other
+ * Generalises compareOrders to N candidates. The recommendation always
+ * compares the two best orders by $/hour, whatever the table is sorted by.
+ *
+ * @param {ProfitabilityResult[]} orders - Results in the order they were entered
+ * @param {'profitPerHour'|'netProfit'|'totalTimeMinutes'} [sortBy='profitPerHour']
+ * @returns {Object} Ranked entries with recommendation
+ */
+export function rankOrders(orders, sortBy = "profitPerHour") {
+  if (orders.length < 2) {
+    throw new Error("Need at least 2 orders to compare");
+  }
+
+  const compare =
+    RANKING_COMPARATORS[sortBy] || RANKING_COMPARATORS.profitPerHour;
+
+  const entries = orders.map((profitability, index) => ({
+    orderNumber: index + 1,
+    profitability,
+  }));
+
+  const byRate = [...entries].sort((a, b) =>
+    RANKING_COMPARATORS.profitPerHour(a.profitability, b.profitability),
+  );
+  const [best, runnerUp] = byRate;
+
+  const ranked = [...entries]
+    .sort((a, b) => compare(a.profitability, b.profitability))
+    .map((entry, index) => ({
+      ...entry,
+      rank: index + 1,
+      profitPerHourBehindBest:
+        best.profitability.profitPerHour - entry.profitability.profitPerHour,
+    }));
+
+  const profitDiff =
+    best.profitability.profitPerHour - runnerUp.profitability.profitPerHour;
+  let recommendation = describePreference(
+    profitDiff,
+    `Order ${best.orderNumber}`,
+    `Order ${runnerUp.orderNumber}`,
+  );
+
+  if (best.profitability.rating === "poor") {
+    recommendation += ` - but even the best option is rated ${PROFIT_THRESHOLDS.poor.name}`;
+  }
+
+  return {
+    sortBy: RANKING_COMPARATORS[sortBy] ? sortBy : "profitPerHour",
+    ranked,
+    bestOrder: best.orderNumber,
+    runnerUpOrder: runnerUp.orderNumber,
+    profitPerHourDifference: profitDiff,
+    recommendation,
+  };
+}
+
+/**
+ * Describe how strongly one order is preferred over another
+ *
+ * @param {number} profitDiff - $/hour of first order minus second order
+ * @param {string} [firstLabel='order 1']
+ * @param {string} [secondLabel='order 2']
+ * @returns {string}
+ */
+function describePreference(
+  profitDiff,
+  firstLabel = "order 1",
+  secondLabel = "order 2",
+) {
+  if (profitDiff > 5) return `Strong preference for ${firstLabel}`;
+  if (profitDiff > 2) return `Slight preference for ${firstLabel}`;
+  if (profitDiff > -2) return "Similar profitability";
+  if (profitDiff > -5) return `Slight preference for ${secondLabel}`;
+  return `Strong preference for ${secondLabel}`;
+}
+
+/**
+ * Gross fare needed to take home a given net fare
+ * Inverse of calculateFareBreakdown(): deductions apply to the fare
+ * minus the platform fee offset, which is then deducted in full.
+ * When the CPF monthly ceiling cuts in part-way through the fare the
+ * relationship is no longer a straight line, so the fare is found by
+ * bisection between the with-CPF and without-CPF answers.
+ *
+ * @param {number} netFare - Desired fare after Lalamove deductions
+ * @param {import('./deductions.js').DeductionProfile} [profile] - Rates to apply
+ * @param {Date|string} [jobTime] - When the job was posted, for CPF (defaults to now)
+ * @returns {number} Offered (gross) fare
+ */
+export function calculateGrossFareForNet(
+  netFare,
+  profile = getProfileForDate(),
+  jobTime = new Date(),
+) {
+  const { commissionRate, vatRate, cpfWithholdingRate, platformFeeOffset } =
+    profile;
+  const cpfRate = getCpfRates(jobTime)?.workerRate ?? cpfWithholdingRate;
+
+  // netFare = (grossFare - platformFeeOffset) × share kept after deductions
+  const grossAtShare = (keptShare) => netFare / keptShare + platformFeeOffset;
+  const netAt = (grossFare) =>
+    calculateFareBreakdown(grossFare, profile, jobTime).netFare;
+
+  let high = grossAtShare(1 - commissionRate - vatRate - cpfRate);
+  if (Math.abs(netAt(high) - netFare) < 1e-9) return high;
+
+  let low = grossAtShare(1 - commissionRate - vatRate);
+  for (let i = 0; i < 60 && high - low > 1e-9; i++) {
+    const mid = (low + high) / 2;
+    if (netAt(mid) < netFare) low = mid;
+    else high = mid;
+  }
+  return high;
+}
+
 /**
  * Calculate minimum acceptable fare for a route
- * Based on target hourly rate
+ * Based on target hourly rate, after Lalamove deductions and fuel
  *
  * @param {number} fuelCost - Estimated fuel cost
  * @param {number} totalTimeMinutes - Estimated total time
  * @param {number} targetHourlyRate - Desired $/hour
- * @returns {number} Minimum fare
+ * @param {import('./deductions.js').DeductionProfile} [profile] - Rates to apply
+ * @param {Date|string} [jobTime] - When the job was posted, for CPF (defaults to now)
+ * @returns {number} Minimum gross fare
  */
 export function calculateMinimumFare(
   fuelCost,
   totalTimeMinutes,
   targetHourlyRate,
+  profile = getProfileForDate(),
+  jobTime = new Date(),
 ) {
   const timeHours = totalTimeMinutes / 60;
   const desiredProfit = targetHourlyRate * timeHours;
-  return fuelCost + desiredProfit;
+  return calculateGrossFareForNet(fuelCost + desiredProfit, profile, jobTime);
+}
+
+/**
+ * Work out the fare a route needs to reach a target $/hour
+ * Rounded up to the cent so the fare always meets the target. A fare
+ * above CONFIG.limits.maxFare is still worked out but marked as out of
+ * reach, since no order will offer it.
+ *
+ * @param {Object} params
+ * @param {number} params.fuelCost - Calculated fuel cost in SGD
+ * @param {number} params.travelMinutes - Total travel time
+ * @param {number} params.waitMinutes - Total wait time at delivery stops
+ * @param {number} [params.pickupWaitMinutes] - Wait time at pickup
+ * @param {number} params.targetHourlyRate - Desired take-home $/hour
+ * @param {Date|string} [params.jobTime] - When the job was posted (defaults to now)
+ * @param {number} [params.distanceKm] - Total distance, for ownership costs
+ * @param {TimeUncertainty} [params.uncertainty] - For the best and worst case
+ *   at the required fare
+ * @returns {{targetHourlyRate: number, fare: number, isReachable: boolean, profitability: ProfitabilityResult}}
+ */
+export function calculateRequiredFare({
+  fuelCost,
+  travelMinutes,
+  waitMinutes,
+  pickupWaitMinutes = CONFIG.defaults.pickupWaitMinutes,
+  targetHourlyRate,
+  jobTime,
+  distanceKm,
+  uncertainty,
+}) {
+  const totalTimeMinutes = travelMinutes + waitMinutes + pickupWaitMinutes;
+  const exactFare = calculateMinimumFare(
+    fuelCost,
+    totalTimeMinutes,
+    targetHourlyRate,
+    getProfileForDate(jobTime),
+    jobTime,
+  );
+  // Small tolerance so float error doesn't add a cent to an exact fare
+  const fare = Math.ceil(exactFare * 100 - 1e-6) / 100;
+
+  return {
+    targetHourlyRate,
+    fare,
+    isReachable: fare <= CONFIG.limits.maxFare,
+    profitability: calculateProfitability({
+      fare,
+      fuelCost,
+      travelMinutes,
+      waitMinutes,
+      pickupWaitMinutes,
+      jobTime,
+      distanceKm,
+      uncertainty,
+    }),
+  };
 }
 
 /**
@@ -200,9 +530,10 @@ export function analyzeFareScenarios(baseParams, fareOptions) {
  * Get profitability insights and recommendations
  *
  * @param {ProfitabilityResult} result
+ * @param {Date|string} [jobTime] - When the job was posted, for CPF (defaults to now)
  * @returns {Object} Insights object
  */
-export function getInsights(result) {
+export function getInsights(result, jobTime = new Date()) {
   const insights = [];
   const recommendations = [];
 
@@ -227,21 +558,23 @@ export function getInsights(result) {
     recommendations.push("Wait times are eating into your earnings");
   }
 
-  // Profitability analysis
-  if (result.rating === "poor") {
+  // Profitability analysis, against the rider's own tiers
+  const { excellent, good, okay } = PROFIT_THRESHOLDS;
+  const rating = PROFIT_THRESHOLDS[result.rating] || PROFIT_THRESHOLDS.poor;
+  if (result.profitPerHour < okay.min) {
     insights.push({
       type: "warning",
       message: `At $${result.profitPerHour.toFixed(
         2,
-      )}/hr, this is below minimum wage`,
+      )}/hr, this is below your $${okay.min}/hr minimum`,
     });
     recommendations.push(
       "Consider declining unless it positions you well for better orders",
     );
-  } else if (result.rating === "excellent") {
+  } else if (result.profitPerHour >= excellent.min) {
     insights.push({
       type: "success",
-      message: "Excellent hourly rate - prioritize this order",
+      message: `${rating.name} hourly rate - prioritize this order`,
     });
   }
 
@@ -249,16 +582,16 @@ export function getInsights(result) {
   const minFareForGood = calculateMinimumFare(
     result.fuelCost,
     result.totalTimeMinutes,
-    PROFIT_THRESHOLDS.good.min,
+    good.min,
+    result.fareBreakdown.deductionProfile,
+    jobTime,
   );
 
-  if (
-    result.fare < minFareForGood &&
-    result.rating !== "excellent" &&
-    result.rating !== "good"
-  ) {
+  if (result.fare < minFareForGood && result.profitPerHour < good.min) {
     recommendations.push(
-      `Fare would need to be $${minFareForGood.toFixed(2)} for a "Good" rating`,
+      `Fare would need to be $${minFareForGood.toFixed(2)} for a "${
+        good.name
+      }" rating`,
     );
   }
 
@@ -0,0 +1,263 @@
+/**
+ * Rider Profiles
+ * Saved sets of the rider's bike, petrol, home base, targets and rating
+ * tiers, so a shared phone or a second bike starts from the right values.
+ * The active profile's tiers apply to every rating.
+ * @module services/rider-profiles
+ */
+
+import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
+import { validateRiderProfile } from "../utils/validation.js";
+
+/**
+ * @typedef {Object} RiderProfile
+ * @property {string} id - Unique ID ('default' until the rider saves one)
+ * @property {string} name - Display name
+ * @property {string} bikeModel - BIKE_MODELS id
+ * @property {number|null} customEfficiency - km/L, for the custom bike
+ * @property {string} petrolGrade - PETROL_GRADES id
+ * @property {number} petrolPrice - $/L for that grade
+ * @property {string} homeBase - Where the rider starts from ("" if not set)
+ * @property {number} targetRate - Take-home $/hour for the required fare mode
+ * @property {RatingTier[]} ratingTiers - Highest first
+ * @property {string|null} deductionProfileId - Deduction profile to use for
+ *   jobs from its effective date (null to go by the job's date)
+ */
+
+/**
+ * @typedef {Object} RatingTier
+ * @property {string} id - 'excellent', 'good', 'okay', 'poor', or a
+ *   generated ID for an extra tier
+ * @property {string} name - Label shown for the rating
+ * @property {string} emoji
+ * @property {string} color - Hex colour (#rrggbb)
+ * @property {number} min - Lowest $/hour for the rating (0 for poor)
+ */
+
+export const DEFAULT_RIDER_PROFILE_ID = "default";
+
+/**
+ * Built-in rating tiers, before any profile's are applied
+ * @type {RatingTier[]}
+ */
+const BUILT_IN_TIERS = Object.entries(PROFIT_THRESHOLDS).map(
+  ([id, { name, emoji, color, min }]) => ({ id, name, emoji, color, min }),
+);
+
+/**
+ * Profile for a device with none saved, from the built-in defaults
+ * @returns {RiderProfile}
+ */
+function getDefaultProfile() {
+  return {
+    id: DEFAULT_RIDER_PROFILE_ID,
+    name: "My profile",
+    bikeModel: CONFIG.riderProfiles.defaultBikeModel,
+    customEfficiency: null,
+    petrolGrade: CONFIG.riderProfiles.defaultPetrolGrade,
+    petrolPrice: CONFIG.defaults.petrolPrice,
+    homeBase: "",
+    targetRate: BUILT_IN_TIERS.find((tier) => tier.id === "good").min,
+    ratingTiers: getBuiltInRatingTiers(),
+    deductionProfileId: null,
+  };
+}
+
+/**
+ * Built-in rating tiers, for a new profile or to reset one
+ * @returns {RatingTier[]}
+ */
+export function getBuiltInRatingTiers() {
+  return BUILT_IN_TIERS.map((tier) => ({ ...tier }));
+}
+
+/**
+ * A profile's rating tiers, highest first
+ * Profiles saved before tiers could be added only have minimums for the
+ * built-in tiers.
+ *
+ * @param {RiderProfile} profile
+ * @returns {RatingTier[]}
+ */
+export function getRatingTiers(profile) {
+  if (Array.isArray(profile.ratingTiers)) return profile.ratingTiers;
+
+  return getBuiltInRatingTiers().map((tier) => ({
+    ...tier,
+    min: profile.thresholds?.[tier.id] ?? tier.min,
+  }));
+}
+
+/**
+ * Read saved profiles from localStorage
+ * @returns {RiderProfile[]}
+ */
+function loadSavedProfiles() {
+  try {
+    const stored = localStorage.getItem(CONFIG.riderProfiles.storageKey);
+    const profiles = stored ? JSON.parse(stored) : [];
+    return Array.isArray(profiles) ? profiles : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write saved profiles to localStorage
+ * @param {RiderProfile[]} profiles
+ */
+function storeProfiles(profiles) {
+  localStorage.setItem(
+    CONFIG.riderProfiles.storageKey,
+    JSON.stringify(profiles),
+  );
+}
+
+/**
+ * All profiles in the order they were saved
+ * A device with none saved has the default profile.
+ *
+ * @returns {RiderProfile[]}
+ */
+export function getRiderProfiles() {
+  const saved = loadSavedProfiles();
+  return saved.length > 0 ? saved : [getDefaultProfile()];
+}
+
+/**
+ * Profile the calculator is using
+ * Falls back to the first profile if the active one has been deleted.
+ *
+ * @returns {RiderProfile}
+ */
+export function getActiveRiderProfile() {
+  const profiles = getRiderProfiles();
+  let activeId = null;
+  try {
+    activeId = localStorage.getItem(CONFIG.riderProfiles.activeKey);
+  } catch {
+    // Storage blocked; use the first profile
+  }
+
+  return profiles.find((profile) => profile.id === activeId) || profiles[0];
+}
+
+/**
+ * Switch to another profile and apply its rating tiers
+ *
+ * @param {string} id
+ * @returns {RiderProfile} The profile now active
+ */
+export function setActiveRiderProfile(id) {
+  localStorage.setItem(CONFIG.riderProfiles.activeKey, id);
+  return applyActiveProfile();
+}
+
+/**
+ * Add or replace a saved profile
+ * Saving the active profile applies its new tiers straight away.
+ *
+ * @param {Object} profile - Profile fields; an existing id replaces that profile
+ * @returns {RiderProfile} The stored profile
+ * @throws {Error} If the profile is invalid
+ */
+export function saveRiderProfile(profile) {
+  const validation = validateRiderProfile(profile);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const record = {
+    id:
+      profile.id ||
+      `rider-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 6)}`,
+    name: profile.name.trim(),
+    bikeModel: profile.bikeModel,
+    customEfficiency:
+      profile.bikeModel === "custom" ? profile.customEfficiency : null,
+    petrolGrade: profile.petrolGrade,
+    petrolPrice: profile.petrolPrice,
+    homeBase: String(profile.homeBase ?? "").trim(),
+    targetRate: profile.targetRate,
+    ratingTiers: profile.ratingTiers
+      .map((tier) => ({
+        id: tier.id || `tier-${Math.random().toString(36).slice(2, 8)}`,
+        name: tier.name.trim(),
+        emoji: String(tier.emoji ?? "").trim(),
+        color: tier.color.toLowerCase(),
+        min: tier.min,
+      }))
+      .sort((a, b) => b.min - a.min),
+    deductionProfileId: profile.deductionProfileId || null,
+  };
+
+  // Replace in place so the switcher keeps its order
+  const saved = loadSavedProfiles();
+  const index = saved.findIndex((p) => p.id === record.id);
+  if (index >= 0) {
+    saved[index] = record;
+  } else {
+    // The unsaved default keeps its place ahead of the first new profile
+    if (saved.length === 0 && record.id !== DEFAULT_RIDER_PROFILE_ID) {
+      saved.push(getDefaultProfile());
+    }
+    saved.push(record);
+  }
+  storeProfiles(saved);
+
+  applyActiveProfile();
+  return record;
+}
+
+/**
+ * Delete a saved profile
+ * The last profile can't be deleted; deleting the active one switches to
+ * the first that's left.
+ *
+ * @param {string} id
+ * @returns {RiderProfile} The profile now active
+ * @throws {Error} If it's the only profile
+ */
+export function deleteRiderProfile(id) {
+  const remaining = loadSavedProfiles().filter((profile) => profile.id !== id);
+  if (remaining.length === 0) {
+    throw new Error("Keep at least one rider profile");
+  }
+
+  storeProfiles(remaining);
+  return applyActiveProfile();
+}
+
+/**
+ * Replace PROFIT_THRESHOLDS with the active profile's rating tiers
+ * Rebuilt highest first, since ratings are read in key order.
+ *
+ * @returns {RiderProfile} The active profile
+ */
+function applyActiveProfile() {
+  const profile = getActiveRiderProfile();
+
+  Object.keys(PROFIT_THRESHOLDS).forEach((key) => {
+    delete PROFIT_THRESHOLDS[key];
+  });
+  [...getRatingTiers(profile)]
+    .sort((a, b) => b.min - a.min)
+    .forEach(({ id, name, emoji, color, min }) => {
+      PROFIT_THRESHOLDS[id] = {
+        min,
+        color,
+        label: emoji ? `${emoji} ${name}` : name,
+        name,
+        emoji,
+      };
+    });
+
+  return profile;
+}
+
+// Every page rates jobs with the active profile's tiers
+if (typeof localStorage !== "undefined") {
+  applyActiveProfile();
+}
@@ -1,11 +1,57 @@
 /**
  * Routing Service
- * Calculates routes and distances between multiple points
+ * Calculates routes and distances between multiple points, through the
+ * rider's routing providers in order
  * @module services/routing
  */
 
-import { getRoute, calculateStraightLineDistance } from "../api/onemap.js";
-import { CONFIG, getTrafficSpeed, detectTrafficCondition } from "../config.js";
+import {
+  getRoute,
+  calculateStraightLineDistance,
+  decodeRouteGeometry,
+} from "../api/onemap.js";
+import { requestServerRoute } from "../api/route-server.js";
+import { CONFIG } from "../config.js";
+import { validateRoutingSettings } from "../utils/validation.js";
+import { getLegTraffic, classifyTraffic } from "./traffic.js";
+
+/**
+ * @typedef {Object} ProviderRoute
+ * @property {number} distanceKm
+ * @property {number} timeMinutes - Provider's travel time, before traffic
+ * @property {Array<{lat: number, lng: number}>|null} geometry - Path, if
+ *   the provider sent one
+ */
+
+/**
+ * @typedef {Object} RoutingSettings
+ * @property {Array<{id: string, enabled: boolean}>} providers - Every
+ *   provider, in the order they're tried
+ * @property {{url: string, format: string}} server - Self-hosted route
+ *   server address and API ('osrm' or 'graphhopper')
+ */
+
+/**
+ * Routing providers by ID (labels are in CONFIG.routing.providers)
+ * Each routes between two points, throwing if it can't, so the next
+ * provider in the rider's order can be tried.
+ *
+ * @type {Object<string, function(Object, Object, {token: string|null, settings: RoutingSettings}): Promise<ProviderRoute>>}
+ */
+const ROUTING_PROVIDERS = {
+  onemap: async (start, end, { token }) => {
+    const routeData = await getRoute(start, end, token);
+    return {
+      distanceKm: routeData.route_summary.total_distance / 1000,
+      timeMinutes: routeData.route_summary.total_time / 60,
+      geometry: routeData.route_geometry
+        ? decodeRouteGeometry(routeData.route_geometry)
+        : null,
+    };
+  },
+  server: (start, end, { settings }) =>
+    requestServerRoute(start, end, settings.server),
+};
 
 /**
  * @typedef {Object} RouteLeg
@@ -14,6 +60,16 @@ import { CONFIG, getTrafficSpeed, detectTrafficCondition } from "../config.js";
  * @property {number} distanceKm - Distance in kilometers
  * @property {number} timeMinutes - Estimated travel time in minutes
  * @property {boolean} isEstimate - True if using fallback calculation
+ * @property {string|null} provider - Routing provider ID (null for estimates)
+ * @property {Array<{lat: number, lng: number}>} geometry - Path of the leg
+ *   (a straight segment for estimates)
+ * @property {string} departAt - ISO time the leg starts
+ * @property {number} timeFactor - Speed factor for when the leg is ridden
+ * @property {number} areaFactor - Slowdown from congested areas (1 for none)
+ * @property {number} speedFactor - Speed as a multiple of
+ *   CONFIG.defaults.averageSpeedKmH
+ * @property {string} trafficCondition - Traffic band the leg falls in
+ * @property {string[]} areas - Congested areas slowing the leg
  */
 
 /**
@@ -22,40 +78,64 @@ import { CONFIG, getTrafficSpeed, detectTrafficCondition } from "../config.js";
  * @property {number} totalDistanceKm - Total distance
  * @property {number} totalTravelMinutes - Total travel time
  * @property {boolean} hasEstimates - True if any leg used fallback
+ * @property {string} trafficCondition - Traffic band of the whole route
+ * @property {string|null} trafficOverride - Condition the rider picked
+ *   (null when legs follow the traffic profile)
+ * @property {number} averageSpeedKmH - Distance over travel time
+ */
+
+/**
+ * @typedef {Object} RouteMatrix
+ * @property {number[][]} distanceKm - distanceKm[i][j] from point i to point j
+ * @property {number[][]} timeMinutes - timeMinutes[i][j] from point i to point j
+ * @property {boolean} hasEstimates - True if any pair used the fallback
  */
 
 /**
  * Calculate route through multiple points
- * Handles API failures gracefully with fallback calculations
+ * Handles API failures gracefully with fallback calculations. Each leg is
+ * timed for when it starts: after the legs before it and the waits at
+ * the points between.
  *
  * @param {Array<GeocodedLocation>} points - Array of geocoded locations in order
  * @param {string} [token] - Optional API token
- * @param {string} [trafficCondition] - Traffic condition: 'light', 'normal', or 'heavy'
+ * @param {string} [trafficCondition] - 'light', 'normal' or 'heavy' for the
+ *   whole job (null to follow the traffic profile)
+ * @param {Object} [options]
+ * @param {Date} [options.departAt=new Date()] - When the first leg starts
+ * @param {number[]} [options.waitMinutes] - Minutes spent at each point
+ *   before leaving it
  * @returns {Promise<FullRoute>}
  */
 export async function calculateMultiStopRoute(
   points,
   token = null,
   trafficCondition = null,
+  { departAt = new Date(), waitMinutes = [] } = {},
 ) {
   if (points.length < 2) {
     throw new Error("Need at least 2 points for a route");
   }
 
-  // Use provided traffic condition or auto-detect
-  const traffic = trafficCondition || detectTrafficCondition();
-
   const legs = [];
   let hasEstimates = false;
+  let clock = departAt.getTime();
 
   // Calculate each leg sequentially to respect API rate limits
   for (let i = 0; i < points.length - 1; i++) {
     const start = points[i];
     const end = points[i + 1];
+    const legStart = new Date(clock + (waitMinutes[i] || 0) * 60000);
 
+    let leg;
     try {
-      const leg = await calculateRouteLeg(start, end, token, traffic);
-      legs.push(leg);
+      leg = await calculateRouteLeg(
+        start,
+        end,
+        token,
+        legStart,
+        trafficCondition,
+      );
       if (leg.isEstimate) hasEstimates = true;
     } catch (error) {
       // Fallback to estimate if API fails
@@ -63,18 +143,34 @@ export async function calculateMultiStopRoute(
         `Route API failed for leg ${i + 1}, using estimate:`,
         error.message,
       );
-      const leg = estimateRouteLeg(start, end, traffic);
-      legs.push(leg);
+      leg = estimateRouteLeg(start, end, legStart, trafficCondition);
       hasEstimates = true;
     }
+
+    legs.push(leg);
+    clock = legStart.getTime() + leg.timeMinutes * 60000;
   }
 
+  const totalDistanceKm = sumBy(legs, "distanceKm");
+  const totalTravelMinutes = sumBy(legs, "timeMinutes");
+  const freeFlowMinutes = legs.reduce(
+    (sum, leg) => sum + leg.timeMinutes * leg.speedFactor,
+    0,
+  );
+
   return {
     legs,
-    totalDistanceKm: sumBy(legs, "distanceKm"),
-    totalTravelMinutes: sumBy(legs, "timeMinutes"),
+    totalDistanceKm,
+    totalTravelMinutes,
     hasEstimates,
-    trafficCondition: traffic,
+    trafficCondition:
+      trafficCondition ||
+      classifyTraffic(
+        totalTravelMinutes > 0 ? freeFlowMinutes / totalTravelMinutes : 1,
+      ),
+    trafficOverride: trafficCondition || null,
+    averageSpeedKmH:
+      totalTravelMinutes > 0 ? (totalDistanceKm / totalTravelMinutes) * 60 : 0,
     // Store coordinates for Google Maps link
     coordinates: points.map((p) => ({
       lat: p.lat,
@@ -85,61 +181,303 @@ export async function calculateMultiStopRoute(
 }
 
 /**
- * Calculate a single route leg using the API
+ * Calculate distance and time between every pair of points
+ * Used by the stop optimiser to try different visit orders. Every pair
+ * is timed as if ridden at departAt, so orders compare on equal terms.
+ * Point 0 is where the route starts, so pairs back to it aren't routed
+ * (they're left at 0). Up to CONFIG.routing.matrixConcurrency pairs are
+ * routed at once; OneMap routes already fetched come from the offline
+ * cache.
+ *
+ * @param {Array<GeocodedLocation>} points - Points to connect
+ * @param {string} [token] - Optional API token
+ * @param {string} [trafficCondition] - 'light', 'normal' or 'heavy' for the
+ *   whole job (null to follow the traffic profile)
+ * @param {Date} [departAt=new Date()] - When the pairs are ridden
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called
+ *   with the pairs done and the total after each pair
+ * @returns {Promise<RouteMatrix>}
+ */
+export async function calculateRouteMatrix(
+  points,
+  token = null,
+  trafficCondition = null,
+  departAt = new Date(),
+  { onProgress = () => {} } = {},
+) {
+  const size = points.length;
+
+  const distanceKm = Array.from({ length: size }, () =>
+    new Array(size).fill(0),
+  );
+  const timeMinutes = Array.from({ length: size }, () =>
+    new Array(size).fill(0),
+  );
+  let hasEstimates = false;
+
+  const pairs = [];
+  for (let i = 0; i < size; i++) {
+    for (let j = 1; j < size; j++) {
+      if (i !== j) pairs.push([i, j]);
+    }
+  }
+
+  let next = 0;
+  let done = 0;
+  const routeNextPair = async () => {
+    while (next < pairs.length) {
+      const [i, j] = pairs[next++];
+
+      let leg;
+      try {
+        leg = await calculateRouteLeg(
+          points[i],
+          points[j],
+          token,
+          departAt,
+          trafficCondition,
+        );
+      } catch (error) {
+        console.warn(
+          `Route API failed for pair ${i + 1}→${j + 1}, using estimate:`,
+          error.message,
+        );
+        leg = estimateRouteLeg(
+          points[i],
+          points[j],
+          departAt,
+          trafficCondition,
+        );
+      }
+
+      distanceKm[i][j] = leg.distanceKm;
+      timeMinutes[i][j] = leg.timeMinutes;
+      if (leg.isEstimate) hasEstimates = true;
+      onProgress(++done, pairs.length);
+    }
+  };
+
+  // A few pairs at a time keeps well inside OneMap's rate limit
+  await Promise.all(
+    Array.from(
+      { length: Math.min(CONFIG.routing.matrixConcurrency, pairs.length) },
+      routeNextPair,
+    ),
+  );
+
+  return { distanceKm, timeMinutes, hasEstimates };
+}
+
+/**
+ * Calculate a single route leg through the routing providers
  *
  * @param {GeocodedLocation} start
  * @param {GeocodedLocation} end
- * @param {string} [token]
- * @param {string} [trafficCondition]
+ * @param {string} [token] - OneMap token
+ * @param {Date} [departAt=new Date()]
+ * @param {string} [trafficCondition] - Picked condition (null for the profile)
  * @returns {Promise<RouteLeg>}
+ * @throws {Error} If no provider could route the leg
  */
-async function calculateRouteLeg(start, end, token, trafficCondition) {
-  const routeData = await getRoute(
+async function calculateRouteLeg(
+  start,
+  end,
+  token,
+  departAt = new Date(),
+  trafficCondition = null,
+) {
+  const { provider, ...route } = await routeWithProviders(
     { lat: start.lat, lng: start.lng },
     { lat: end.lat, lng: end.lng },
     token,
   );
 
-  const distanceKm = routeData.route_summary.total_distance / 1000;
-
-  // API returns typical time, but we adjust based on traffic condition
-  // API time assumes average conditions, so we scale it
-  const apiTimeMinutes = routeData.route_summary.total_time / 60;
-  const trafficSpeed = getTrafficSpeed(trafficCondition);
-  const normalSpeed = CONFIG.defaults.averageSpeedKmH;
-
-  // Scale time based on traffic: slower speed = more time
-  const adjustedTimeMinutes = apiTimeMinutes * (normalSpeed / trafficSpeed);
+  // Provider time assumes average conditions, so scale it by the traffic
+  // for when and where the leg is ridden: slower speed = more time
+  const geometry =
+    route.geometry?.length >= 2 ? route.geometry : toSegment(start, end);
+  const traffic = getLegTraffic(geometry, departAt, trafficCondition);
 
   return {
     from: start.address,
     to: end.address,
-    distanceKm,
-    timeMinutes: adjustedTimeMinutes,
+    distanceKm: route.distanceKm,
+    timeMinutes: route.timeMinutes / traffic.speedFactor,
     isEstimate: false,
+    provider,
+    geometry,
+    departAt: departAt.toISOString(),
+    ...traffic,
+  };
+}
+
+/**
+ * Route between two points with the first provider that answers
+ * Providers are tried in the rider's order, skipping any switched off.
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {string|null} token - OneMap token
+ * @returns {Promise<ProviderRoute & {provider: string}>}
+ * @throws {Error} Listing each provider's failure
+ */
+async function routeWithProviders(start, end, token) {
+  const settings = getRoutingSettings();
+  const chain = settings.providers.filter((provider) => provider.enabled);
+  if (chain.length === 0) {
+    throw new Error("No routing providers switched on");
+  }
+
+  const failures = [];
+  for (const { id } of chain) {
+    try {
+      const route = await ROUTING_PROVIDERS[id](start, end, {
+        token,
+        settings,
+      });
+      return { ...route, provider: id };
+    } catch (error) {
+      failures.push(`${CONFIG.routing.providers[id].label}: ${error.message}`);
+    }
+  }
+
+  throw new Error(failures.join("; "));
+}
+
+/**
+ * Route the settings' test journey with one provider
+ * Lets the rider check a provider (e.g. a new route server) before relying
+ * on it. Doesn't need the provider to be switched on or saved.
+ *
+ * @param {string} id - Provider ID
+ * @param {RoutingSettings} [settings] - Settings to test with (defaults to saved)
+ * @param {string|null} [token] - OneMap token
+ * @returns {Promise<ProviderRoute>}
+ * @throws {Error} If the provider can't route it
+ */
+export async function testRoutingProvider(
+  id,
+  settings = getRoutingSettings(),
+  token = null,
+) {
+  const [start, end] = CONFIG.routing.testRoute;
+  return ROUTING_PROVIDERS[id](start, end, { token, settings });
+}
+
+/**
+ * Rider's routing providers, in the order they're tried
+ * Providers added since the settings were saved go last, switched off.
+ *
+ * @returns {RoutingSettings}
+ */
+export function getRoutingSettings() {
+  const defaults = getDefaultRoutingSettings();
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(CONFIG.routing.storageKey));
+  } catch {
+    // Fall through to the defaults
+  }
+  if (!stored || !Array.isArray(stored.providers)) return defaults;
+
+  const known = Object.keys(CONFIG.routing.providers);
+  const providers = stored.providers
+    .filter((provider) => known.includes(provider?.id))
+    .map(({ id, enabled }) => ({ id, enabled: Boolean(enabled) }));
+  known.forEach((id) => {
+    if (!providers.some((provider) => provider.id === id)) {
+      providers.push({ id, enabled: false });
+    }
+  });
+
+  return {
+    providers,
+    server: { ...defaults.server, ...stored.server },
+  };
+}
+
+/**
+ * Built-in routing settings: OneMap only
+ * @returns {RoutingSettings}
+ */
+export function getDefaultRoutingSettings() {
+  return {
+    providers: Object.keys(CONFIG.routing.providers).map((id) => ({
+      id,
+      enabled: id === "onemap",
+    })),
+    server: { url: "", format: "osrm" },
+  };
+}
+
+/**
+ * Save the rider's routing providers
+ *
+ * @param {RoutingSettings} settings
+ * @returns {RoutingSettings} The stored settings
+ * @throws {Error} If the settings are invalid
+ */
+export function saveRoutingSettings(settings) {
+  const validation = validateRoutingSettings(settings);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const record = {
+    providers: settings.providers.map(({ id, enabled }) => ({
+      id,
+      enabled: Boolean(enabled),
+    })),
+    server: {
+      url: String(settings.server.url ?? "").trim(),
+      format: settings.server.format,
+    },
   };
+  localStorage.setItem(CONFIG.routing.storageKey, JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Whether OneMap is one of the providers switched on
+ * @returns {boolean}
+ */
+export function isOneMapRoutingEnabled() {
+  return getRoutingSettings().providers.some(
+    (provider) => provider.id === "onemap" && provider.enabled,
+  );
 }
 
 /**
  * Estimate a route leg using straight-line distance
- * Applies a 1.4x multiplier for road vs straight-line distance
+ * Applies CONFIG.defaults.roadDistanceFactor (1.4x unless the rider has
+ * recalibrated it) for road vs straight-line distance
  *
  * @param {GeocodedLocation} start
  * @param {GeocodedLocation} end
- * @param {string} [trafficCondition]
+ * @param {Date} [departAt=new Date()]
+ * @param {string} [trafficCondition] - Picked condition (null for the profile)
  * @returns {RouteLeg}
  */
-function estimateRouteLeg(start, end, trafficCondition) {
+function estimateRouteLeg(
+  start,
+  end,
+  departAt = new Date(),
+  trafficCondition = null,
+) {
   const straightLineKm = calculateStraightLineDistance(
     { lat: start.lat, lng: start.lng },
     { lat: end.lat, lng: end.lng },
   );
 
   // Road distance is typically 1.3-1.5x straight line in urban areas
-  const estimatedDistanceKm = straightLineKm * 1.4;
+  const estimatedDistanceKm =
+    straightLineKm * CONFIG.defaults.roadDistanceFactor;
 
   // Use traffic-adjusted speed
-  const speed = getTrafficSpeed(trafficCondition);
+  const geometry = toSegment(start, end);
+  const traffic = getLegTraffic(geometry, departAt, trafficCondition);
+  const speed = CONFIG.defaults.averageSpeedKmH * traffic.speedFactor;
   const estimatedTimeMinutes = (estimatedDistanceKm / speed) * 60;
 
   return {
@@ -148,9 +486,26 @@ function estimateRouteLeg(start, end, trafficCondition) {
     distanceKm: estimatedDistanceKm,
     timeMinutes: estimatedTimeMinutes,
     isEstimate: true,
+    provider: null,
+    geometry,
+    departAt: departAt.toISOString(),
+    ...traffic,
   };
 }
 
+/**
+ * Straight segment between two points
+ * @param {GeocodedLocation} start
+ * @param {GeocodedLocation} end
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function toSegment(start, end) {
+  return [
+    { lat: start.lat, lng: start.lng },
+    { lat: end.lat, lng: end.lng },
+  ];
+}
+
 /**
  * Calculate distance from current location to pickup only
  * Useful for quick "should I take this order" decisions
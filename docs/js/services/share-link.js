@@ -0,0 +1,123 @@
+/**
+ * Share Link Service
+ * Encodes an order calculation's inputs in a URL so it can be sent to
+ * someone else and recalculated when they open it
+ * @module services/share-link
+ */
+
+/**
+ * Version written into new links
+ * Bump it when the encoding changes, and keep a decoder for each older
+ * version so links already sent still open.
+ */
+export const SHARE_LINK_VERSION = 1;
+
+/**
+ * @typedef {Object} SharedOrder
+ * @property {string} currentLocation
+ * @property {string} pickup
+ * @property {string[]} stops
+ * @property {number|null} fare
+ * @property {string|null} bikeModel
+ * @property {number|null} customEfficiency
+ * @property {number|null} petrolPrice
+ * @property {string|null} trafficCondition
+ * @property {string|null} jobTime - Scheduled start (ISO), or null for now
+ * @property {Object<number, number>} waitOverrides - Minutes by stop index
+ */
+
+/**
+ * Decoders by link version
+ */
+const DECODERS = {
+  1: decodeVersion1,
+};
+
+/**
+ * Build a link to the calculator with an order's inputs in the hash
+ * The hash isn't sent to the server, so addresses stay out of its logs.
+ *
+ * @param {Object} formData - From getFormData()
+ * @param {string} [pageUrl] - Calculator URL (defaults to this page)
+ * @returns {string}
+ */
+export function createShareLink(formData, pageUrl = window.location.href) {
+  const params = new URLSearchParams();
+  params.set("v", SHARE_LINK_VERSION);
+  params.set("from", formData.currentLocation || "");
+  params.set("pickup", formData.pickup || "");
+  (formData.stops || []).forEach((stop) => params.append("stop", stop));
+
+  const optional = {
+    fare: formData.fare,
+    bike: formData.bikeModel,
+    kmpl: formData.bikeModel === "custom" ? formData.customEfficiency : null,
+    petrol: formData.petrolPrice,
+    traffic: formData.trafficCondition,
+    time: formData.jobTime,
+  };
+  Object.entries(optional).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      params.set(key, value);
+    }
+  });
+
+  Object.entries(formData.waitOverrides || {}).forEach(([index, minutes]) => {
+    if (minutes !== null) params.append("wait", `${index}:${minutes}`);
+  });
+
+  const url = new URL(pageUrl);
+  url.hash = params.toString();
+  return url.toString();
+}
+
+/**
+ * Read an order from a link's hash
+ *
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {SharedOrder|null} Null if the hash isn't a share link
+ */
+export function readShareLink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const decode = DECODERS[params.get("v")];
+  if (!decode) return null;
+
+  const order = decode(params);
+  return order.pickup || order.stops.length > 0 ? order : null;
+}
+
+/**
+ * Decode a version 1 link
+ * @param {URLSearchParams} params
+ * @returns {SharedOrder}
+ */
+function decodeVersion1(params) {
+  const number = (key) => {
+    const value = parseFloat(params.get(key));
+    return Number.isFinite(value) ? value : null;
+  };
+
+  const waitOverrides = {};
+  params.getAll("wait").forEach((entry) => {
+    const [index, minutes] = entry.split(":").map(Number);
+    if (Number.isInteger(index) && Number.isFinite(minutes)) {
+      waitOverrides[index] = minutes;
+    }
+  });
+
+  // Added after the first links were sent, so it's optional
+  const jobTime = new Date(params.get("time") ?? "");
+
+  return {
+    currentLocation: params.get("from") || "",
+    pickup: params.get("pickup") || "",
+    stops: params.getAll("stop").filter(Boolean),
+    fare: number("fare"),
+    bikeModel: params.get("bike"),
+    customEfficiency: number("kmpl"),
+    petrolPrice: number("petrol"),
+    trafficCondition: params.get("traffic"),
+    jobTime: isNaN(jobTime) ? null : jobTime.toISOString(),
+    waitOverrides,
+  };
+}
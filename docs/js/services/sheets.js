@@ -4,6 +4,8 @@
  * @module services/sheets
  */
 
+import { calculateProfitability } from "./profitability.js";
+
 // Default to empty - will be loaded from secrets.js if available
 let GOOGLE_SHEETS_URL = "";
 
@@ -60,6 +62,8 @@ export function getSheetsUrl() {
  * @param {number} options.priorityFee - Priority fee amount in SGD
  * @param {number} options.surchargeAmount - Other surcharge amount in SGD
  * @param {string} [options.notes] - Optional notes
+ * @param {string} [options.id] - Record ID, to match an existing history entry
+ * @param {boolean|null} [options.accepted] - Whether the rider took the job
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 export async function saveToSheets({
@@ -70,6 +74,8 @@ export async function saveToSheets({
   priorityFee,
   surchargeAmount,
   notes = "",
+  id,
+  accepted,
 }) {
   if (!GOOGLE_SHEETS_URL) {
     return {
@@ -86,6 +92,8 @@ export async function saveToSheets({
     priorityFee,
     surchargeAmount,
     notes,
+    id,
+    accepted,
   });
 
   try {
@@ -127,9 +135,12 @@ export async function saveToSheets({
 
 /**
  * Build the data object to save
- * @private
+ * Shared by Google Sheets and the local trip history
+ *
+ * @param {Object} options - Same options as saveToSheets()
+ * @returns {Object} Flat trip record
  */
-function buildSaveData({
+export function buildSaveData({
   result,
   formData,
   jobPostedTime,
@@ -137,8 +148,21 @@ function buildSaveData({
   priorityFee,
   surchargeAmount,
   notes,
+  id = generateId(),
+  accepted = null,
 }) {
-  const { profitability, route, fuel, waitTime, locations, inputs } = result;
+  const { route, fuel, waitTime, locations, inputs } = result;
+
+  // Re-price with the deduction profile in force when the job was posted
+  const profitability = calculateProfitability({
+    fare: inputs.fare,
+    fuelCost: fuel.cost,
+    travelMinutes: route.totalTravelMinutes,
+    waitMinutes: waitTime.total,
+    pickupWaitMinutes: waitTime.pickupWait,
+    jobTime: jobPostedTime,
+    distanceKm: route.totalDistanceKm,
+  });
 
   // Build stops string (simple display format)
   const stopsDisplay = locations.stops
@@ -166,6 +190,8 @@ function buildSaveData({
       waitTimeMinutes: waitBreakdown.minutes || 0,
       waitTimeLabel: waitBreakdown.label || "",
       isWaitOverride: waitBreakdown.isOverride || false,
+      waitTimeSource: waitBreakdown.source || "default",
+      waitTimeSamples: waitBreakdown.sampleCount || 0,
     };
   });
 
@@ -222,7 +248,7 @@ function buildSaveData({
 
   return {
     // Identifiers
-    id: generateId(),
+    id: id,
     savedAt: new Date().toISOString(),
 
     // Job timing
@@ -255,6 +281,7 @@ function buildSaveData({
     platformFee: fareBreakdown.platformFee,
     totalDeductions: fareBreakdown.totalDeductions,
     netFare: fareBreakdown.netFare,
+    deductionProfile: fareBreakdown.deductionProfile.name,
 
     // Costs
     fuelCost: fuel.cost,
@@ -276,6 +303,9 @@ function buildSaveData({
     netProfit: profitability.netProfit,
     profitPerHour: profitability.profitPerHour,
     rating: profitability.rating,
+    // The rider's own tier name and colour, for the sheet
+    ratingName: profitability.ratingDetails.name,
+    ratingColor: profitability.ratingDetails.color,
 
     // Profitability - Job only (excluding travel to pickup)
     jobOnlyFuelCost: jobFuelCost,
@@ -283,14 +313,20 @@ function buildSaveData({
     jobOnlyTimeMinutes: jobOnlyTimeMinutes,
     jobOnlyProfitPerHour: jobOnlyProfitPerHour,
 
+    // Profitability - After ownership costs (0 if not set up)
+    vehicleCost: profitability.vehicleCost?.total ?? 0,
+    trueNetProfit: profitability.trueNetProfit,
+    trueProfitPerHour: profitability.trueProfitPerHour,
+
     // Settings used
     fuelEfficiency: inputs.efficiency,
     petrolPrice: inputs.petrolPrice,
-    trafficCondition: formData.trafficCondition || "normal",
+    trafficCondition: route.trafficCondition || "normal",
     bikeModel: formData.bikeModel || "unknown",
 
     // Optional
     notes: notes,
+    accepted: accepted,
   };
 }
 
@@ -0,0 +1,191 @@
+/**
+ * Stop Sequence Optimiser
+ * Finds the fastest order to visit delivery stops after pickup
+ * @module services/stop-optimizer
+ */
+
+import { calculateFuelCost } from "./fuel.js";
+import { calculateProfitability } from "./profitability.js";
+
+/**
+ * @typedef {Object} StopSequence
+ * @property {number[]} order - Stop indices (0-based, as typed) in visit order
+ * @property {number} distanceKm - Distance from pickup through all stops
+ * @property {number} timeMinutes - Travel time from pickup through all stops
+ */
+
+/**
+ * Find the best delivery order for the stops after a pickup
+ * Point 0 of the matrix is the pickup, points 1..n are the stops as typed.
+ * Every order is checked: the form allows at most CONFIG.limits.maxStops
+ * stops, which the exact search handles instantly.
+ *
+ * @param {RouteMatrix} matrix
+ * @param {Object} [options]
+ * @param {number[]} [options.pinned=[]] - Stop indices that must keep their typed position
+ * @returns {StopSequence}
+ */
+export function optimizeStopOrder(matrix, { pinned = [] } = {}) {
+  const stopCount = matrix.timeMinutes.length - 1;
+  const pinnedAt = new Map(pinned.map((stopIndex) => [stopIndex, stopIndex]));
+
+  return evaluateSequence(
+    solveExact(matrix.timeMinutes, stopCount, pinnedAt),
+    matrix,
+  );
+}
+
+/**
+ * Measure a stop order against the matrix
+ *
+ * @param {number[]} order - Stop indices (0-based) in visit order
+ * @param {RouteMatrix} matrix
+ * @returns {StopSequence}
+ */
+export function evaluateSequence(order, matrix) {
+  let previous = 0;
+  let distanceKm = 0;
+  let timeMinutes = 0;
+
+  order.forEach((stopIndex) => {
+    const point = stopIndex + 1;
+    distanceKm += matrix.distanceKm[previous][point];
+    timeMinutes += matrix.timeMinutes[previous][point];
+    previous = point;
+  });
+
+  return { order, distanceKm, timeMinutes };
+}
+
+/**
+ * Compare the typed stop order of an analysed order with the best order
+ * Both sequences are measured on the same matrix so the difference is
+ * not skewed by routing estimates. The run to the pickup and the wait
+ * times and the job's start time (for deductions) are the same whichever
+ * order the stops are visited in.
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @param {RouteMatrix} matrix - Matrix over the pickup and stops
+ * @param {Object} [options]
+ * @param {number[]} [options.pinned=[]] - Stop indices fixed in place
+ * @returns {Object} Typed and best sequences with their profitability
+ */
+export function compareStopOrders(result, matrix, { pinned = [] } = {}) {
+  const { route, waitTime, inputs } = result;
+  const pickupLeg = route.legs[0];
+  const typedOrder = result.locations.stops.map((_, index) => index);
+
+  const withProfitability = (sequence) => {
+    const distanceKm = pickupLeg.distanceKm + sequence.distanceKm;
+    const fuel = calculateFuelCost(
+      distanceKm,
+      inputs.efficiency,
+      inputs.petrolPrice,
+    );
+
+    return {
+      ...sequence,
+      profitability: calculateProfitability({
+        fare: inputs.fare,
+        fuelCost: fuel.cost,
+        travelMinutes: pickupLeg.timeMinutes + sequence.timeMinutes,
+        waitMinutes: waitTime.total,
+        pickupWaitMinutes: waitTime.pickupWait,
+        jobTime: waitTime.jobTime,
+        distanceKm,
+      }),
+    };
+  };
+
+  const typed = withProfitability(evaluateSequence(typedOrder, matrix));
+  const best = withProfitability(optimizeStopOrder(matrix, { pinned }));
+
+  return {
+    typed,
+    best,
+    pinned,
+    hasEstimates: matrix.hasEstimates,
+    isAlreadyBest: best.timeMinutes >= typed.timeMinutes - 0.05,
+    distanceSavedKm: typed.distanceKm - best.distanceKm,
+    minutesSaved: typed.timeMinutes - best.timeMinutes,
+    profitPerHourGain:
+      best.profitability.profitPerHour - typed.profitability.profitPerHour,
+  };
+}
+
+/**
+ * Exact search over visit orders (Held-Karp dynamic programming)
+ * The number of stops already visited is the position of the next stop,
+ * which makes pinned positions a simple filter.
+ *
+ * @param {number[][]} time - Matrix of travel times
+ * @param {number} n - Number of stops
+ * @param {Map<number, number>} pinnedAt - Stop index → required position
+ * @returns {number[]}
+ */
+function solveExact(time, n, pinnedAt) {
+  const full = (1 << n) - 1;
+  const cost = Array.from({ length: 1 << n }, () =>
+    new Array(n).fill(Infinity),
+  );
+  const parent = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+  const stopForPosition = new Map(
+    [...pinnedAt].map(([stop, position]) => [position, stop]),
+  );
+
+  const canVisit = (stop, position) =>
+    stopForPosition.has(position)
+      ? stopForPosition.get(position) === stop
+      : !pinnedAt.has(stop);
+
+  for (let stop = 0; stop < n; stop++) {
+    if (canVisit(stop, 0)) {
+      cost[1 << stop][stop] = time[0][stop + 1];
+    }
+  }
+
+  for (let visited = 1; visited <= full; visited++) {
+    const position = popCount(visited);
+    for (let last = 0; last < n; last++) {
+      const current = cost[visited][last];
+      if (current === Infinity) continue;
+
+      for (let next = 0; next < n; next++) {
+        if (visited & (1 << next) || !canVisit(next, position)) continue;
+
+        const nextVisited = visited | (1 << next);
+        const nextCost = current + time[last + 1][next + 1];
+        if (nextCost < cost[nextVisited][next]) {
+          cost[nextVisited][next] = nextCost;
+          parent[nextVisited][next] = last;
+        }
+      }
+    }
+  }
+
+  let last = cost[full].indexOf(Math.min(...cost[full]));
+  const order = [];
+  let visited = full;
+  while (last !== -1) {
+    order.unshift(last);
+    const previous = parent[visited][last];
+    visited &= ~(1 << last);
+    last = previous;
+  }
+
+  return order;
+}
+
+/**
+ * Count set bits in a subset mask
+ * @param {number} mask
+ * @returns {number}
+ */
+function popCount(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
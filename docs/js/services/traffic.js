@@ -0,0 +1,281 @@
+/**
+ * Traffic Service
+ * Speed of each route leg from the traffic profile for when it is ridden
+ * and the congested areas it passes through, and the Singapore date and
+ * hour the profile and busy-time rules go by
+ * @module services/traffic
+ */
+
+import { calculateStraightLineDistance } from "../api/onemap.js";
+import { CONFIG, PUBLIC_HOLIDAYS } from "../config.js";
+import { getBuiltInCalibration } from "./calibration.js";
+
+// Longer segments are split so a straight estimate leg can still pass
+// through an area without either end being in it
+const MAX_PIECE_KM = 0.5;
+
+/**
+ * @typedef {Object} LegTraffic
+ * @property {number} timeFactor - Speed factor for when the leg is ridden
+ *   (the profile's hour, or the condition the rider picked)
+ * @property {number} areaFactor - Slowdown from congested areas (1 for none)
+ * @property {number} speedFactor - timeFactor × areaFactor, as a multiple
+ *   of defaults.averageSpeedKmH
+ * @property {string} trafficCondition - Band the leg falls in
+ * @property {string[]} areas - Labels of congested areas slowing the leg
+ */
+
+/**
+ * Traffic for a leg ridden at a given time
+ * A picked condition replaces the profile's hour for the whole job, but
+ * congested areas still slow the legs through them.
+ *
+ * @param {Array<{lat: number, lng: number}>} geometry - Path of the leg
+ * @param {Date} departAt - When the leg starts
+ * @param {string|null} [trafficCondition] - Condition the rider picked
+ * @returns {LegTraffic}
+ */
+export function getLegTraffic(geometry, departAt, trafficCondition = null) {
+  const { factor: areaFactor, areas } = getAreaSlowdown(geometry, departAt);
+
+  if (trafficCondition) {
+    const timeFactor = getConditionSpeedFactor(trafficCondition);
+    return {
+      timeFactor,
+      areaFactor,
+      speedFactor: timeFactor * areaFactor,
+      trafficCondition,
+      areas,
+    };
+  }
+
+  const profileFactor = getProfileSpeedFactor(departAt);
+  const speedFactor = calibrateSpeedFactor(profileFactor * areaFactor);
+
+  return {
+    timeFactor: speedFactor / areaFactor,
+    areaFactor,
+    speedFactor,
+    trafficCondition: classifyTraffic(profileFactor * areaFactor),
+    areas,
+  };
+}
+
+/**
+ * How much congested areas slow a leg at a given time
+ * Each piece of the path is ridden at the slowest factor of the areas it
+ * is in, so the leg's factor is its distance over its slowed distance.
+ *
+ * @param {Array<{lat: number, lng: number}>} geometry
+ * @param {Date} datetime
+ * @returns {{factor: number, areas: string[]}}
+ */
+export function getAreaSlowdown(geometry, datetime) {
+  const active = getActiveAreas(datetime);
+  if (active.length === 0 || !geometry || geometry.length < 2) {
+    return { factor: 1, areas: [] };
+  }
+
+  let totalKm = 0;
+  let slowedKm = 0;
+  const crossed = new Set();
+
+  for (let i = 0; i < geometry.length - 1; i++) {
+    const start = geometry[i];
+    const end = geometry[i + 1];
+    const segmentKm = calculateStraightLineDistance(start, end);
+    const pieces = Math.max(1, Math.ceil(segmentKm / MAX_PIECE_KM));
+
+    for (let piece = 0; piece < pieces; piece++) {
+      const t = (piece + 0.5) / pieces;
+      const point = {
+        lat: start.lat + (end.lat - start.lat) * t,
+        lng: start.lng + (end.lng - start.lng) * t,
+      };
+
+      let factor = 1;
+      active.forEach((area) => {
+        if (!isInArea(point, area)) return;
+        crossed.add(area.label);
+        factor = Math.min(factor, area.factor);
+      });
+
+      totalKm += segmentKm / pieces;
+      slowedKm += segmentKm / pieces / factor;
+    }
+  }
+
+  return {
+    factor: slowedKm > 0 ? totalKm / slowedKm : 1,
+    areas: [...crossed],
+  };
+}
+
+/**
+ * @typedef {Object} SingaporeTime
+ * @property {string} date - Calendar date (YYYY-MM-DD)
+ * @property {number} day - Day of week, 0 (Sunday) to 6 (Saturday)
+ * @property {number} hour - 0-23
+ * @property {'weekday'|'weekend'|'holiday'} dayType
+ * @property {string|null} holiday - Public holiday name
+ * @property {boolean} hasHolidayCalendar - Whether the year's public
+ *   holidays are in PUBLIC_HOLIDAYS
+ */
+
+/**
+ * Date, day and hour of a time in Singapore (UTC+8)
+ * Riders' phones may be set to another time zone.
+ *
+ * @param {Date} [datetime=new Date()]
+ * @returns {SingaporeTime}
+ */
+export function getSingaporeTime(datetime = new Date()) {
+  const singapore = new Date(
+    datetime.toLocaleString("en-US", { timeZone: "Asia/Singapore" }),
+  );
+  const date = [
+    singapore.getFullYear(),
+    String(singapore.getMonth() + 1).padStart(2, "0"),
+    String(singapore.getDate()).padStart(2, "0"),
+  ].join("-");
+  const day = singapore.getDay();
+  const holiday = PUBLIC_HOLIDAYS[date] || null;
+
+  let dayType = "weekday";
+  if (holiday) {
+    dayType = "holiday";
+  } else if (day === 0 || day === 6) {
+    dayType = "weekend";
+  }
+
+  return {
+    date,
+    day,
+    hour: singapore.getHours(),
+    dayType,
+    holiday,
+    hasHolidayCalendar: Object.keys(PUBLIC_HOLIDAYS).some((key) =>
+      key.startsWith(date.slice(0, 4)),
+    ),
+  };
+}
+
+/**
+ * Speed factor of the traffic profile for a time in Singapore
+ * Before recalibration; see calibrateSpeedFactor().
+ *
+ * @param {Date} [datetime=new Date()]
+ * @returns {number} Multiple of defaults.averageSpeedKmH
+ */
+export function getProfileSpeedFactor(datetime = new Date()) {
+  const { day, hour, dayType } = getSingaporeTime(datetime);
+  const { hourlyProfiles, dayProfiles } = CONFIG.traffic;
+
+  const profile = hourlyProfiles[dayProfiles[dayType === "holiday" ? 0 : day]];
+  return profile[hour];
+}
+
+/**
+ * Traffic condition whose built-in speed is closest to a speed factor
+ *
+ * @param {number} speedFactor - Multiple of defaults.averageSpeedKmH
+ * @returns {string} Traffic condition key: 'light', 'normal', or 'heavy'
+ */
+export function classifyTraffic(speedFactor) {
+  const speedKmH = speedFactor * CONFIG.defaults.averageSpeedKmH;
+
+  return Object.entries(getBuiltInCalibration().trafficSpeeds).reduce(
+    (closest, [key, builtInSpeed]) =>
+      Math.abs(builtInSpeed - speedKmH) <
+      Math.abs(getBuiltInCalibration().trafficSpeeds[closest] - speedKmH)
+        ? key
+        : closest,
+    "normal",
+  );
+}
+
+/**
+ * Apply the rider's calibration to a profile speed factor
+ * A recalibrated condition speed scales every hour and area in its band.
+ *
+ * @param {number} speedFactor - From the profile (and any slow areas)
+ * @returns {number}
+ */
+export function calibrateSpeedFactor(speedFactor) {
+  const condition = classifyTraffic(speedFactor);
+
+  return (
+    speedFactor *
+    (getTrafficSpeed(condition) /
+      getBuiltInCalibration().trafficSpeeds[condition])
+  );
+}
+
+/**
+ * Detect traffic condition for a time in Singapore
+ * The band the traffic profile's hour falls in, ignoring slow areas.
+ *
+ * @param {Date} [datetime=new Date()] - When the job starts
+ * @returns {string} Traffic condition key: 'light', 'normal', or 'heavy'
+ */
+export function detectTrafficCondition(datetime = new Date()) {
+  return classifyTraffic(getProfileSpeedFactor(datetime));
+}
+
+/**
+ * Get traffic speed based on condition
+ *
+ * @param {string} condition - Traffic condition key
+ * @returns {number} Speed in km/h
+ */
+export function getTrafficSpeed(condition) {
+  return (
+    CONFIG.traffic.conditions[condition]?.speedKmH ??
+    CONFIG.defaults.averageSpeedKmH
+  );
+}
+
+/**
+ * Speed factor of a traffic condition the rider picked
+ *
+ * @param {string} condition - Traffic condition key
+ * @returns {number} Multiple of defaults.averageSpeedKmH
+ */
+export function getConditionSpeedFactor(condition) {
+  return getTrafficSpeed(condition) / CONFIG.defaults.averageSpeedKmH;
+}
+
+/**
+ * Congested areas with a window covering a time, with that window's factor
+ * Public holidays count as Sundays.
+ *
+ * @param {Date} datetime
+ * @returns {Array<{label: string, boxes: number[][], factor: number}>}
+ */
+function getActiveAreas(datetime) {
+  const { day, hour, dayType } = getSingaporeTime(datetime);
+  const today = dayType === "holiday" ? 0 : day;
+
+  return CONFIG.traffic.areas.flatMap((area) => {
+    const window = area.windows.find(
+      (w) => w.days.includes(today) && hour >= w.startHour && hour < w.endHour,
+    );
+    return window
+      ? [{ label: area.label, boxes: area.boxes, factor: window.factor }]
+      : [];
+  });
+}
+
+/**
+ * Whether a point is inside any of an area's boxes
+ *
+ * @param {{lat: number, lng: number}} point
+ * @param {{boxes: number[][]}} area
+ * @returns {boolean}
+ */
+function isInArea({ lat, lng }, { boxes }) {
+  return boxes.some(
+    ([south, west, north, east]) =>
+      lat >= south && lat <= north && lng >= west && lng <= east,
+  );
+}
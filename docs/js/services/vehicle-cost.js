@@ -0,0 +1,149 @@
+/**
+ * Vehicle Cost Service
+ * Turns the rider's ownership costs (wear parts, servicing, depreciation,
+ * COE, insurance, road tax) into per-km and per-hour costs for a job
+ * @module services/vehicle-cost
+ */
+
+import { CONFIG } from "../config.js";
+
+/**
+ * @typedef {Object} VehicleCostSettings
+ * @property {number} hoursPerWeek - Hours the bike is used for work each week
+ * @property {Object<string, {cost: number, span: number}>} items - Cost and
+ *   the km or years it covers, keyed by CONFIG.vehicleCosts.items
+ */
+
+/**
+ * @typedef {Object} VehicleCostItem
+ * @property {string} key - Item key
+ * @property {string} label - Display label
+ * @property {string} icon - Emoji icon
+ * @property {'distance'|'time'} basis - Spread per km or per working hour
+ * @property {number} rate - $/km or $/hour
+ * @property {number} cost - Share of this job in SGD
+ */
+
+/**
+ * @typedef {Object} VehicleCost
+ * @property {number} perKm - Total distance-based rate ($/km)
+ * @property {number} perHour - Total time-based rate ($/hour)
+ * @property {number} total - Cost of this job in SGD
+ * @property {VehicleCostItem[]} items - Items with a cost set
+ */
+
+/**
+ * Rider's saved ownership costs
+ * Items not yet filled in count as zero.
+ *
+ * @returns {VehicleCostSettings}
+ */
+export function getVehicleCostSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(CONFIG.vehicleCosts.storageKey));
+  } catch {
+    // Fall through to defaults
+  }
+
+  const items = {};
+  Object.keys(CONFIG.vehicleCosts.items).forEach((key) => {
+    const item = stored?.items?.[key];
+    items[key] = {
+      cost: Number(item?.cost) || 0,
+      span: Number(item?.span) || 0,
+    };
+  });
+
+  return {
+    hoursPerWeek:
+      Number(stored?.hoursPerWeek) || CONFIG.vehicleCosts.defaultHoursPerWeek,
+    items,
+  };
+}
+
+/**
+ * Save the rider's ownership costs
+ * @param {VehicleCostSettings} settings
+ */
+export function saveVehicleCostSettings(settings) {
+  localStorage.setItem(
+    CONFIG.vehicleCosts.storageKey,
+    JSON.stringify(settings),
+  );
+}
+
+/**
+ * Per-km and per-hour rate for each ownership cost
+ * Yearly items without a span (insurance, road tax) cover one year.
+ *
+ * @param {VehicleCostSettings} [settings]
+ * @returns {{perKm: number, perHour: number, items: Array}}
+ */
+export function calculateVehicleCostRates(settings = getVehicleCostSettings()) {
+  const hoursPerYear = settings.hoursPerWeek * 52;
+
+  const items = Object.entries(CONFIG.vehicleCosts.items)
+    .map(([key, item]) => {
+      const { cost, span } = settings.items[key] || { cost: 0, span: 0 };
+      const coverage = item.spanLabel ? span : 1;
+
+      let rate = 0;
+      if (cost > 0 && coverage > 0) {
+        rate =
+          item.basis === "distance"
+            ? cost / coverage
+            : cost / coverage / hoursPerYear;
+      }
+
+      return {
+        key,
+        label: item.label,
+        icon: item.icon,
+        basis: item.basis,
+        rate,
+      };
+    })
+    .filter((item) => item.rate > 0);
+
+  const sumRates = (basis) =>
+    items
+      .filter((item) => item.basis === basis)
+      .reduce((sum, item) => sum + item.rate, 0);
+
+  return {
+    perKm: sumRates("distance"),
+    perHour: sumRates("time"),
+    items,
+  };
+}
+
+/**
+ * Ownership cost of a job
+ *
+ * @param {number} distanceKm - Total distance ridden
+ * @param {number} totalTimeMinutes - Total time the job takes
+ * @param {VehicleCostSettings} [settings]
+ * @returns {VehicleCost|null} Null if no ownership costs are set up
+ */
+export function calculateVehicleCost(
+  distanceKm,
+  totalTimeMinutes,
+  settings = getVehicleCostSettings(),
+) {
+  const rates = calculateVehicleCostRates(settings);
+  if (rates.items.length === 0) return null;
+
+  const hours = totalTimeMinutes / 60;
+  const items = rates.items.map((item) => ({
+    ...item,
+    cost: item.rate * (item.basis === "distance" ? distanceKm : hours),
+  }));
+
+  return {
+    perKm: rates.perKm,
+    perHour: rates.perHour,
+    total: items.reduce((sum, item) => sum + item.cost, 0),
+    items,
+  };
+}
@@ -1,10 +1,15 @@
 /**
  * Wait Time Estimation Service
- * Smart estimation of wait times based on building types
+ * Smart estimation of wait times based on building types, refined by
+ * the waits the rider has logged at each address and lengthened at busy
+ * times of day
  * @module services/wait-time
  */
 
-import { WAIT_TIMES } from "../config.js";
+import { CONFIG, WAIT_TIMES, DEFAULT_WAIT_RULES } from "../config.js";
+import { STORES, dbGet, dbPut } from "../utils/db.js";
+import { validateWaitRules } from "../utils/validation.js";
+import { getSingaporeTime } from "./traffic.js";
 
 /**
  * @typedef {Object} WaitEstimate
@@ -13,47 +18,121 @@ import { WAIT_TIMES } from "../config.js";
  * @property {string} label - Human-readable building type
  * @property {string} description - Explanation of the estimate
  * @property {boolean} isOverride - True if manually overridden
+ * @property {'history'|'default'|'override'} source - Where the minutes came from
+ * @property {number} sampleCount - Logged waits the estimate is based on
+ * @property {WaitAdjustment[]} adjustments - Busy-time rules included in
+ *   the minutes
+ */
+
+/**
+ * @typedef {Object} WaitAdjustment
+ * @property {string} ruleId
+ * @property {number} minutes - Minutes added
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} WaitRule
+ * @property {string} id
+ * @property {string} buildingType - WAIT_TIMES key, or 'any'
+ * @property {number[]} days - 0 (Sunday) to 6 (Saturday); public holidays
+ *   count as Sunday
+ * @property {number} startHour - First hour it applies (0-23)
+ * @property {number} endHour - Hour it stops applying (1-24)
+ * @property {number} minutes - Minutes added to the wait
+ * @property {string} reason - Shown in the time breakdown
  */
 
 /**
  * @typedef {Object} TotalWaitTime
  * @property {number} total - Total wait time in minutes
  * @property {WaitEstimate[]} breakdown - Per-stop breakdown
- * @property {number} pickupWait - Wait time at pickup
+ * @property {number} pickupWait - Wait time at pickup, busy-time rules included
+ * @property {WaitAdjustment[]} pickupAdjustments - Busy-time rules included
+ *   in the pickup wait
+ * @property {string} jobTime - When the busy-time rules were checked for (ISO)
  */
 
 /**
- * Estimate wait time for a single location based on building type
+ * Estimate wait time for a single location
+ * Starts from the building type default and moves towards the rider's
+ * logged waits there as they build up.
  *
  * @param {string} buildingType - Building type key from geocoding
+ * @param {number[]} [samples=[]] - Waits logged at this address (minutes)
  * @returns {WaitEstimate}
  */
-export function estimateWaitTime(buildingType) {
+export function estimateWaitTime(buildingType, samples = []) {
   const config = WAIT_TIMES[buildingType] || WAIT_TIMES.default;
 
+  if (samples.length === 0) {
+    return {
+      minutes: config.minutes,
+      buildingType,
+      label: config.label,
+      description: config.description,
+      isOverride: false,
+      source: "default",
+      sampleCount: 0,
+      adjustments: [],
+    };
+  }
+
   return {
-    minutes: config.minutes,
+    minutes: blendWaitTime(config.minutes, samples),
     buildingType,
     label: config.label,
-    description: config.description,
+    description: `From ${samples.length} wait${
+      samples.length === 1 ? "" : "s"
+    } you logged here (${config.label} default ${config.minutes} min)`,
     isOverride: false,
+    source: "history",
+    sampleCount: samples.length,
+    adjustments: [],
   };
 }
 
+/**
+ * Blend logged waits with a default, rounded to the minute
+ * The default counts as CONFIG.waitLearning.priorWeight samples.
+ *
+ * @param {number} defaultMinutes
+ * @param {number[]} samples
+ * @returns {number}
+ */
+export function blendWaitTime(defaultMinutes, samples) {
+  const { priorWeight } = CONFIG.waitLearning;
+  const total = samples.reduce((sum, minutes) => sum + minutes, 0);
+  return Math.round(
+    (defaultMinutes * priorWeight + total) / (priorWeight + samples.length),
+  );
+}
+
 /**
  * Calculate total wait time for multiple stops
- * Supports manual overrides for individual stops
+ * Supports manual overrides for individual stops; the rest, and the
+ * pickup, are adjusted for the time of the job.
  *
  * @param {Array<GeocodedLocation>} stops - Array of stop locations
  * @param {Object} [overrides={}] - Manual overrides { [stopIndex]: minutes }
  * @param {number} [pickupWaitMinutes=5] - Wait time at pickup point
+ * @param {Object<string, number[]>} [observations={}] - Logged waits by
+ *   location key, from getWaitObservations()
+ * @param {Date} [jobTime=new Date()] - When the job is posted or planned for
+ * @param {string} [pickupBuildingType="default"] - Building type at pickup,
+ *   for its busy-time rules
  * @returns {TotalWaitTime}
  */
 export function calculateTotalWaitTime(
   stops,
   overrides = {},
   pickupWaitMinutes = 5,
+  observations = {},
+  jobTime = new Date(),
+  pickupBuildingType = "default",
 ) {
+  const rules = getWaitRules();
+
   const breakdown = stops.map((stop, index) => {
     // Check for manual override
     if (overrides[index] !== undefined && overrides[index] !== null) {
@@ -64,21 +143,116 @@ export function calculateTotalWaitTime(
         label: config.label,
         description: "Manual override",
         isOverride: true,
+        source: "override",
+        sampleCount: 0,
+        adjustments: [],
       };
     }
 
-    return estimateWaitTime(stop.buildingType);
+    return adjustForTimeOfDay(
+      estimateWaitTime(
+        stop.buildingType,
+        observations[getWaitLocationKey(stop)] || [],
+      ),
+      jobTime,
+      rules,
+    );
   });
 
   const total = breakdown.reduce((sum, item) => sum + item.minutes, 0);
 
+  const pickup = adjustForTimeOfDay(
+    {
+      minutes: pickupWaitMinutes,
+      buildingType: pickupBuildingType,
+      adjustments: [],
+    },
+    jobTime,
+    rules,
+  );
+
   return {
     total,
     breakdown,
-    pickupWait: pickupWaitMinutes,
+    pickupWait: pickup.minutes,
+    pickupAdjustments: pickup.adjustments,
+    jobTime: jobTime.toISOString(),
   };
 }
 
+/**
+ * Key a location's logged waits are stored under
+ * Postal code where known, otherwise the address.
+ *
+ * @param {GeocodedLocation} location
+ * @returns {string|null} Null if the location can't be identified
+ */
+export function getWaitLocationKey(location) {
+  if (location?.postalCode) return `postal:${location.postalCode}`;
+
+  const address = (location?.address || location?.searchTerm || "")
+    .trim()
+    .toLowerCase();
+  return address ? `address:${address}` : null;
+}
+
+/**
+ * Log an actual wait at a delivery address
+ * Keeps the most recent CONFIG.waitLearning.maxSamples waits.
+ *
+ * @param {GeocodedLocation} location
+ * @param {number} minutes - How long the handover took
+ * @returns {Promise<Object|null>} Updated record, or null if not stored
+ */
+export async function recordWaitObservation(location, minutes) {
+  const key = getWaitLocationKey(location);
+  if (!key) return null;
+
+  const existing = await dbGet(STORES.waitObservations, key);
+  const samples = [
+    ...(existing?.samples || []),
+    { minutes, recordedAt: new Date().toISOString() },
+  ].slice(-CONFIG.waitLearning.maxSamples);
+
+  const record = {
+    key,
+    address: location.address || location.searchTerm || "",
+    postalCode: location.postalCode || "",
+    buildingType: location.buildingType || "unknown",
+    samples,
+  };
+  await dbPut(STORES.waitObservations, record);
+  return record;
+}
+
+/**
+ * Logged waits for a set of locations
+ * Falls back to none if storage is unavailable, so estimates still work.
+ *
+ * @param {GeocodedLocation[]} locations
+ * @returns {Promise<Object<string, number[]>>} Minutes by location key
+ */
+export async function getWaitObservations(locations) {
+  const observations = {};
+
+  for (const location of locations) {
+    const key = getWaitLocationKey(location);
+    if (!key || observations[key]) continue;
+
+    try {
+      const record = await dbGet(STORES.waitObservations, key);
+      if (record) {
+        observations[key] = record.samples.map((sample) => sample.minutes);
+      }
+    } catch (error) {
+      console.warn("Could not read logged wait times:", error.message);
+      break;
+    }
+  }
+
+  return observations;
+}
+
 /**
  * Get wait time configuration for a building type
  *
@@ -98,53 +272,133 @@ export function getAllWaitTimes() {
 }
 
 /**
- * Suggest wait time adjustments based on time of day
- * Peak hours typically mean longer waits
+ * Rider's busy-time wait rules
+ * The built-in rules until the rider saves their own.
+ *
+ * @returns {WaitRule[]}
+ */
+export function getWaitRules() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(CONFIG.waitRules.storageKey),
+    );
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall through to the built-in rules
+  }
+  return getDefaultWaitRules();
+}
+
+/**
+ * Built-in busy-time wait rules, for a fresh start or to reset
+ * @returns {WaitRule[]}
+ */
+export function getDefaultWaitRules() {
+  return DEFAULT_WAIT_RULES.map((rule) => ({ ...rule, days: [...rule.days] }));
+}
+
+/**
+ * Save the rider's busy-time wait rules
+ *
+ * @param {Object[]} rules
+ * @returns {WaitRule[]} The stored rules
+ * @throws {Error} If any rule is invalid
+ */
+export function saveWaitRules(rules) {
+  const validation = validateWaitRules(rules);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const records = rules.map((rule) => ({
+    id: rule.id || `rule-${Math.random().toString(36).slice(2, 8)}`,
+    buildingType: rule.buildingType,
+    days: [...new Set(rule.days)].sort((a, b) => a - b),
+    startHour: rule.startHour,
+    endHour: rule.endHour,
+    minutes: rule.minutes,
+    reason: rule.reason.trim(),
+  }));
+  localStorage.setItem(CONFIG.waitRules.storageKey, JSON.stringify(records));
+  return records;
+}
+
+/**
+ * Go back to the built-in wait rules
+ * @returns {WaitRule[]}
+ */
+export function resetWaitRules() {
+  localStorage.removeItem(CONFIG.waitRules.storageKey);
+  return getDefaultWaitRules();
+}
+
+/**
+ * Add busy-time minutes to a wait estimate
+ * Every rule matching the building type and the job's Singapore day and
+ * hour applies, and each is listed in the estimate's adjustments. Public
+ * holidays follow the Sunday rules.
  *
  * @param {WaitEstimate} estimate - Base estimate
- * @param {Date} [datetime=new Date()] - Time of delivery
+ * @param {Date} [datetime=new Date()] - When the job is posted or planned for
+ * @param {WaitRule[]} [rules] - Defaults to the rider's saved rules
  * @returns {WaitEstimate} Adjusted estimate
  */
-export function adjustForTimeOfDay(estimate, datetime = new Date()) {
-  const hour = datetime.getHours();
-
-  // Lunch rush (11:30 - 13:30)
-  const isLunchRush = hour >= 11 && hour <= 13;
-
-  // Dinner rush (17:30 - 20:00)
-  const isDinnerRush = hour >= 17 && hour <= 20;
-
-  // Office hours end (17:00 - 18:30) - lifts are busy
-  const isOfficeRush = hour >= 17 && hour <= 18;
-
-  let adjustment = 0;
-  let reason = "";
-
-  if (estimate.buildingType === "office" && isOfficeRush) {
-    adjustment = 3;
-    reason = "Office rush hour - busy lifts";
-  } else if (
-    estimate.buildingType === "mall" &&
-    (isLunchRush || isDinnerRush)
-  ) {
-    adjustment = 2;
-    reason = "Peak dining hours";
-  } else if (estimate.buildingType === "condo" && isDinnerRush) {
-    adjustment = 2;
-    reason = "Residents returning home";
-  }
+export function adjustForTimeOfDay(
+  estimate,
+  datetime = new Date(),
+  rules = getWaitRules(),
+) {
+  const { day: weekday, hour, dayType } = getSingaporeTime(datetime);
+  const day = dayType === "holiday" ? 0 : weekday;
+
+  const adjustments = rules
+    .filter(
+      (rule) =>
+        (rule.buildingType === "any" ||
+          rule.buildingType === estimate.buildingType) &&
+        rule.days.includes(day) &&
+        hour >= rule.startHour &&
+        hour < rule.endHour,
+    )
+    .map((rule) => ({
+      ruleId: rule.id,
+      minutes: rule.minutes,
+      reason: rule.reason,
+    }));
 
-  if (adjustment === 0) {
+  if (adjustments.length === 0) {
     return estimate;
   }
 
   return {
     ...estimate,
-    minutes: estimate.minutes + adjustment,
-    description: `${estimate.description} (+${adjustment} min: ${reason})`,
+    minutes:
+      estimate.minutes +
+      adjustments.reduce((sum, adjustment) => sum + adjustment.minutes, 0),
+    adjustments: [...(estimate.adjustments || []), ...adjustments],
   };
 }
 
+/**
+ * Share of a wait estimate the real wait can be either side of it
+ * From the building type's confidence, narrowing as the rider logs waits
+ * at the address (at the same rate they outweigh the default). Manual
+ * overrides are taken as exact.
+ *
+ * @param {WaitEstimate} estimate
+ * @returns {number} 0 to 1
+ */
+export function getWaitSpread(estimate) {
+  if (estimate.isOverride) return 0;
+
+  const { percentage } = getEstimateConfidence(estimate.buildingType);
+  const { priorWeight } = CONFIG.waitLearning;
+  return (
+    ((100 - percentage) / 100) *
+    (priorWeight / (priorWeight + (estimate.sampleCount || 0)))
+  );
+}
+
 /**
  * Calculate confidence level for wait time estimate
  * Based on building type reliability
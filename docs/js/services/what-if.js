@@ -0,0 +1,146 @@
+/**
+ * What-If Scenario Service
+ * Re-prices an analysed order under a different fare, petrol price,
+ * traffic condition or wait times, reusing its route (no API calls)
+ * @module services/what-if
+ */
+
+import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
+import { getConditionSpeedFactor } from "./traffic.js";
+import { calculateFuelCost } from "./fuel.js";
+import {
+  calculateProfitability,
+  calculateMinimumFare,
+  analyzeFareScenarios,
+} from "./profitability.js";
+
+/**
+ * @typedef {Object} Scenario
+ * @property {number} fare - Offered fare in SGD
+ * @property {number} petrolPrice - $/L
+ * @property {string} trafficCondition - 'light', 'normal' or 'heavy' (the
+ *   route's own band keeps each leg's timing)
+ * @property {number[]} stopWaits - Wait minutes at each delivery stop
+ */
+
+/**
+ * Scenario matching the order as it was calculated
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @returns {Scenario}
+ */
+export function getBaseScenario(result) {
+  return {
+    fare: result.inputs.fare,
+    petrolPrice: result.inputs.petrolPrice,
+    trafficCondition: result.route.trafficCondition,
+    stopWaits: result.waitTime.breakdown.map((stop) => stop.minutes),
+  };
+}
+
+/**
+ * Profitability inputs (everything except fare) for a scenario
+ * Another traffic condition replaces each leg's speed for its time of day,
+ * the same way routing applies a picked condition; congested areas still
+ * slow the legs through them. Deductions are for when the job starts, as in
+ * the result.
+ *
+ * @param {Object} result - Analysis result
+ * @param {Scenario} scenario
+ * @returns {Object} Params for calculateProfitability(), without fare
+ */
+export function getScenarioParams(result, scenario) {
+  const { route, inputs, waitTime } = result;
+
+  // Legs from before the traffic profile were all timed for the route's band
+  const routeFactor = getConditionSpeedFactor(route.trafficCondition);
+  const travelMinutes =
+    scenario.trafficCondition === route.trafficCondition
+      ? route.totalTravelMinutes
+      : route.legs.reduce(
+          (sum, leg) =>
+            sum +
+            (leg.timeMinutes * (leg.timeFactor ?? routeFactor)) /
+              getConditionSpeedFactor(scenario.trafficCondition),
+          0,
+        );
+  const fuel = calculateFuelCost(
+    route.totalDistanceKm,
+    inputs.efficiency,
+    scenario.petrolPrice,
+  );
+
+  return {
+    fuelCost: fuel.cost,
+    travelMinutes,
+    waitMinutes: scenario.stopWaits.reduce((sum, minutes) => sum + minutes, 0),
+    pickupWaitMinutes: waitTime.pickupWait,
+    jobTime: waitTime.jobTime,
+    distanceKm: route.totalDistanceKm,
+  };
+}
+
+/**
+ * Profitability of an order under a scenario
+ *
+ * @param {Object} result - Analysis result
+ * @param {Scenario} scenario
+ * @returns {ProfitabilityResult}
+ */
+export function evaluateScenario(result, scenario) {
+  return calculateProfitability({
+    ...getScenarioParams(result, scenario),
+    fare: scenario.fare,
+  });
+}
+
+/**
+ * Fare slider range for an order
+ * Runs from $0 to comfortably past both the offered fare and the
+ * fare needed for the rider's top rating, in whole $5 steps.
+ *
+ * @param {Object} result - Analysis result
+ * @returns {{min: number, max: number, step: number}}
+ */
+export function getFareRange(result) {
+  const base = getScenarioParams(result, getBaseScenario(result));
+  // PROFIT_THRESHOLDS is highest first
+  const [topTier] = Object.values(PROFIT_THRESHOLDS);
+  const topFare = calculateMinimumFare(
+    base.fuelCost,
+    base.travelMinutes + base.waitMinutes + base.pickupWaitMinutes,
+    topTier.min,
+    result.profitability.fareBreakdown.deductionProfile,
+    base.jobTime,
+  );
+  const upper = Math.max(result.inputs.fare * 1.5, topFare * 1.25, 10);
+
+  return {
+    min: 0,
+    max: Math.ceil(upper / 5) * 5,
+    step: CONFIG.whatIf.fareStep,
+  };
+}
+
+/**
+ * $/hour across the fare range, for charting
+ *
+ * @param {Object} result - Analysis result
+ * @param {Scenario} scenario - Non-fare assumptions to hold fixed
+ * @param {{min: number, max: number}} range - Fare range
+ * @returns {Array<{fare: number, profitPerHour: number}>}
+ */
+export function buildFareCurve(result, scenario, { min, max }) {
+  const points = CONFIG.whatIf.chartPoints;
+  const fares = Array.from(
+    { length: points },
+    (_, i) => min + ((max - min) * i) / (points - 1),
+  );
+
+  return analyzeFareScenarios(getScenarioParams(result, scenario), fares).map(
+    ({ fare, result: profitability }) => ({
+      fare,
+      profitPerHour: profitability.profitPerHour,
+    }),
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * Address Autocomplete
+ * OneMap suggestions under a location input as the rider types. A picked
+ * suggestion is locked to the input so it isn't searched again on submit.
+ * @module ui/autocomplete
+ */
+
+import { CONFIG, WAIT_TIMES } from "../config.js";
+import { searchLocations } from "../services/geocoding.js";
+import { escapeHtml, toggleHidden } from "../utils/dom.js";
+
+// Picked locations by input, with the text they were picked for
+const locks = new WeakMap();
+
+let listCount = 0;
+
+/**
+ * Show address suggestions under a text input
+ * The list is added to the input's parent, which is positioned for it.
+ *
+ * @param {HTMLInputElement} input
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onSelect] - Called with the picked GeocodedLocation
+ */
+export function attachAutocomplete(input, { onSelect } = {}) {
+  const host = input.parentElement;
+  host.classList.add("autocomplete-host");
+
+  const list = document.createElement("ul");
+  list.id = `autocomplete-list-${++listCount}`;
+  list.className = "autocomplete-list hidden";
+  list.setAttribute("role", "listbox");
+  host.appendChild(list);
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceId = null;
+  // Only the latest search may fill the list
+  let searchId = 0;
+
+  const close = () => {
+    suggestions = [];
+    activeIndex = -1;
+    list.innerHTML = "";
+    toggleHidden(list, false);
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  };
+
+  const render = () => {
+    if (suggestions.length === 0) {
+      close();
+      return;
+    }
+
+    list.innerHTML = suggestions
+      .map(
+        (location, index) => `
+      <li
+        id="${list.id}-${index}"
+        class="autocomplete-item${index === activeIndex ? " active" : ""}"
+        role="option"
+        aria-selected="${index === activeIndex}"
+        data-index="${index}"
+      >
+        <span class="autocomplete-address">${escapeHtml(
+          location.address,
+        )}</span>
+        <span class="autocomplete-meta">
+          ${
+            location.postalCode
+              ? `<span>S${escapeHtml(location.postalCode)}</span>`
+              : ""
+          }
+          <span class="autocomplete-type">${
+            (WAIT_TIMES[location.buildingType] || WAIT_TIMES.default).label
+          }</span>
+        </span>
+      </li>
+    `,
+      )
+      .join("");
+
+    toggleHidden(list, true);
+    input.setAttribute("aria-expanded", "true");
+    if (activeIndex >= 0) {
+      input.setAttribute("aria-activedescendant", `${list.id}-${activeIndex}`);
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  };
+
+  const select = (index) => {
+    const location = suggestions[index];
+    if (!location) return;
+
+    input.value = location.address;
+    lockLocation(input, location);
+    close();
+    onSelect?.(location);
+  };
+
+  input.addEventListener("input", () => {
+    clearTimeout(debounceId);
+    searchId++;
+
+    const term = input.value.trim();
+    if (term.length < CONFIG.autocomplete.minChars) {
+      close();
+      return;
+    }
+
+    debounceId = setTimeout(async () => {
+      const id = ++searchId;
+      const results = await searchLocations(term);
+      if (id !== searchId || document.activeElement !== input) return;
+
+      suggestions = results;
+      activeIndex = -1;
+      render();
+    }, CONFIG.autocomplete.debounceMs);
+  });
+
+  input.addEventListener("keydown", (event) => {
+    if (suggestions.length === 0) return;
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      activeIndex =
+        (activeIndex + step + suggestions.length) % suggestions.length;
+      render();
+    } else if (event.key === "Enter" && activeIndex >= 0) {
+      // Pick the suggestion rather than submitting the form
+      event.preventDefault();
+      select(activeIndex);
+    } else if (event.key === "Escape") {
+      close();
+    }
+  });
+
+  input.addEventListener("blur", () => {
+    searchId++;
+    close();
+  });
+
+  // Keep focus in the input so blur doesn't close the list before the click
+  list.addEventListener("mousedown", (event) => event.preventDefault());
+  list.addEventListener("click", (event) => {
+    const item = event.target.closest(".autocomplete-item");
+    if (item) select(Number(item.dataset.index));
+  });
+}
+
+/**
+ * Lock a geocoded location to an input
+ * Holds for as long as the input keeps the text it has now.
+ *
+ * @param {HTMLInputElement} input
+ * @param {GeocodedLocation} location
+ */
+export function lockLocation(input, location) {
+  locks.set(input, { text: input.value.trim(), location });
+}
+
+/**
+ * Location picked for an input, if its text hasn't been changed since
+ *
+ * @param {HTMLInputElement|null} input
+ * @returns {GeocodedLocation|null}
+ */
+export function getLockedLocation(input) {
+  const lock = input && locks.get(input);
+  return lock && lock.text === input.value.trim() ? lock.location : null;
+}
@@ -0,0 +1,190 @@
+/**
+ * Order Chain Display
+ * Renders per-job and cumulative results for chain mode
+ * @module ui/chain
+ */
+
+import { createMetricCard } from "./components.js";
+import {
+  formatCurrency,
+  formatDistance,
+  formatDuration,
+  formatProfitPerHour,
+  formatPercentage,
+  formatAddress,
+} from "../utils/format.js";
+import { PROFIT_THRESHOLDS } from "../config.js";
+import { $, $q, toggleHidden, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Render a chain of back-to-back orders
+ *
+ * @param {ChainSummary} chain - Result of summarizeChain()
+ * @param {Object} handlers
+ * @param {Function} handlers.onViewOrder - Called with an order number
+ */
+export function renderChain(chain, handlers) {
+  const container = $("results-container");
+  if (!container) return;
+
+  container.innerHTML = "";
+  toggleHidden(container, true);
+
+  container.appendChild(createSessionHeader(chain.totals));
+  container.appendChild(createSessionMetrics(chain.totals));
+  container.appendChild(createChainSection(chain.links, handlers));
+
+  container.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Create the header showing the session $/hour
+ *
+ * @param {Object} totals
+ * @returns {HTMLElement}
+ */
+function createSessionHeader(totals) {
+  const threshold = totals.ratingDetails;
+
+  const header = document.createElement("div");
+  header.className = `rating-header rating-${totals.rating}`;
+  header.innerHTML = `
+    <div class="rating-emoji">${escapeHtml(threshold.emoji)}</div>
+    <div class="rating-content">
+      <div class="rating-label">Session rate</div>
+      <div class="rating-value">${formatProfitPerHour(
+        totals.sessionProfitPerHour,
+      )}</div>
+    </div>
+  `;
+  header.style.borderLeftColor = threshold.color;
+
+  return header;
+}
+
+/**
+ * Create the session totals grid
+ *
+ * @param {Object} totals
+ * @returns {HTMLElement}
+ */
+function createSessionMetrics(totals) {
+  const grid = document.createElement("div");
+  grid.className = "metrics-grid";
+
+  const metrics = [
+    {
+      label: "Total Net Profit",
+      value: formatCurrency(totals.netProfit),
+      subtext: `From ${formatCurrency(totals.grossFare)} in fares`,
+      icon: "💰",
+      className: totals.netProfit >= 0 ? "positive" : "negative",
+    },
+    {
+      label: "Session Time",
+      value: formatDuration(totals.totalTimeMinutes),
+      icon: "⏱️",
+    },
+    {
+      label: "Total Distance",
+      value: formatDistance(totals.distanceKm),
+      subtext: `Fuel: ${formatCurrency(totals.fuelCost)}`,
+      icon: "📍",
+    },
+    {
+      label: "Empty Running",
+      value: formatDistance(totals.deadheadKm),
+      subtext: `${formatPercentage(totals.deadheadPercentage, 0)} of distance`,
+      icon: "🛣️",
+    },
+  ];
+
+  metrics.forEach((metric) => {
+    grid.appendChild(createMetricCard(metric));
+  });
+
+  return grid;
+}
+
+/**
+ * Create the per-job breakdown table
+ *
+ * @param {ChainLink[]} links
+ * @param {Object} handlers
+ * @returns {HTMLElement}
+ */
+function createChainSection(links, handlers) {
+  const section = document.createElement("div");
+  section.className = "results-section chain-section";
+
+  section.innerHTML = `
+    <h3>🔗 Job by Job</h3>
+    <div class="table-container">
+      <table class="comparison-table chain-table">
+        <thead>
+          <tr>
+            <th>Job</th>
+            <th>Empty</th>
+            <th>Job $/hr</th>
+            <th>Running $/hr</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  `;
+
+  const tbody = $q("tbody", section);
+  links.forEach((link) => {
+    tbody.appendChild(createChainRow(link, handlers.onViewOrder));
+  });
+
+  return section;
+}
+
+/**
+ * Create one row of the chain table
+ *
+ * @param {ChainLink} link
+ * @param {Function} onViewOrder
+ * @returns {HTMLElement}
+ */
+function createChainRow(link, onViewOrder) {
+  const { profitability, locations } = link.result;
+  const threshold = PROFIT_THRESHOLDS[profitability.rating];
+  const cumulativeThreshold = PROFIT_THRESHOLDS[link.cumulative.rating];
+
+  const row = document.createElement("tr");
+  row.className = `rating-${profitability.rating}`;
+  row.innerHTML = `
+    <td class="order">
+      <div class="order-name">Job ${link.orderNumber}</div>
+      <div class="order-summary">${escapeHtml(
+        formatAddress(locations.pickup.address, 28),
+      )} → ${locations.stops.length} stop${
+        locations.stops.length > 1 ? "s" : ""
+      } · ${formatCurrency(profitability.fare)}</div>
+      <div class="order-summary">Net ${formatCurrency(
+        profitability.netProfit,
+      )} in ${formatDuration(profitability.totalTimeMinutes)}</div>
+    </td>
+    <td class="deadhead">
+      ${formatDistance(link.deadheadKm)}
+      <div class="order-summary">${formatDuration(link.deadheadMinutes)}</div>
+    </td>
+    <td class="rate">${escapeHtml(threshold.emoji)} ${formatProfitPerHour(
+      profitability.profitPerHour,
+    )}</td>
+    <td class="cumulative">${escapeHtml(
+      cumulativeThreshold.emoji,
+    )} ${formatProfitPerHour(link.cumulative.profitPerHour)}</td>
+    <td><button type="button" class="btn-view-order">Details</button></td>
+  `;
+
+  $q(".btn-view-order", row).addEventListener("click", () =>
+    onViewOrder(link.orderNumber),
+  );
+
+  return row;
+}
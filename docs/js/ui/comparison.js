@@ -0,0 +1,182 @@
+/**
+ * Order Comparison Display
+ * Renders the ranked table for compare mode
+ * @module ui/comparison
+ */
+
+import {
+  formatCurrency,
+  formatDuration,
+  formatProfitPerHour,
+  formatAddress,
+} from "../utils/format.js";
+import { PROFIT_THRESHOLDS } from "../config.js";
+import { $, $q, toggleHidden, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Ranking options shown in the sort selector
+ */
+const SORT_OPTIONS = {
+  profitPerHour: "$/hour",
+  netProfit: "Net profit",
+  totalTimeMinutes: "Total time",
+};
+
+/**
+ * Render the ranked comparison of several orders
+ *
+ * @param {Object} ranking - Result of rankOrders()
+ * @param {Object[]} results - Full analysis results in entry order
+ * @param {Object} handlers
+ * @param {Function} handlers.onSortChange - Called with the new sort key
+ * @param {Function} handlers.onViewOrder - Called with an order number
+ */
+export function renderComparison(ranking, results, handlers) {
+  const container = $("results-container");
+  if (!container) return;
+
+  container.innerHTML = "";
+  toggleHidden(container, true);
+
+  container.appendChild(createRecommendationHeader(ranking));
+  container.appendChild(createRankingSection(ranking, results, handlers));
+
+  container.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Create the header showing the best order and recommendation
+ *
+ * @param {Object} ranking
+ * @returns {HTMLElement}
+ */
+function createRecommendationHeader(ranking) {
+  const best = ranking.ranked.find(
+    (entry) => entry.orderNumber === ranking.bestOrder,
+  );
+  const threshold = PROFIT_THRESHOLDS[best.profitability.rating];
+
+  const header = document.createElement("div");
+  header.className = `rating-header rating-${best.profitability.rating}`;
+  header.innerHTML = `
+    <div class="rating-emoji">${escapeHtml(threshold.emoji)}</div>
+    <div class="rating-content">
+      <div class="rating-label">Best: Order ${ranking.bestOrder}</div>
+      <div class="rating-value">${formatProfitPerHour(
+        best.profitability.profitPerHour,
+      )}</div>
+      <div class="comparison-recommendation">${ranking.recommendation}</div>
+    </div>
+  `;
+  header.style.borderLeftColor = threshold.color;
+
+  return header;
+}
+
+/**
+ * Create the ranked table section with sort selector
+ *
+ * @param {Object} ranking
+ * @param {Object[]} results
+ * @param {Object} handlers
+ * @returns {HTMLElement}
+ */
+function createRankingSection(ranking, results, handlers) {
+  const section = document.createElement("div");
+  section.className = "results-section comparison-section";
+
+  section.innerHTML = `
+    <div class="section-header-row">
+      <h3>⚖️ Ranked Orders</h3>
+      <label class="comparison-sort">
+        Rank by
+        <select class="comparison-sort-select">
+          ${Object.entries(SORT_OPTIONS)
+            .map(
+              ([key, label]) =>
+                `<option value="${key}" ${
+                  key === ranking.sortBy ? "selected" : ""
+                }>${label}</option>`,
+            )
+            .join("")}
+        </select>
+      </label>
+    </div>
+    <div class="table-container">
+      <table class="comparison-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Order</th>
+            <th>$/Hour</th>
+            <th>Net</th>
+            <th>Time</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  `;
+
+  const tbody = $q("tbody", section);
+  ranking.ranked.forEach((entry) => {
+    const result = results[entry.orderNumber - 1];
+    tbody.appendChild(createRankingRow(entry, result, handlers.onViewOrder));
+  });
+
+  $q(".comparison-sort-select", section).addEventListener("change", (e) =>
+    handlers.onSortChange(e.target.value),
+  );
+
+  return section;
+}
+
+/**
+ * Create one row of the ranking table
+ *
+ * @param {Object} entry - Ranked entry
+ * @param {Object} result - Full analysis result for the order
+ * @param {Function} onViewOrder
+ * @returns {HTMLElement}
+ */
+function createRankingRow(entry, result, onViewOrder) {
+  const { profitability } = entry;
+  const threshold = PROFIT_THRESHOLDS[profitability.rating];
+  const stopCount = result.locations.stops.length;
+
+  const row = document.createElement("tr");
+  row.className = `rating-${profitability.rating}`;
+  row.innerHTML = `
+    <td class="rank">${entry.rank}</td>
+    <td class="order">
+      <div class="order-name">Order ${entry.orderNumber}</div>
+      <div class="order-summary">${escapeHtml(
+        formatAddress(result.locations.pickup.address, 28),
+      )} → ${stopCount} stop${stopCount > 1 ? "s" : ""} · ${formatCurrency(
+        profitability.fare,
+      )}</div>
+    </td>
+    <td class="rate">
+      ${escapeHtml(threshold.emoji)} ${formatProfitPerHour(
+        profitability.profitPerHour,
+      )}
+      ${
+        entry.profitPerHourBehindBest > 0
+          ? `<div class="behind-best">−${formatCurrency(
+              entry.profitPerHourBehindBest,
+            )}/hr</div>`
+          : ""
+      }
+    </td>
+    <td class="net">${formatCurrency(profitability.netProfit)}</td>
+    <td class="time">${formatDuration(profitability.totalTimeMinutes)}</td>
+    <td><button type="button" class="btn-view-order">Details</button></td>
+  `;
+
+  $q(".btn-view-order", row).addEventListener("click", () =>
+    onViewOrder(entry.orderNumber),
+  );
+
+  return row;
+}
@@ -4,6 +4,8 @@
  * @module ui/components
  */
 
+import { CONFIG } from "../config.js";
+
 /**
  * Create a stop input row with remove button
  *
@@ -40,12 +42,120 @@ export function createStopInput(index, onRemove) {
       >
       <span class="wait-suffix">min</span>
     </div>
+    <button
+      type="button"
+      class="btn-pin"
+      title="Keep this stop in its position when optimising"
+      aria-pressed="false"
+    >📌</button>
     <button type="button" class="btn-remove" title="Remove stop">×</button>
   `;
 
   const removeBtn = row.querySelector(".btn-remove");
   removeBtn.addEventListener("click", () => onRemove(index));
 
+  const pinBtn = row.querySelector(".btn-pin");
+  pinBtn.addEventListener("click", () => {
+    setStopPinned(row, pinBtn.getAttribute("aria-pressed") !== "true");
+  });
+
+  return row;
+}
+
+/**
+ * Pin or unpin a delivery stop row
+ * Pinned stops keep their position when the stop order is optimised
+ *
+ * @param {HTMLElement} row - Stop row from createStopInput()
+ * @param {boolean} isPinned
+ */
+export function setStopPinned(row, isPinned) {
+  const pinBtn = row.querySelector(".btn-pin");
+  if (!pinBtn) return;
+
+  pinBtn.setAttribute("aria-pressed", String(isPinned));
+  pinBtn.classList.toggle("active", isPinned);
+}
+
+/**
+ * Create a candidate order card for multi-order modes
+ * Each card holds its own pickup, delivery stops and fare
+ *
+ * @param {number} index - Order number (1-based)
+ * @param {Object} handlers
+ * @param {Function} handlers.onRemove - Callback when the order is removed
+ * @param {Function} handlers.onAddStop - Callback when "+ Stop" is clicked
+ * @returns {HTMLElement}
+ */
+export function createOrderCard(index, { onRemove, onAddStop }) {
+  const card = document.createElement("div");
+  card.className = "order-card";
+  card.dataset.index = index;
+
+  card.innerHTML = `
+    <div class="order-card-header">
+      <span class="order-title">Order <span class="order-number">${index}</span></span>
+      <button type="button" class="btn-remove" title="Remove order">×</button>
+    </div>
+    <input
+      type="text"
+      class="order-pickup"
+      name="order-${index}-pickup"
+      placeholder="📦 Pickup address or postal code"
+      autocomplete="off"
+    >
+    <div class="order-stops"></div>
+    <div class="order-card-footer">
+      <button type="button" class="btn-add-order-stop">+ Stop</button>
+      <div class="input-with-prefix order-fare-wrapper">
+        <span class="input-prefix">$</span>
+        <input
+          type="number"
+          class="order-fare"
+          name="order-${index}-fare"
+          placeholder="Fare"
+          step="0.01"
+          min="0"
+        >
+      </div>
+    </div>
+  `;
+
+  card
+    .querySelector(".order-card-header .btn-remove")
+    .addEventListener("click", () => onRemove(card));
+  card
+    .querySelector(".btn-add-order-stop")
+    .addEventListener("click", () => onAddStop(card));
+
+  return card;
+}
+
+/**
+ * Create a delivery stop input inside an order card
+ *
+ * @param {Function} onRemove - Callback when remove is clicked
+ * @returns {HTMLElement}
+ */
+export function createOrderStopInput(onRemove) {
+  const row = document.createElement("div");
+  row.className = "order-stop-row";
+
+  row.innerHTML = `
+    <span class="order-stop-number"></span>
+    <input
+      type="text"
+      class="order-stop-input"
+      placeholder="Delivery address or postal code"
+      autocomplete="off"
+    >
+    <button type="button" class="btn-remove" title="Remove stop">×</button>
+  `;
+
+  row
+    .querySelector(".btn-remove")
+    .addEventListener("click", () => onRemove(row));
+
   return row;
 }
 
@@ -63,12 +173,22 @@ export function createRouteLeg(leg, index, isFirst) {
 
   const icon = isFirst ? "🏍️" : "📦";
   const label = isFirst ? "To Pickup" : `Delivery ${index}`;
+  const traffic = CONFIG.traffic.conditions[leg.trafficCondition];
 
   div.innerHTML = `
     <div class="leg-icon">${icon}</div>
     <div class="leg-details">
       <div class="leg-label">${label}</div>
       <div class="leg-address">${leg.to}</div>
+      ${
+        traffic
+          ? `<div class="leg-traffic">${traffic.icon} ${traffic.label}${
+              leg.areas?.length
+                ? ` · slower through ${leg.areas.join(", ")}`
+                : ""
+            }</div>`
+          : ""
+      }
     </div>
     <div class="leg-stats">
       <span class="leg-distance">${leg.distanceKm.toFixed(1)} km</span>
@@ -137,8 +257,10 @@ export function createInsightItem(insight) {
 
   div.innerHTML = `
     <span class="insight-icon">${icons[insight.type] || "ℹ️"}</span>
-    <span class="insight-message">${insight.message}</span>
+    <span class="insight-message"></span>
   `;
+  // Messages can include the rider's own tier names
+  div.querySelector(".insight-message").textContent = insight.message;
 
   return div;
 }
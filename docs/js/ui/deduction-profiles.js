@@ -0,0 +1,232 @@
+/**
+ * Deduction Profile Settings
+ * Lists, edits, imports and exports the rider's fare deduction profiles
+ * @module ui/deduction-profiles
+ */
+
+import {
+  getDeductionProfiles,
+  getProfileForDate,
+  saveDeductionProfile,
+  deleteDeductionProfile,
+  exportDeductionProfiles,
+  importDeductionProfiles,
+} from "../services/deductions.js";
+import { formatCurrency, formatRate } from "../utils/format.js";
+import { parseNumericInput } from "../utils/validation.js";
+import { $, $qa, showHint, toggleHidden, escapeHtml } from "../utils/dom.js";
+
+// ID of the profile being edited (null for a new profile)
+let editingId = null;
+
+/**
+ * Initialize the deduction profile settings
+ */
+export function initDeductionProfiles() {
+  if (!$("deduction-profiles")) return;
+
+  renderDeductionProfiles();
+
+  $("add-profile-btn")?.addEventListener("click", () => openEditor());
+  $("cancel-profile-btn")?.addEventListener("click", closeEditor);
+  $("save-profile-btn")?.addEventListener("click", handleSave);
+  $("export-profiles-btn")?.addEventListener("click", handleExport);
+  $("import-profiles-btn")?.addEventListener("click", () =>
+    $("import-profiles-input")?.click(),
+  );
+  $("import-profiles-input")?.addEventListener("change", handleImport);
+
+  // Enter saves the profile instead of submitting the calculator form
+  $qa("#profile-editor input").forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        handleSave();
+      }
+    });
+  });
+}
+
+/**
+ * Render the profile list, marking the one in force today
+ */
+export function renderDeductionProfiles() {
+  const container = $("deduction-profiles");
+  if (!container) return;
+
+  const profiles = getDeductionProfiles();
+  const current = getProfileForDate();
+
+  container.innerHTML = profiles
+    .map(
+      (profile) => `
+        <div class="deduction-profile${
+          profile.id === current.id ? " in-force" : ""
+        }" data-id="${escapeHtml(profile.id)}">
+          <div class="deduction-profile-header">
+            <span class="deduction-profile-name">${escapeHtml(
+              profile.name,
+            )}</span>
+            ${
+              profile.id === current.id
+                ? '<span class="deduction-profile-badge">In force</span>'
+                : ""
+            }
+            ${
+              profile.isBuiltIn
+                ? ""
+                : `
+                  <button type="button" class="btn-edit-profile" title="Edit profile">✏️</button>
+                  <button type="button" class="btn-delete-profile" title="Delete profile">🗑️</button>
+                `
+            }
+          </div>
+          <div class="deduction-profile-rates">
+            ${
+              profile.effectiveFrom
+                ? `From ${escapeHtml(profile.effectiveFrom)}`
+                : "Default"
+            } ·
+            Commission ${formatRate(profile.commissionRate)} ·
+            VAT ${formatRate(profile.vatRate)} ·
+            CPF ${formatRate(profile.cpfWithholdingRate)} ·
+            Fee ${formatCurrency(profile.platformFeeOffset)}
+          </div>
+        </div>
+      `,
+    )
+    .join("");
+
+  $qa(".deduction-profile", container).forEach((row) => {
+    const profile = profiles.find((p) => p.id === row.dataset.id);
+    row
+      .querySelector(".btn-edit-profile")
+      ?.addEventListener("click", () => openEditor(profile));
+    row
+      .querySelector(".btn-delete-profile")
+      ?.addEventListener("click", () => handleDelete(profile));
+  });
+}
+
+/**
+ * Open the editor for a new or existing profile
+ * New profiles start from the rates in force today.
+ *
+ * @param {import('../services/deductions.js').DeductionProfile} [profile]
+ */
+function openEditor(profile) {
+  const source = profile || getProfileForDate();
+  editingId = profile ? profile.id : null;
+
+  const toPercent = (rate) => Number((rate * 100).toFixed(4));
+
+  $("profile-name").value = profile ? profile.name : "";
+  $("profile-effective-from").value = profile
+    ? profile.effectiveFrom
+    : new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Singapore" });
+  $("profile-commission").value = toPercent(source.commissionRate);
+  $("profile-vat").value = toPercent(source.vatRate);
+  $("profile-cpf").value = toPercent(source.cpfWithholdingRate);
+  $("profile-platform-fee").value = source.platformFeeOffset;
+
+  showHint("profile-hint", "");
+  toggleHidden("profile-editor", true);
+  $("profile-name").focus();
+}
+
+/**
+ * Close the editor without saving
+ */
+function closeEditor() {
+  editingId = null;
+  toggleHidden("profile-editor", false);
+}
+
+/**
+ * Read the editor into a profile
+ * Blank fields read as NaN so validation rejects them.
+ *
+ * @returns {Object}
+ */
+function readEditor() {
+  const rate = (id) => parseNumericInput($(id).value, NaN) / 100;
+
+  return {
+    id: editingId || undefined,
+    name: $("profile-name").value,
+    effectiveFrom: $("profile-effective-from").value,
+    commissionRate: rate("profile-commission"),
+    vatRate: rate("profile-vat"),
+    cpfWithholdingRate: rate("profile-cpf"),
+    platformFeeOffset: parseNumericInput($("profile-platform-fee").value, NaN),
+  };
+}
+
+/**
+ * Save the profile in the editor
+ */
+function handleSave() {
+  try {
+    const saved = saveDeductionProfile(readEditor());
+    closeEditor();
+    renderDeductionProfiles();
+    showHint("profile-hint", `Saved "${saved.name}"`, "success");
+  } catch (error) {
+    showHint("profile-hint", error.message, "error");
+  }
+}
+
+/**
+ * Delete a saved profile after confirmation
+ * @param {import('../services/deductions.js').DeductionProfile} profile
+ */
+function handleDelete(profile) {
+  if (!confirm(`Delete the "${profile.name}" deduction profile?`)) return;
+
+  deleteDeductionProfile(profile.id);
+  if (editingId === profile.id) closeEditor();
+  renderDeductionProfiles();
+  showHint("profile-hint", `Deleted "${profile.name}"`);
+}
+
+/**
+ * Download saved profiles as a JSON file
+ */
+function handleExport() {
+  const blob = new Blob([exportDeductionProfiles()], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "deduction-profiles.json";
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Import profiles from the chosen JSON file
+ * @param {Event} e
+ */
+async function handleImport(e) {
+  const input = e.target;
+  const [file] = input.files;
+  if (!file) return;
+
+  try {
+    const count = importDeductionProfiles(await file.text());
+    renderDeductionProfiles();
+    showHint(
+      "profile-hint",
+      `Imported ${count} profile${count === 1 ? "" : "s"}`,
+      "success",
+    );
+  } catch (error) {
+    showHint("profile-hint", error.message, "error");
+  } finally {
+    // Allow the same file to be chosen again
+    input.value = "";
+  }
+}
@@ -4,20 +4,59 @@
  * @module ui/form
  */
 
+import { BIKE_MODELS, PETROL_LINKS, CONFIG } from "../config.js";
 import {
-  BIKE_MODELS,
-  PETROL_LINKS,
-  CONFIG,
   detectTrafficCondition,
-} from "../config.js";
-import { createStopInput } from "./components.js";
-import { validateFormData, parseNumericInput } from "../utils/validation.js";
+  getSingaporeTime,
+} from "../services/traffic.js";
+import { createStopInput, setStopPinned } from "./components.js";
+import { initDeductionProfiles } from "./deduction-profiles.js";
+import { initRiderProfiles } from "./rider-profiles.js";
+import { initVehicleCosts } from "./vehicle-costs.js";
+import { initWaitRules } from "./wait-rules.js";
+import { initRoutingProviders } from "./routing-providers.js";
+import { initOrders, resetOrders, getOrdersData } from "./orders.js";
+import { initOrderImport } from "./order-import.js";
+import {
+  attachAutocomplete,
+  getLockedLocation,
+  lockLocation,
+} from "./autocomplete.js";
+import {
+  validateFormData,
+  validateBirthYear,
+  parseNumericInput,
+} from "../utils/validation.js";
 import { $, $q, $qa, showHint, toggleHidden } from "../utils/dom.js";
 import { storeToken, getStoredToken, reverseGeocode } from "../api/onemap.js";
 import { formatReverseGeocodeAddress } from "../services/geocoding.js";
+import {
+  getCpfSettings,
+  saveCpfSettings,
+  getCpfRates,
+} from "../services/cpf.js";
+import { getActiveRiderProfile } from "../services/rider-profiles.js";
+import { formatRate } from "../utils/format.js";
 
 let stopCount = 1;
 let onSubmitCallback = null;
+let currentMode = "single";
+
+// Order type and priority fee read from a pasted order, for the save form
+let importedDetails = {};
+
+// Singapore is UTC+8 all year, with no daylight saving
+const SINGAPORE_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Submit button labels per calculator mode
+ */
+const SUBMIT_LABELS = {
+  single: "Calculate Profitability",
+  compare: "Compare Orders",
+  chain: "Plan Job Chain",
+  target: "Find Required Fare",
+};
 
 /**
  * Initialize the form with dynamic elements
@@ -30,11 +69,25 @@ export function initForm({ onSubmit }) {
 
   // Initialize dynamic form elements
   initTrafficSelect();
+  initJobTime();
   initBikeSelect();
-  initPetrolPrice();
   initPetrolLinks();
   initStopsContainer();
+  initOrders();
   initTokenField();
+  initModeTabs();
+  initRiderProfiles({
+    onChange: applyRiderProfile,
+    getFormValues: getProfileFormValues,
+  });
+  applyRiderProfile(getActiveRiderProfile());
+  initDeductionProfiles();
+  initVehicleCosts();
+  initWaitRules();
+  initRoutingProviders();
+  initCpfSettings();
+  initLocationAutocomplete();
+  initOrderImport({ onImport: fillFromOrder });
 
   // Setup event listeners
   $("calculator-form")?.addEventListener("submit", handleFormSubmit);
@@ -52,60 +105,281 @@ function initBikeSelect() {
   const select = $("bike-model");
   if (!select) return;
 
+  // The rider profile picks the bike
   select.innerHTML = BIKE_MODELS.map(
     (bike) =>
-      `<option value="${bike.id}" ${bike.id === "ybr125" ? "selected" : ""}>
+      `<option value="${bike.id}">
       ${bike.name}${bike.efficiency ? ` (${bike.efficiency} km/L)` : ""}
     </option>`,
   ).join("");
+}
 
-  // Show/hide custom efficiency input
-  handleBikeModelChange();
+/**
+ * Initialize calculator mode tabs
+ * Remembers which inputs are required so hidden sections don't block submit
+ */
+function initModeTabs() {
+  $qa(".mode-tab").forEach((tab) => {
+    tab.addEventListener("click", () => setMode(tab.dataset.mode));
+  });
+
+  $qa("#calculator-form [required]").forEach((input) => {
+    input.dataset.required = "true";
+  });
+
+  setMode(currentMode);
 }
 
 /**
- * Initialize traffic condition selector with auto-detected default
+ * Switch calculator mode
+ * Shows only the form sections tagged for the mode via data-modes
+ *
+ * @param {'single'|'compare'|'chain'|'target'} mode
+ */
+export function setMode(mode) {
+  currentMode = mode;
+
+  $qa(".mode-tab").forEach((tab) => {
+    const isActive = tab.dataset.mode === mode;
+    tab.classList.toggle("active", isActive);
+    tab.setAttribute("aria-selected", String(isActive));
+  });
+
+  $qa("[data-modes]").forEach((el) => {
+    toggleHidden(el, el.dataset.modes.split(" ").includes(mode));
+  });
+
+  $qa("[data-required]").forEach((input) => {
+    input.required = !input.closest("[data-modes].hidden");
+  });
+
+  const submitBtn = $("submit-btn");
+  if (submitBtn) {
+    submitBtn.textContent = SUBMIT_LABELS[mode] || SUBMIT_LABELS.single;
+  }
+
+  clearErrors();
+}
+
+/**
+ * Get the active calculator mode
+ * @returns {string}
+ */
+export function getMode() {
+  return currentMode;
+}
+
+/**
+ * Initialize traffic condition selector
+ * Auto follows the traffic profile leg by leg; picking a condition uses it
+ * for the whole job.
  */
 function initTrafficSelect() {
+  const select = $("traffic-condition");
+  if (!select) return;
+
+  renderTrafficSelect();
+  select.addEventListener("change", renderTrafficSelect);
+}
+
+/**
+ * Fill the traffic selector for the job start time, keeping the choice
+ */
+function renderTrafficSelect() {
   const select = $("traffic-condition");
   const hint = $("traffic-hint");
   if (!select) return;
 
-  const detectedCondition = detectTrafficCondition();
   const conditions = CONFIG.traffic.conditions;
+  const picked = conditions[select.value] ? select.value : "";
+  const jobTime = new Date(getJobTime() ?? Date.now());
+  const detected = conditions[detectTrafficCondition(jobTime)];
 
   // Build options
-  select.innerHTML = Object.entries(conditions)
-    .map(([key, condition]) => {
-      const isDetected = key === detectedCondition;
-      return `<option value="${key}" ${isDetected ? "selected" : ""}>
-      ${condition.icon} ${condition.label} (~${condition.speedKmH} km/h)${
-        isDetected ? " ← Auto" : ""
-      }
-    </option>`;
-    })
-    .join("");
+  select.innerHTML = [
+    `<option value="">⏱️ Auto by hour and area (${detected.icon} ${detected.label} at the start)</option>`,
+    ...Object.entries(conditions).map(
+      ([key, condition]) =>
+        `<option value="${key}">${condition.icon} ${condition.label} (~${condition.speedKmH} km/h)</option>`,
+    ),
+  ].join("");
+  select.value = picked;
 
-  // Update hint with current Singapore time
+  // Update hint with the job's Singapore time
   if (hint) {
-    const sgTime = new Date().toLocaleTimeString("en-SG", {
-      timeZone: "Asia/Singapore",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: true,
-    });
-    hint.innerHTML = `Auto-detected for ${sgTime} Singapore time. Override if needed.`;
+    const areas = CONFIG.traffic.areas.map((area) => area.label).join(", ");
+    hint.textContent = picked
+      ? `Every leg is timed for ${conditions[
+          picked
+        ].label.toLowerCase()}, and still slowed through busy areas (${areas}). Choose Auto to follow the time of day.`
+      : `Each leg is timed for the hour it's ridden, starting ${formatSingaporeTime(
+          jobTime,
+        )} Singapore time${describeDayType(
+          getSingaporeTime(jobTime),
+        )}, and slowed through ${areas} at their busy times.`;
+  }
+}
+
+/**
+ * Initialize the job start time input
+ * Auto traffic follows it.
+ */
+function initJobTime() {
+  const input = $("job-time");
+  if (!input) return;
+
+  input.addEventListener("change", handleJobTimeChange);
+  $("job-time-now-btn")?.addEventListener("click", () => {
+    input.value = "";
+    handleJobTimeChange();
+  });
+}
+
+/**
+ * Update the hints and the traffic selector for a new start time
+ */
+function handleJobTimeChange() {
+  renderTrafficSelect();
+
+  const jobTime = getJobTime();
+  if (!jobTime) {
+    showHint(
+      "job-time-hint",
+      "Leave blank for a job starting now. Scheduled orders use their own time for traffic and busy-time waits.",
+    );
+    return;
   }
+
+  const time = getSingaporeTime(new Date(jobTime));
+  const warnings = [
+    new Date(jobTime) < Date.now() ? "That time has passed." : "",
+    time.hasHolidayCalendar
+      ? ""
+      : `Public holidays for ${time.date.slice(
+          0,
+          4,
+        )} aren't in the calendar yet, so only weekends count as rest days.`,
+  ].filter(Boolean);
+
+  showHint(
+    "job-time-hint",
+    [
+      `${formatSingaporeTime(
+        new Date(jobTime),
+      )} Singapore time${describeDayType(time)}.`,
+      ...warnings,
+    ].join(" "),
+  );
 }
 
 /**
- * Initialize petrol price input with default from config
+ * Job start time from the form
+ * The input is read as Singapore time, whatever the phone's time zone.
+ *
+ * @returns {string|null} ISO time, or null to start now
+ */
+function getJobTime() {
+  const value = $("job-time")?.value;
+  if (!value) return null;
+
+  const time = new Date(`${value}:00+08:00`);
+  return isNaN(time) ? null : time.toISOString();
+}
+
+/**
+ * Set the job start time input
+ *
+ * @param {string|null} jobTime - ISO time, or null to start now
  */
-function initPetrolPrice() {
-  const input = $("petrol-price");
+function setJobTime(jobTime) {
+  const input = $("job-time");
   if (!input) return;
 
-  input.value = CONFIG.defaults.petrolPrice;
+  const time = jobTime ? new Date(jobTime) : null;
+  input.value =
+    time && !isNaN(time)
+      ? new Date(time.getTime() + SINGAPORE_OFFSET_MS)
+          .toISOString()
+          .slice(0, 16)
+      : "";
+  handleJobTimeChange();
+}
+
+/**
+ * Day and time in Singapore, e.g. "Sat 25 Oct, 2:00 pm"
+ *
+ * @param {Date} time
+ * @returns {string}
+ */
+function formatSingaporeTime(time) {
+  return time.toLocaleString("en-SG", {
+    timeZone: "Asia/Singapore",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+/**
+ * Note for weekends and public holidays
+ *
+ * @param {import('../config.js').SingaporeTime} time
+ * @returns {string} e.g. " (public holiday: Deepavali)", or "" on weekdays
+ */
+function describeDayType(time) {
+  if (time.dayType === "holiday") return ` (public holiday: ${time.holiday})`;
+  if (time.dayType === "weekend") return " (weekend)";
+  return "";
+}
+
+/**
+ * Set the bike, petrol price, target rate and start location from a
+ * rider profile
+ * The current location is only replaced if it's empty or still the
+ * previous profile's home base.
+ *
+ * @param {import('../services/rider-profiles.js').RiderProfile} profile
+ * @param {import('../services/rider-profiles.js').RiderProfile} [previous]
+ */
+function applyRiderProfile(profile, previous = null) {
+  const bikeSelect = $("bike-model");
+  if (bikeSelect) {
+    bikeSelect.value = profile.bikeModel;
+    handleBikeModelChange();
+  }
+
+  const setValue = (id, value) => {
+    const input = $(id);
+    if (input) input.value = value ?? "";
+  };
+  setValue("custom-efficiency", profile.customEfficiency);
+  setValue("petrol-price", profile.petrolPrice);
+  setValue("target-rate", profile.targetRate);
+
+  const currentLocation = $("current-location");
+  const current = currentLocation?.value.trim();
+  if (currentLocation && (!current || current === previous?.homeBase)) {
+    currentLocation.value = profile.homeBase;
+  }
+}
+
+/**
+ * Bike, petrol and target values in the form, to start a new profile from
+ * @returns {Object}
+ */
+function getProfileFormValues() {
+  const form = $("calculator-form");
+  const number = (name) => parseNumericInput(form?.elements[name]?.value, null);
+
+  return {
+    bikeModel: $("bike-model")?.value,
+    customEfficiency: number("custom-efficiency"),
+    petrolPrice: number("petrol-price"),
+    targetRate: number("target-rate"),
+  };
 }
 
 /**
@@ -133,6 +407,23 @@ function initStopsContainer() {
   addStop();
 }
 
+/**
+ * Initialize address suggestions for the current location and pickup
+ * Delivery stops get theirs as each row is added.
+ */
+function initLocationAutocomplete() {
+  const currentLocation = $("current-location");
+  const pickup = $("pickup");
+
+  if (currentLocation) attachAutocomplete(currentLocation);
+  if (pickup) {
+    attachAutocomplete(pickup, {
+      onSelect: ({ buildingType }) =>
+        updatePickupTypeBadge(buildingType, buildingType.toUpperCase()),
+    });
+  }
+}
+
 /**
  * Initialize API token field
  */
@@ -155,6 +446,63 @@ function initTokenField() {
   });
 }
 
+/**
+ * Initialize the Platform Workers Act CPF settings
+ * Saved as soon as they change, since they apply to every calculation.
+ */
+function initCpfSettings() {
+  const birthYearInput = $("cpf-birth-year");
+  const optInInput = $("cpf-opt-in");
+  if (!birthYearInput || !optInInput) return;
+
+  const { birthYear, optedIn } = getCpfSettings();
+  birthYearInput.value = birthYear ?? "";
+  optInInput.checked = optedIn;
+  showCpfStatus();
+
+  const handleChange = () => {
+    const value = birthYearInput.value.trim();
+    const validation = value
+      ? validateBirthYear(value)
+      : { isValid: true, error: null };
+
+    if (!validation.isValid) {
+      showHint("cpf-hint", validation.error, "error");
+      return;
+    }
+
+    saveCpfSettings({
+      birthYear: value ? Number(value) : null,
+      optedIn: optInInput.checked,
+    });
+    showCpfStatus();
+  };
+
+  birthYearInput.addEventListener("change", handleChange);
+  optInInput.addEventListener("change", handleChange);
+}
+
+/**
+ * Show which CPF rates apply this year
+ */
+function showCpfStatus() {
+  const { birthYear } = getCpfSettings();
+  const rates = getCpfRates();
+
+  let message;
+  if (!birthYear) {
+    message = "Add your birth year to include Platform Workers Act CPF.";
+  } else if (!rates) {
+    message = `CPF is optional for riders born before ${CONFIG.cpf.mandatoryBornFrom}. Tick the box if you've opted in.`;
+  } else {
+    message = `You pay ${formatRate(
+      rates.workerRate,
+    )}, the platform adds ${formatRate(rates.platformRate)} this year.`;
+  }
+
+  showHint("cpf-hint", message);
+}
+
 /**
  * Handle bike model selection change
  */
@@ -185,6 +533,7 @@ function resetForm() {
   if (currentLocation) currentLocation.value = "";
   if (pickup) pickup.value = "";
   if (fare) fare.value = "";
+  importedDetails = {};
 
   // Hide pickup badge
   const pickupBadge = $("pickup-type-badge");
@@ -201,21 +550,16 @@ function resetForm() {
     addStop();
   }
 
-  // Reset bike model to default
-  const bikeSelect = $("bike-model");
-  if (bikeSelect) {
-    bikeSelect.value = "ybr125";
-    handleBikeModelChange();
-  }
+  // Reset candidate orders
+  resetOrders();
 
-  // Reset petrol price to default
-  const petrolInput = $("petrol-price");
-  if (petrolInput) {
-    petrolInput.value = CONFIG.defaults.petrolPrice;
-  }
+  // Back to the rider profile's bike, petrol, target and home base
+  applyRiderProfile(getActiveRiderProfile());
 
-  // Reset traffic to auto-detected
-  initTrafficSelect();
+  // Back to a job starting now, with traffic following the profile
+  const trafficSelect = $("traffic-condition");
+  if (trafficSelect) trafficSelect.value = "";
+  setJobTime(null);
 
   // Clear any hints
   const currentHint = $("current-location-hint");
@@ -250,6 +594,14 @@ function addStop() {
   const stopInput = createStopInput(stopCount - 1, removeStop);
   container.appendChild(stopInput);
 
+  attachAutocomplete($q(".stop-input", stopInput), {
+    onSelect: ({ buildingType }) => {
+      const badge = $q(".stop-type-badge", stopInput);
+      badge.textContent = buildingType.toUpperCase();
+      badge.className = `stop-type-badge type-${buildingType}`;
+    },
+  });
+
   updateStopNumbers();
   updateRemoveButtons();
 }
@@ -278,6 +630,134 @@ function removeStop(index) {
   }
 }
 
+/**
+ * Fill the form from a pasted order
+ * Stops are added or removed to match the order. Fields that couldn't be
+ * read confidently are highlighted until the rider edits them.
+ *
+ * @param {import('../services/order-parser.js').ParsedOrder} order
+ * @returns {number} Number of highlighted fields
+ */
+function fillFromOrder(order) {
+  const container = $("stops-container");
+  if (!container) return 0;
+
+  clearErrors();
+  $qa(".input-uncertain").forEach((input) =>
+    input.classList.remove("input-uncertain"),
+  );
+
+  const stops = order.stops.slice(0, CONFIG.limits.maxStops);
+  const rows = setStopRowCount(stops.length);
+
+  const fields = [
+    [$("pickup"), order.pickup],
+    ...stops.map((stop, index) => [$q(".stop-input", rows[index]), stop]),
+  ];
+
+  let uncertainCount = 0;
+  const markUncertain = (input) => {
+    input.classList.add("input-uncertain");
+    input.addEventListener(
+      "input",
+      () => input.classList.remove("input-uncertain"),
+      { once: true },
+    );
+    uncertainCount++;
+  };
+
+  fields.forEach(([input, address]) => {
+    if (!input) return;
+    // A postal code finds the right building more reliably than OCR'd text
+    input.value = address ? address.postalCode || address.text : "";
+    input.title = address?.text || "";
+    if (!address?.isConfident) markUncertain(input);
+  });
+
+  const fareInput = $("fare");
+  if (fareInput) {
+    fareInput.value = order.fare ?? "";
+    if (!order.isFareConfident) markUncertain(fareInput);
+  }
+
+  importedDetails = {
+    fareType: order.fareType,
+    priorityFee: order.priorityFee,
+  };
+
+  return uncertainCount;
+}
+
+/**
+ * Fill the form from a shared link and switch to single order mode
+ *
+ * @param {import('../services/share-link.js').SharedOrder} order
+ */
+export function restoreForm(order) {
+  setMode("single");
+  clearErrors();
+
+  const setValue = (id, value) => {
+    const input = $(id);
+    if (input && value !== null && value !== undefined) input.value = value;
+  };
+
+  setValue("current-location", order.currentLocation);
+  setValue("pickup", order.pickup);
+  setValue("fare", order.fare);
+  setValue("petrol-price", order.petrolPrice);
+
+  const stops = order.stops.slice(0, CONFIG.limits.maxStops);
+  setStopRowCount(stops.length).forEach((row, index) => {
+    $q(".stop-input", row).value = stops[index] || "";
+    const wait = order.waitOverrides[index];
+    if (wait !== undefined) $q(".wait-input", row).value = wait;
+  });
+
+  const bikeSelect = $("bike-model");
+  if (bikeSelect && $q(`option[value="${order.bikeModel}"]`, bikeSelect)) {
+    bikeSelect.value = order.bikeModel;
+    handleBikeModelChange();
+    setValue("custom-efficiency", order.customEfficiency);
+  }
+
+  setValue(
+    "traffic-condition",
+    CONFIG.traffic.conditions[order.trafficCondition]
+      ? order.trafficCondition
+      : "",
+  );
+  setJobTime(order.jobTime);
+
+  importedDetails = {};
+}
+
+/**
+ * Add or remove delivery stop rows to leave a given number
+ * Always leaves at least one row. The rows kept start empty of waits and pins.
+ *
+ * @param {number} count
+ * @returns {HTMLElement[]} The stop rows
+ */
+function setStopRowCount(count) {
+  const container = $("stops-container");
+  if (!container) return [];
+
+  while ($qa(".stop-row", container).length < count) addStop();
+  $qa(".stop-row", container).forEach((row, index) => {
+    if (index >= Math.max(count, 1)) {
+      removeStop(Number(row.dataset.index));
+    }
+  });
+
+  const rows = Array.from($qa(".stop-row", container));
+  rows.forEach((row) => {
+    $q(".wait-input", row).value = "";
+    setStopPinned(row, false);
+  });
+  return rows;
+}
+
 /**
  * Update stop numbers after add/remove
  */
@@ -426,11 +906,18 @@ export function getFormData() {
   const form = $("calculator-form");
   if (!form) return {};
 
-  // Get stops
-  const stopInputs = $qa(".stop-input", form);
-  const stops = Array.from(stopInputs)
-    .map((input) => input.value.trim())
-    .filter((value) => value.length > 0);
+  // Get stops, noting which ones are pinned in place for the optimiser
+  const stops = [];
+  const pinnedStops = [];
+  const lockedStops = [];
+  getFilledStopRows().forEach((row) => {
+    if ($q(".btn-pin", row)?.getAttribute("aria-pressed") === "true") {
+      pinnedStops.push(stops.length);
+    }
+    const input = $q(".stop-input", row);
+    stops.push(input.value.trim());
+    lockedStops.push(getLockedLocation(input));
+  });
 
   // Get wait time overrides
   const waitInputs = $qa(".wait-input", form);
@@ -443,32 +930,85 @@ export function getFormData() {
   });
 
   // Get bike efficiency
-  const bikeModel = form.elements["bike-model"]?.value || "ybr125";
+  const bikeModel =
+    form.elements["bike-model"]?.value || getActiveRiderProfile().bikeModel;
   const customEfficiency = parseNumericInput(
     form.elements["custom-efficiency"]?.value,
   );
 
-  // Get traffic condition
-  const trafficCondition =
-    form.elements["traffic-condition"]?.value || detectTrafficCondition();
+  // Get traffic condition (null to follow the traffic profile)
+  const trafficCondition = form.elements["traffic-condition"]?.value || null;
 
   return {
+    mode: currentMode,
     currentLocation: form.elements["current-location"]?.value?.trim() || "",
     pickup: form.elements["pickup"]?.value?.trim() || "",
     stops,
+    pinnedStops,
+    // Locations picked from suggestions, used instead of searching again
+    lockedLocations: {
+      currentLocation: getLockedLocation(form.elements["current-location"]),
+      pickup: getLockedLocation(form.elements["pickup"]),
+      stops: lockedStops,
+    },
     fare: parseNumericInput(form.elements["fare"]?.value),
+    targetRate: parseNumericInput(form.elements["target-rate"]?.value),
     bikeModel,
     customEfficiency,
     petrolPrice: parseNumericInput(
       form.elements["petrol-price"]?.value,
-      CONFIG.defaults.petrolPrice,
+      getActiveRiderProfile().petrolPrice,
     ),
     waitOverrides,
     trafficCondition,
+    jobTime: getJobTime(),
+    orders:
+      currentMode === "compare" || currentMode === "chain"
+        ? getOrdersData()
+        : [],
+    // From a pasted order; the save form starts from these
+    ...(currentMode === "single" ? importedDetails : {}),
     // Note: token is now handled automatically by getValidToken() in main.js
   };
 }
 
+/**
+ * Get the stop rows that have an address entered
+ *
+ * @returns {HTMLElement[]}
+ */
+function getFilledStopRows() {
+  return Array.from($qa(".stop-row", $("stops-container"))).filter(
+    (row) => $q(".stop-input", row).value.trim().length > 0,
+  );
+}
+
+/**
+ * Rewrite the delivery stops in a new visit order
+ * Wait overrides, pins and picked suggestions move with their stop.
+ *
+ * @param {number[]} order - Indices into the entered stops, in visit order
+ */
+export function reorderStops(order) {
+  const rows = getFilledStopRows();
+  const entries = rows.map((row) => ({
+    address: $q(".stop-input", row).value,
+    location: getLockedLocation($q(".stop-input", row)),
+    wait: $q(".wait-input", row).value,
+    isPinned: $q(".btn-pin", row).getAttribute("aria-pressed") === "true",
+  }));
+
+  order.forEach((stopIndex, position) => {
+    const row = rows[position];
+    const entry = entries[stopIndex];
+    const input = $q(".stop-input", row);
+    input.value = entry.address;
+    if (entry.location) lockLocation(input, entry.location);
+    $q(".wait-input", row).value = entry.wait;
+    setStopPinned(row, entry.isPinned);
+  });
+}
+
 /**
  * Display validation errors
  *
@@ -559,7 +1099,7 @@ export function setFormLoading(isLoading) {
     submitBtn.disabled = isLoading;
     submitBtn.textContent = isLoading
       ? "Calculating..."
-      : "Calculate Profitability";
+      : SUBMIT_LABELS[currentMode] || SUBMIT_LABELS.single;
   }
 
   if (form) {
@@ -0,0 +1,372 @@
+/**
+ * Job Timer Panel
+ * Walks the rider through an accepted job leg by leg, then shows the
+ * estimate against what actually happened
+ * @module ui/job-timer
+ */
+
+import {
+  createJobTimer,
+  getPhase,
+  getCurrentPhaseIndex,
+  isJobTimerDone,
+  advanceJobTimer,
+  addGpsFix,
+  finishJobTimer,
+  getActiveJobTimer,
+  saveActiveJobTimer,
+  clearActiveJobTimer,
+} from "../services/job-timer.js";
+import { setTripAccepted } from "../services/history.js";
+import { showToast } from "../services/sheets.js";
+import {
+  formatDistance,
+  formatDuration,
+  formatProfitPerHour,
+  formatAddress,
+} from "../utils/format.js";
+import { $, $q, toggleHidden, escapeHtml } from "../utils/dom.js";
+
+// Timer being shown, its panel, and the browser watchers driving it
+let timer = null;
+let panel = null;
+let tickId = null;
+let gpsWatchId = null;
+
+/**
+ * Create the job timer panel for an analysed order
+ * While a job is being timed, the panel shows that job instead, so
+ * checking another offer mid-job doesn't lose the timer.
+ *
+ * @param {Object} result - Analysis result with a historyId
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onStart] - Called once the trip is marked accepted
+ * @returns {HTMLElement}
+ */
+export function createJobTimerPanel(result, { onStart } = {}) {
+  panel = document.createElement("div");
+  panel.className = "results-section job-timer-section";
+
+  const active = getActiveJobTimer();
+  if (active) {
+    timer = active;
+    renderRunning();
+  } else {
+    renderStart(result, onStart);
+  }
+
+  return panel;
+}
+
+/**
+ * Show the timer in progress after a page reload
+ * Prepended to the results area, since the job's result isn't kept.
+ */
+export function initJobTimer() {
+  const active = getActiveJobTimer();
+  const container = $("results-container");
+  if (!active || !container) return;
+
+  timer = active;
+  panel = document.createElement("div");
+  panel.className = "results-section job-timer-section";
+  container.prepend(panel);
+  toggleHidden(container, true);
+  renderRunning();
+}
+
+/**
+ * Render the "I've accepted this job" prompt
+ *
+ * @param {Object} result
+ * @param {Function} [onStart]
+ */
+function renderStart(result, onStart) {
+  panel.innerHTML = `
+    <h3>⏱️ Job Timer</h3>
+    <p class="section-hint">
+      Tap through each leg as you ride it to see how the estimate compares.
+    </p>
+    <label class="job-timer-gps">
+      <input type="checkbox" class="job-timer-gps-input" ${
+        navigator.geolocation ? "" : "disabled"
+      } />
+      Record distance with GPS
+    </label>
+    <button type="button" class="btn-primary job-timer-start">
+      🛵 I've accepted this job
+    </button>
+  `;
+
+  $q(".job-timer-start", panel).addEventListener("click", async () => {
+    timer = createJobTimer(result, {
+      trackGps: $q(".job-timer-gps-input", panel).checked,
+    });
+    saveActiveJobTimer(timer);
+    renderRunning();
+
+    try {
+      await setTripAccepted(result.historyId, true);
+      result.accepted = true;
+      onStart?.();
+    } catch (error) {
+      showToast("Could not update trip history", "error");
+    }
+  });
+}
+
+/**
+ * Render the phase in progress and the button for the next one
+ */
+function renderRunning() {
+  const index = getCurrentPhaseIndex(timer);
+  const phase = getPhase(timer, index);
+  const next = getPhase(timer, index + 1);
+
+  panel.innerHTML = `
+    <h3>⏱️ Job Timer</h3>
+    <div class="job-timer-job">
+      Job to ${escapeHtml(formatAddress(timer.legs[timer.legs.length - 1].to))}
+    </div>
+    <div class="job-timer-current">
+      <span class="job-timer-phase">${phase.label}</span>
+      <span class="job-timer-elapsed"></span>
+    </div>
+    ${
+      phase.type === "travel"
+        ? `<div class="job-timer-to">→ ${escapeHtml(
+            formatAddress(timer.legs[phase.legIndex].to),
+          )}</div>`
+        : ""
+    }
+    <ol class="job-timer-done-list">
+      ${timer.transitions
+        .slice(0, index)
+        .map(
+          (start, i) => `
+        <li>
+          ${getPhase(timer, i).label}:
+          ${formatDuration((timer.transitions[i + 1] - start) / 60000)}
+          ${
+            timer.trackGps && getPhase(timer, i).type === "travel"
+              ? `· ${formatDistance(timer.phaseKm[i])}`
+              : ""
+          }
+        </li>`,
+        )
+        .join("")}
+    </ol>
+    <div class="job-timer-actions">
+      <button type="button" class="btn-primary job-timer-next">
+        ${describeNextStep(phase, next)}
+      </button>
+      <button type="button" class="btn-secondary job-timer-cancel">
+        Cancel
+      </button>
+    </div>
+  `;
+
+  $q(".job-timer-next", panel).addEventListener("click", handleNext);
+  $q(".job-timer-cancel", panel).addEventListener("click", handleCancel);
+
+  startWatching();
+}
+
+/**
+ * Label for the button that ends the current phase
+ *
+ * @param {Object} phase - Current phase
+ * @param {Object|null} next - Next phase (null if this is the last)
+ * @returns {string}
+ */
+function describeNextStep(phase, next) {
+  if (!next) return "✅ Delivered, finish job";
+  if (phase.type === "travel") {
+    return phase.legIndex === 0
+      ? "📍 Arrived at pickup"
+      : `📍 Arrived at stop ${phase.legIndex}`;
+  }
+  return phase.legIndex === 0
+    ? "📦 Picked up, heading to stop 1"
+    : `📦 Delivered, heading to stop ${next.legIndex}`;
+}
+
+/**
+ * End the current phase, finishing the job after the last one
+ */
+async function handleNext() {
+  timer = advanceJobTimer(timer);
+
+  if (!isJobTimerDone(timer)) {
+    saveActiveJobTimer(timer);
+    renderRunning();
+    return;
+  }
+
+  stopWatching();
+  const finished = timer;
+  timer = null;
+  try {
+    renderSummary(await finishJobTimer(finished));
+    showToast("Actual times saved to your trip history", "success");
+  } catch (error) {
+    console.error("Could not save job actuals:", error);
+    showToast("Could not save actual times", "error");
+  }
+}
+
+/**
+ * Stop timing without saving anything
+ */
+function handleCancel() {
+  if (!confirm("Stop timing this job? Times so far will be lost.")) return;
+
+  stopWatching();
+  clearActiveJobTimer();
+  timer = null;
+  panel.innerHTML = `
+    <h3>⏱️ Job Timer</h3>
+    <p class="section-hint">Timer cancelled.</p>
+  `;
+}
+
+/**
+ * Render estimated against actual time, distance and $/hour per leg
+ * @param {import('../services/job-timer.js').JobActuals} actuals
+ */
+function renderSummary(actuals) {
+  const { totals } = actuals;
+  const km = (value) => (value === null ? "—" : formatDistance(value));
+
+  panel.innerHTML = `
+    <h3>⏱️ Estimate vs Actual</h3>
+    <div class="table-container">
+      <table class="comparison-table job-timer-table">
+        <thead>
+          <tr>
+            <th>Leg</th>
+            <th>Time</th>
+            <th>Distance</th>
+            <th>$/hour</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${actuals.legs
+            .map(
+              (leg, index) => `
+            <tr>
+              <td>${index === 0 ? "To pickup" : `To stop ${index}`}</td>
+              ${createCompareCell(
+                formatDuration(leg.estimatedMinutes),
+                formatDuration(leg.actualMinutes),
+              )}
+              ${createCompareCell(km(leg.estimatedKm), km(leg.actualKm))}
+              ${createCompareCell(
+                formatProfitPerHour(leg.estimatedProfitPerHour),
+                formatProfitPerHour(leg.actualProfitPerHour),
+              )}
+            </tr>`,
+            )
+            .join("")}
+          <tr class="job-timer-total">
+            <td>Total</td>
+            ${createCompareCell(
+              formatDuration(totals.estimatedMinutes),
+              formatDuration(totals.actualMinutes),
+            )}
+            ${createCompareCell(km(totals.estimatedKm), km(totals.actualKm))}
+            ${createCompareCell(
+              formatProfitPerHour(totals.estimatedProfitPerHour),
+              formatProfitPerHour(totals.actualProfitPerHour),
+            )}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+    <p class="table-note">
+      Estimate on top, actual below. Times include the wait at the end of
+      each leg.${
+        actuals.gpsTracked ? "" : " Distance wasn't recorded without GPS."
+      }
+    </p>
+  `;
+}
+
+/**
+ * Table cell with the estimate above the actual
+ *
+ * @param {string} estimated
+ * @param {string} actual
+ * @returns {string} HTML
+ */
+function createCompareCell(estimated, actual) {
+  return `
+    <td>
+      <div class="job-timer-estimate">${estimated}</div>
+      <div class="job-timer-actual">${actual}</div>
+    </td>
+  `;
+}
+
+/**
+ * Keep the elapsed time ticking and, if enabled, follow GPS
+ * Both keep running while other results are shown, until the job ends.
+ */
+function startWatching() {
+  updateElapsed();
+  if (tickId === null) {
+    tickId = setInterval(updateElapsed, 1000);
+  }
+
+  if (timer.trackGps && gpsWatchId === null && navigator.geolocation) {
+    gpsWatchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        if (!timer) return;
+        timer = addGpsFix(timer, {
+          lat: coords.latitude,
+          lng: coords.longitude,
+          accuracy: coords.accuracy,
+        });
+        saveActiveJobTimer(timer);
+      },
+      (error) => console.warn("GPS unavailable for job timer:", error.message),
+      { enableHighAccuracy: true, maximumAge: 5000 },
+    );
+  }
+}
+
+/**
+ * Stop the elapsed-time tick and GPS watch
+ */
+function stopWatching() {
+  if (tickId !== null) {
+    clearInterval(tickId);
+    tickId = null;
+  }
+  if (gpsWatchId !== null) {
+    navigator.geolocation.clearWatch(gpsWatchId);
+    gpsWatchId = null;
+  }
+}
+
+/**
+ * Show time spent in the current phase
+ */
+function updateElapsed() {
+  if (!timer) {
+    stopWatching();
+    return;
+  }
+
+  const elapsed = panel && $q(".job-timer-elapsed", panel);
+  if (!elapsed) return;
+
+  const seconds = Math.max(
+    0,
+    Math.floor(
+      (Date.now() - timer.transitions[timer.transitions.length - 1]) / 1000,
+    ),
+  );
+  const minutes = Math.floor(seconds / 60);
+  elapsed.textContent = `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
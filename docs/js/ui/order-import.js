@@ -0,0 +1,77 @@
+/**
+ * Order Import
+ * Box for pasting a Lalamove order card's text (or OCR text from a
+ * screenshot) to fill in the calculator form
+ * @module ui/order-import
+ */
+
+import { parseOrderText } from "../services/order-parser.js";
+import { formatCurrency } from "../utils/format.js";
+import { $, showHint } from "../utils/dom.js";
+
+/**
+ * Initialize the order import box
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onImport - Fills the form from a ParsedOrder;
+ *   returns the number of fields that need checking
+ */
+export function initOrderImport({ onImport }) {
+  const textInput = $("order-import-text");
+  const button = $("order-import-btn");
+  if (!textInput || !button) return;
+
+  button.addEventListener("click", () => {
+    const order = parseOrderText(textInput.value);
+
+    if (!order.pickup && order.stops.length === 0 && order.fare === null) {
+      showHint(
+        "order-import-hint",
+        "Couldn't find any addresses or a fare in that text.",
+        "error",
+      );
+      return;
+    }
+
+    const uncertainCount = onImport(order);
+    showHint(
+      "order-import-hint",
+      `${describeOrder(order)}${
+        uncertainCount > 0
+          ? ` Check the ${uncertainCount} highlighted field${
+              uncertainCount === 1 ? "" : "s"
+            }.`
+          : ""
+      }`,
+      uncertainCount > 0 ? "" : "success",
+    );
+  });
+}
+
+/**
+ * Summarise what was read from the order text
+ *
+ * @param {import('../services/order-parser.js').ParsedOrder} order
+ * @returns {string}
+ */
+function describeOrder(order) {
+  const found = [];
+  if (order.pickup) found.push("pickup");
+  if (order.stops.length > 0) {
+    found.push(
+      `${order.stops.length} drop-off${order.stops.length === 1 ? "" : "s"}`,
+    );
+  }
+  if (order.fare !== null) found.push(`${formatCurrency(order.fare)} fare`);
+
+  const extras = [
+    order.fareType !== "regular" ? order.fareType : "",
+    order.priorityFee > 0
+      ? `${formatCurrency(order.priorityFee)} priority fee`
+      : "",
+  ].filter(Boolean);
+
+  return `Filled in ${found.join(", ")}${
+    extras.length > 0 ? ` (${extras.join(", ")})` : ""
+  }.`;
+}
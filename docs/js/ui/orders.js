@@ -0,0 +1,156 @@
+/**
+ * Multi-Order Editor
+ * Manages the order cards used by compare and chain modes
+ * @module ui/orders
+ */
+
+import { CONFIG } from "../config.js";
+import { createOrderCard, createOrderStopInput } from "./components.js";
+import { parseNumericInput } from "../utils/validation.js";
+import { $, $q, $qa } from "../utils/dom.js";
+
+/**
+ * Initialize the orders container with the minimum number of cards
+ */
+export function initOrders() {
+  $("add-order-btn")?.addEventListener("click", addOrder);
+  resetOrders();
+}
+
+/**
+ * Reset the editor to the minimum number of empty orders
+ */
+export function resetOrders() {
+  const container = $("orders-container");
+  if (!container) return;
+
+  container.innerHTML = "";
+  for (let i = 0; i < CONFIG.limits.minOrders; i++) {
+    addOrder();
+  }
+}
+
+/**
+ * Add a new empty order card
+ */
+function addOrder() {
+  const container = $("orders-container");
+  if (!container) return;
+
+  const count = $qa(".order-card", container).length;
+  if (count >= CONFIG.limits.maxOrders) {
+    alert(`Maximum ${CONFIG.limits.maxOrders} orders allowed`);
+    return;
+  }
+
+  const card = createOrderCard(count + 1, {
+    onRemove: removeOrder,
+    onAddStop: addOrderStop,
+  });
+  container.appendChild(card);
+  addOrderStop(card);
+
+  updateOrderNumbers();
+}
+
+/**
+ * Remove an order card
+ *
+ * @param {HTMLElement} card
+ */
+function removeOrder(card) {
+  const container = $("orders-container");
+  if (!container) return;
+
+  if ($qa(".order-card", container).length <= CONFIG.limits.minOrders) {
+    alert(`At least ${CONFIG.limits.minOrders} orders are required`);
+    return;
+  }
+
+  card.remove();
+  updateOrderNumbers();
+}
+
+/**
+ * Add a delivery stop to an order card
+ *
+ * @param {HTMLElement} card
+ */
+function addOrderStop(card) {
+  const stops = $q(".order-stops", card);
+  if (!stops) return;
+
+  if ($qa(".order-stop-row", stops).length >= CONFIG.limits.maxStops) {
+    alert(`Maximum ${CONFIG.limits.maxStops} stops allowed`);
+    return;
+  }
+
+  stops.appendChild(createOrderStopInput(removeOrderStop));
+  updateOrderNumbers();
+}
+
+/**
+ * Remove a delivery stop from an order card
+ *
+ * @param {HTMLElement} row
+ */
+function removeOrderStop(row) {
+  const stops = row.parentElement;
+  if ($qa(".order-stop-row", stops).length <= 1) {
+    alert("At least one delivery stop is required");
+    return;
+  }
+
+  row.remove();
+  updateOrderNumbers();
+}
+
+/**
+ * Renumber orders and their stops after add/remove
+ * Input names follow the order number so validation errors can find them
+ */
+function updateOrderNumbers() {
+  const container = $("orders-container");
+  if (!container) return;
+
+  const cards = $qa(".order-card", container);
+  cards.forEach((card, index) => {
+    const number = index + 1;
+    card.dataset.index = number;
+    $q(".order-number", card).textContent = number;
+    $q(".order-pickup", card).name = `order-${number}-pickup`;
+    $q(".order-fare", card).name = `order-${number}-fare`;
+
+    const removeBtn = $q(".order-card-header .btn-remove", card);
+    removeBtn.style.visibility =
+      cards.length > CONFIG.limits.minOrders ? "visible" : "hidden";
+
+    const stopRows = $qa(".order-stop-row", card);
+    stopRows.forEach((row, stopIndex) => {
+      $q(".order-stop-number", row).textContent = stopIndex + 1;
+      $q(".order-stop-input", row).name = `order-${number}-stop-${
+        stopIndex + 1
+      }`;
+      $q(".btn-remove", row).style.visibility =
+        stopRows.length > 1 ? "visible" : "hidden";
+    });
+  });
+}
+
+/**
+ * Extract all orders from the editor
+ *
+ * @returns {Array<{pickup: string, stops: string[], fare: number}>}
+ */
+export function getOrdersData() {
+  const container = $("orders-container");
+  if (!container) return [];
+
+  return Array.from($qa(".order-card", container)).map((card) => ({
+    pickup: $q(".order-pickup", card).value.trim(),
+    stops: Array.from($qa(".order-stop-input", card))
+      .map((input) => input.value.trim())
+      .filter((value) => value.length > 0),
+    fare: parseNumericInput($q(".order-fare", card).value, NaN),
+  }));
+}
@@ -11,32 +11,47 @@ import {
   createLoader,
   createErrorMessage,
 } from "./components.js";
+import { createStopOrderPanel } from "./stop-optimizer.js";
+import { createWhatIfPanel } from "./what-if.js";
+import { createWaitLogPanel } from "./wait-log.js";
+import { createJobTimerPanel } from "./job-timer.js";
+import { createRouteMap } from "./route-map.js";
 import {
   formatCurrency,
   formatDistance,
   formatDuration,
   formatProfitPerHour,
   formatPercentage,
+  formatRate,
+  formatCostPerKm,
   formatLitres,
 } from "../utils/format.js";
 import { getInsights } from "../services/profitability.js";
-import { PROFIT_THRESHOLDS, CONFIG } from "../config.js";
-import { $, toggleHidden, createElement } from "../utils/dom.js";
+import { PROFIT_THRESHOLDS, CONFIG, WAIT_TIMES } from "../config.js";
+import { $, toggleHidden, createElement, escapeHtml } from "../utils/dom.js";
 import {
   isSheetsEnabled,
   saveToSheets,
   showToast,
   initSheetsService,
 } from "../services/sheets.js";
+import { setTripAccepted, updateTripDetails } from "../services/history.js";
+import { createShareLink } from "../services/share-link.js";
 
 // Store the last result and form data for saving
 let lastResultData = null;
 let lastFormData = null;
+let resultHandlers = {};
 
 /**
  * Initialize sheets service (called from main.js)
+ *
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onOptimizeStops] - Resolves a stop order comparison for a result, reporting routing progress to a callback
+ * @param {Function} [handlers.onApplyStopOrder] - Called with a stop order to use
  */
-export async function initResultsModule() {
+export async function initResultsModule(handlers = {}) {
+  resultHandlers = handlers;
   await initSheetsService();
 }
 
@@ -119,6 +134,11 @@ export function renderResults(result) {
   const fareSection = createFareBreakdown(result.profitability);
   container.appendChild(fareSection);
 
+  // Ownership costs beyond fuel, if the rider has set them up
+  if (result.profitability.vehicleCost) {
+    container.appendChild(createVehicleCostSection(result.profitability));
+  }
+
   // Route breakdown
   const routeSection = createRouteSection(result.route);
   container.appendChild(routeSection);
@@ -127,10 +147,30 @@ export function renderResults(result) {
   const timeSection = createTimeBreakdown(result);
   container.appendChild(timeSection);
 
+  // Actual waits, to improve future estimates for these addresses
+  container.appendChild(createWaitLogPanel(result));
+
   // Insights and recommendations
-  const insightsSection = createInsightsSection(result.profitability);
+  const insightsSection = createInsightsSection(
+    result.profitability,
+    result.waitTime.jobTime,
+  );
   container.appendChild(insightsSection);
 
+  // Live sliders for fare, petrol, traffic and waits
+  container.appendChild(createWhatIfPanel(result));
+
+  // Accept/decline and the on-job timer, stored with the trip history entry
+  if (result.historyId) {
+    const decisionBar = createDecisionBar(result);
+    container.appendChild(decisionBar);
+    container.appendChild(
+      createJobTimerPanel(result, {
+        onStart: () => showDecision(decisionBar, true),
+      }),
+    );
+  }
+
   // Save to Sheets button (if configured)
   if (isSheetsEnabled()) {
     const saveButton = createSaveButton();
@@ -141,6 +181,27 @@ export function renderResults(result) {
   container.scrollIntoView({ behavior: "smooth", block: "start" });
 }
 
+/**
+ * Add a back button above the current results
+ * Used when drilling into one order from a multi-order view
+ *
+ * @param {string} label - Button text
+ * @param {Function} onBack
+ */
+export function addBackButton(label, onBack) {
+  const container = $("results-container");
+  if (!container) return;
+
+  const button = createElement("button", {
+    className: "btn-secondary results-back-btn",
+    innerHTML: `← ${label}`,
+  });
+  button.type = "button";
+  button.addEventListener("click", onBack);
+
+  container.prepend(button);
+}
+
 /**
  * Create the rating header with profit/hour
  *
@@ -152,16 +213,32 @@ function createRatingHeader(profitability) {
   header.className = `rating-header rating-${profitability.rating}`;
 
   const threshold = PROFIT_THRESHOLDS[profitability.rating];
+  const { range } = profitability;
+  const { okay } = PROFIT_THRESHOLDS;
 
   header.innerHTML = `
-    <div class="rating-emoji">${threshold.emoji}</div>
+    <div class="rating-emoji">${escapeHtml(threshold.emoji)}</div>
     <div class="rating-content">
-      <div class="rating-label">${threshold.label
-        .replace(threshold.emoji, "")
-        .trim()}</div>
+      <div class="rating-label">${escapeHtml(threshold.name)}</div>
       <div class="rating-value">${formatProfitPerHour(
         profitability.profitPerHour,
       )}</div>
+      ${
+        range
+          ? `<div class="rating-range" title="Worst to best case, from how much waits at these buildings and travel in this traffic usually vary">
+              Likely ${formatRateBand(range)}
+            </div>`
+          : ""
+      }
+      ${
+        range && range.worstPerHour < okay.min
+          ? `<div class="rating-range-warning">
+              ⚠️ If waits or traffic run long this drops to ${formatProfitPerHour(
+                range.worstPerHour,
+              )}, below your ${escapeHtml(okay.name)} minimum of $${okay.min}/hr
+            </div>`
+          : ""
+      }
     </div>
   `;
 
@@ -170,6 +247,18 @@ function createRatingHeader(profitability) {
   return header;
 }
 
+/**
+ * Worst to best case $/hour, widened to whole dollars
+ *
+ * @param {import('../services/profitability.js').ProfitRange} range
+ * @returns {string} e.g. "$14–$21/hr"
+ */
+function formatRateBand(range) {
+  const worst = formatCurrency(Math.floor(range.worstPerHour), false);
+  const best = formatCurrency(Math.ceil(range.bestPerHour), false);
+  return worst === best ? `${worst}/hr` : `${worst}–${best}/hr`;
+}
+
 /**
  * Create main metrics grid
  *
@@ -186,6 +275,9 @@ function createMetricsGrid(result) {
       value: formatCurrency(result.profitability.netProfit),
       icon: "💰",
       className: result.profitability.netProfit >= 0 ? "positive" : "negative",
+      subtext: result.profitability.vehicleCost
+        ? `True: ${formatCurrency(result.profitability.trueNetProfit)}`
+        : undefined,
     },
     {
       label: "Fuel Cost",
@@ -235,27 +327,48 @@ function createRouteSection(route) {
   header.textContent = "🗺️ Route Breakdown";
   headerRow.appendChild(header);
 
+  const actions = document.createElement("div");
+  actions.className = "section-header-actions";
+
   // Add Google Maps link if coordinates available
   if (route.coordinates && route.coordinates.length >= 2) {
     const mapsLink = createGoogleMapsLink(route.coordinates);
-    headerRow.appendChild(mapsLink);
+    actions.appendChild(mapsLink);
   }
 
+  if (lastFormData) {
+    actions.appendChild(createShareLinkButton(lastFormData));
+  }
+
+  headerRow.appendChild(actions);
+
   section.appendChild(headerRow);
 
   // Show traffic condition badge
   if (route.trafficCondition) {
     const trafficInfo = CONFIG.traffic.conditions[route.trafficCondition];
+    // Routes saved before the traffic profile only have the band's speed
+    const speedKmH = route.averageSpeedKmH || trafficInfo.speedKmH;
+    const areas = [...new Set(route.legs.flatMap((leg) => leg.areas || []))];
+
     const trafficBadge = document.createElement("div");
     trafficBadge.className = `traffic-badge traffic-${route.trafficCondition}`;
     trafficBadge.innerHTML = `
       <span class="traffic-icon">${trafficInfo.icon}</span>
       <span class="traffic-label">${trafficInfo.label}</span>
-      <span class="traffic-speed">(~${trafficInfo.speedKmH} km/h avg)</span>
+      <span class="traffic-speed">(~${Math.round(speedKmH)} km/h avg${
+        route.trafficOverride ? ", as picked" : ""
+      })</span>
     `;
+    if (areas.length > 0) {
+      trafficBadge.title = `Slower through ${areas.join(", ")}`;
+    }
     section.appendChild(trafficBadge);
   }
 
+  const map = createRouteMap(route);
+  if (map) section.appendChild(map);
+
   const routeList = document.createElement("div");
   routeList.className = "route-list";
 
@@ -266,13 +379,18 @@ function createRouteSection(route) {
 
   section.appendChild(routeList);
 
+  // Offer to reorder when there is more than one delivery stop
+  if (route.legs.length > 2 && resultHandlers.onOptimizeStops) {
+    section.appendChild(createOptimizeStopsButton());
+  }
+
   // Show warning if using estimates
   if (route.hasEstimates) {
     const warning = document.createElement("div");
     warning.className = "estimate-warning";
     warning.innerHTML = `
       <span class="warning-icon">⚠️</span>
-      Some distances are estimated (routing API unavailable). Add your OneMap API token in settings for accurate results.
+      Some distances are estimated (no routing provider answered). Check your OneMap token or route server in settings for accurate results.
     `;
     section.appendChild(warning);
   }
@@ -280,6 +398,75 @@ function createRouteSection(route) {
   return section;
 }
 
+/**
+ * Create the button that copies a link to this calculation
+ * Falls back to showing the link when the clipboard isn't available.
+ *
+ * @param {Object} formData - Form data the result was calculated from
+ * @returns {HTMLElement}
+ */
+function createShareLinkButton(formData) {
+  const button = createElement("button", {
+    className: "share-link-btn",
+    innerHTML: `<span class="share-icon">🔗</span> Copy link`,
+  });
+  button.type = "button";
+
+  button.addEventListener("click", async () => {
+    const url = createShareLink(formData);
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast("Link copied. Anyone who opens it sees this job.", "success");
+    } catch {
+      prompt("Copy this link to share the job:", url);
+    }
+  });
+
+  return button;
+}
+
+/**
+ * Create the button that checks for a faster stop order
+ * Replaced by the stop order panel once the check finishes
+ *
+ * @returns {HTMLElement}
+ */
+function createOptimizeStopsButton() {
+  const button = createElement("button", {
+    className: "btn-secondary btn-optimize-stops",
+    innerHTML: "🔀 Find fastest stop order",
+  });
+  button.type = "button";
+
+  button.addEventListener("click", async () => {
+    const result = lastResultData;
+    button.disabled = true;
+    button.textContent = "⏳ Checking stop orders...";
+
+    try {
+      const comparison = await resultHandlers.onOptimizeStops(
+        result,
+        (done, total) => {
+          button.textContent = `⏳ Checking stop orders... ${done}/${total} routes`;
+        },
+      );
+      button.replaceWith(
+        createStopOrderPanel(comparison, result.locations.stops, {
+          onApply: comparison.canApply
+            ? resultHandlers.onApplyStopOrder
+            : undefined,
+        }),
+      );
+    } catch (error) {
+      console.error("Stop order optimisation failed:", error);
+      button.disabled = false;
+      button.textContent = "⚠️ Could not check stop orders - try again";
+    }
+  });
+
+  return button;
+}
+
 /**
  * Create fare breakdown section showing Lalamove deductions
  *
@@ -291,6 +478,7 @@ function createFareBreakdown(profitability) {
   section.className = "results-section fare-section";
 
   const { fareBreakdown, fuelCost, netProfit } = profitability;
+  const profile = fareBreakdown.deductionProfile;
 
   section.innerHTML = `
     <h3>💵 Fare Breakdown</h3>
@@ -308,27 +496,20 @@ function createFareBreakdown(profitability) {
         )}</span>
       </div>
       <div class="fare-row deduction">
-        <span class="fare-label">− Commission (15% of base)</span>
+        <span class="fare-label">− Commission (${formatRate(
+          profile.commissionRate,
+        )} of base)</span>
         <span class="fare-value">-${formatCurrency(
           fareBreakdown.commission,
         )}</span>
       </div>
       <div class="fare-row deduction">
-        <span class="fare-label">− VAT/GST (9% of base)</span>
+        <span class="fare-label">− VAT/GST (${formatRate(
+          profile.vatRate,
+        )} of base)</span>
         <span class="fare-value">-${formatCurrency(fareBreakdown.vat)}</span>
       </div>
-      ${
-        fareBreakdown.cpfWithholding > 0
-          ? `
-      <div class="fare-row deduction">
-        <span class="fare-label">− CPF Withholding</span>
-        <span class="fare-value">-${formatCurrency(
-          fareBreakdown.cpfWithholding,
-        )}</span>
-      </div>
-      `
-          : ""
-      }
+      ${createCpfRows(fareBreakdown)}
       <div class="fare-row deduction">
         <span class="fare-label">− Platform Fee Offset</span>
         <span class="fare-value">-${formatCurrency(
@@ -352,6 +533,134 @@ function createFareBreakdown(profitability) {
       <span class="note-icon">ℹ️</span>
       <span>Deductions are estimates based on typical Lalamove rates. Actual amounts may vary.</span>
     </div>
+    <div class="fare-note">
+      <span class="note-icon">📋</span>
+      <span>Deduction profile: ${escapeHtml(profile.name)}${
+        profile.effectiveFrom ? ` (from ${profile.effectiveFrom})` : ""
+      }</span>
+    </div>
+    ${
+      fareBreakdown.cpf
+        ? `
+    <div class="fare-note">
+      <span class="note-icon">🏦</span>
+      <span>CPF this month: ${formatCurrency(
+        fareBreakdown.cpf.monthToDateWithholding,
+      )} withheld so far, including this job${
+        fareBreakdown.cpf.contributableEarnings < fareBreakdown.cpf.earnings
+          ? ". Earnings above the monthly ceiling don't attract CPF."
+          : ""
+      }</span>
+    </div>
+    `
+        : ""
+    }
+  `;
+
+  return section;
+}
+
+/**
+ * Create the CPF rows of the fare breakdown
+ * With Platform Workers Act CPF set up, shows the rider's contribution
+ * (deducted) and the platform's matching contribution (paid on top).
+ *
+ * @param {Object} fareBreakdown
+ * @returns {string} HTML
+ */
+function createCpfRows(fareBreakdown) {
+  const { cpf, deductionProfile } = fareBreakdown;
+
+  if (!cpf) {
+    if (fareBreakdown.cpfWithholding <= 0) return "";
+    return `
+      <div class="fare-row deduction">
+        <span class="fare-label">− CPF Withholding (${formatRate(
+          deductionProfile.cpfWithholdingRate,
+        )} of base)</span>
+        <span class="fare-value">-${formatCurrency(
+          fareBreakdown.cpfWithholding,
+        )}</span>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="fare-row deduction">
+      <span class="fare-label">− Your CPF (${formatRate(
+        cpf.workerRate,
+      )} of base)</span>
+      <span class="fare-value">-${formatCurrency(cpf.workerContribution)}</span>
+    </div>
+    <div class="fare-row base-info">
+      <span class="fare-label">Platform CPF (${formatRate(
+        cpf.platformRate,
+      )}, paid on top)</span>
+      <span class="fare-value">+${formatCurrency(
+        cpf.platformContribution,
+      )}</span>
+    </div>
+  `;
+}
+
+/**
+ * Create the true cost section: ownership costs on top of fuel
+ *
+ * @param {Object} profitability
+ * @returns {HTMLElement}
+ */
+function createVehicleCostSection(profitability) {
+  const section = document.createElement("div");
+  section.className = "results-section vehicle-cost-section";
+
+  const { vehicleCost, trueNetProfit, trueProfitPerHour } = profitability;
+
+  const rows = vehicleCost.items
+    .map(
+      (item) => `
+      <div class="fare-row deduction">
+        <span class="fare-label">− ${item.icon} ${item.label} (${
+          item.basis === "distance"
+            ? formatCostPerKm(item.rate)
+            : `${formatCurrency(item.rate)}/hr`
+        })</span>
+        <span class="fare-value">-${formatCurrency(item.cost)}</span>
+      </div>
+    `,
+    )
+    .join("");
+
+  section.innerHTML = `
+    <h3>🔧 True Cost of This Job</h3>
+    <div class="fare-breakdown">
+      <div class="fare-row subtotal">
+        <span class="fare-label">Net Profit (fuel only)</span>
+        <span class="fare-value">${formatCurrency(
+          profitability.netProfit,
+        )}</span>
+      </div>
+      ${rows}
+      <div class="fare-row total ${
+        trueNetProfit >= 0 ? "positive" : "negative"
+      }">
+        <span class="fare-label">True Net Profit</span>
+        <span class="fare-value">${formatCurrency(trueNetProfit)}</span>
+      </div>
+      <div class="fare-row base-info">
+        <span class="fare-label">True $/hour (vs ${formatProfitPerHour(
+          profitability.profitPerHour,
+        )} fuel only)</span>
+        <span class="fare-value">${formatProfitPerHour(
+          trueProfitPerHour,
+        )}</span>
+      </div>
+    </div>
+    <div class="fare-note">
+      <span class="note-icon">ℹ️</span>
+      <span>Ownership costs from Settings: ${formatCostPerKm(
+        vehicleCost.perKm,
+      )} plus ${formatCurrency(vehicleCost.perHour)}/hour.</span>
+    </div>
   `;
 
   return section;
@@ -405,35 +714,106 @@ function createTimeBreakdown(result) {
     waitDetails.innerHTML = "<h4>Wait time per stop:</h4>";
 
     const waitList = document.createElement("ul");
+    const pickupType =
+      WAIT_TIMES[result.locations.pickup.buildingType] || WAIT_TIMES.default;
+    const pickupItem = document.createElement("li");
+    pickupItem.innerHTML = `
+      Pickup: ${waitTime.pickupWait} min
+      <span class="wait-type">(${pickupType.label})</span>
+      ${createAdjustmentList(waitTime.pickupAdjustments)}
+    `;
+    waitList.appendChild(pickupItem);
+
     waitTime.breakdown.forEach((wait, index) => {
       const li = document.createElement("li");
       li.innerHTML = `
         Stop ${index + 1}: ${wait.minutes} min
-        <span class="wait-type">(${wait.label}${
-          wait.isOverride ? " - manual" : ""
-        })</span>
+        <span class="wait-type">(${wait.label} · ${describeWaitSource(
+          wait,
+        )})</span>
+        ${createAdjustmentList(wait.adjustments)}
       `;
       waitList.appendChild(li);
     });
 
     waitDetails.appendChild(waitList);
+
+    if (waitTime.jobTime) {
+      const note = document.createElement("p");
+      note.className = "wait-rule-time";
+      note.textContent = `Busy-time wait rules checked for ${formatJobTime(
+        waitTime.jobTime,
+      )} Singapore time.`;
+      waitDetails.appendChild(note);
+    }
+
     section.appendChild(waitDetails);
   }
 
   return section;
 }
 
+/**
+ * Day and time a job happens, in Singapore
+ *
+ * @param {string} jobTime - ISO time
+ * @returns {string} e.g. "Fri 5:40 pm"
+ */
+function formatJobTime(jobTime) {
+  return new Date(jobTime).toLocaleString("en-SG", {
+    timeZone: "Asia/Singapore",
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+/**
+ * List the busy-time rules included in a wait
+ *
+ * @param {import('../services/wait-time.js').WaitAdjustment[]} [adjustments]
+ * @returns {string} HTML (empty if none applied)
+ */
+function createAdjustmentList(adjustments = []) {
+  if (adjustments.length === 0) return "";
+
+  return `<ul class="wait-adjustments">${adjustments
+    .map(
+      (adjustment) =>
+        `<li>+${adjustment.minutes} min: ${escapeHtml(adjustment.reason)}</li>`,
+    )
+    .join("")}</ul>`;
+}
+
+/**
+ * Say where a stop's wait estimate came from
+ *
+ * @param {import('../services/wait-time.js').WaitEstimate} wait
+ * @returns {string}
+ */
+function describeWaitSource(wait) {
+  if (wait.isOverride) return "manual";
+  if (wait.source === "history") {
+    return `from ${wait.sampleCount} logged wait${
+      wait.sampleCount === 1 ? "" : "s"
+    }`;
+  }
+  return "type default";
+}
+
 /**
  * Create insights and recommendations section
  *
  * @param {Object} profitability
+ * @param {string} jobTime - When the job starts (ISO), for deductions
  * @returns {HTMLElement}
  */
-function createInsightsSection(profitability) {
+function createInsightsSection(profitability, jobTime) {
   const section = document.createElement("div");
   section.className = "results-section insights-section";
 
-  const insights = getInsights(profitability);
+  const insights = getInsights(profitability, jobTime);
 
   section.innerHTML = "<h3>💡 Insights</h3>";
 
@@ -471,7 +851,9 @@ function createInsightsSection(profitability) {
   const minFareInfo = document.createElement("div");
   minFareInfo.className = "min-fare-info";
   minFareInfo.innerHTML = `
-    <span class="info-label">Minimum fare for "Good" rating:</span>
+    <span class="info-label">Minimum fare for "${escapeHtml(
+      PROFIT_THRESHOLDS.good.name,
+    )}" rating:</span>
     <span class="info-value">${formatCurrency(
       insights.minimumFareForGood,
     )}</span>
@@ -538,6 +920,55 @@ export function clearResults() {
   }
 }
 
+/**
+ * Create the "Did you take this job?" bar
+ * Clicking the active choice again clears it.
+ *
+ * @param {Object} result - Result with a historyId
+ * @returns {HTMLElement}
+ */
+function createDecisionBar(result) {
+  const bar = createElement("div", {
+    className: "decision-bar",
+    innerHTML: `
+      <span class="decision-label">Did you take this job?</span>
+      <button type="button" class="btn-decision" data-accepted="true">✅ Accepted</button>
+      <button type="button" class="btn-decision" data-accepted="false">❌ Declined</button>
+      <a href="history.html" class="decision-history-link">📒 History</a>
+    `,
+  });
+
+  bar.querySelectorAll(".btn-decision").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const choice = btn.dataset.accepted === "true";
+      const accepted = result.accepted === choice ? null : choice;
+
+      try {
+        await setTripAccepted(result.historyId, accepted);
+        result.accepted = accepted;
+        showDecision(bar, accepted);
+      } catch (error) {
+        showToast("Could not update trip history", "error");
+      }
+    });
+  });
+
+  showDecision(bar, result.accepted ?? null);
+  return bar;
+}
+
+/**
+ * Highlight the chosen decision
+ *
+ * @param {HTMLElement} bar - Decision bar
+ * @param {boolean|null} accepted
+ */
+function showDecision(bar, accepted) {
+  bar.querySelectorAll(".btn-decision").forEach((btn) => {
+    btn.classList.toggle("active", String(accepted) === btn.dataset.accepted);
+  });
+}
+
 /**
  * Create the Save to Sheets button
  * @returns {HTMLElement}
@@ -562,29 +993,28 @@ function openSaveModal() {
   const modal = $("save-modal");
   if (!modal) return;
 
-  // Set default time to now
+  // Default to when the job starts, or now
   const timeInput = $("job-posted-time");
   if (timeInput) {
-    const now = new Date();
+    const start = new Date(lastFormData?.jobTime ?? Date.now());
     // Format for datetime-local input (YYYY-MM-DDTHH:MM)
     const localISOTime = new Date(
-      now.getTime() - now.getTimezoneOffset() * 60000,
+      start.getTime() - start.getTimezoneOffset() * 60000,
     )
       .toISOString()
       .slice(0, 16);
     timeInput.value = localISOTime;
   }
 
-  // Reset fare type to regular
+  // Fare type and priority fee from a pasted order, else regular and 0
   const fareTypeInput = $("fare-type");
   if (fareTypeInput) {
-    fareTypeInput.value = "regular";
+    fareTypeInput.value = lastFormData?.fareType || "regular";
   }
 
-  // Reset priority fee to 0
   const priorityFeeInput = $("priority-fee");
   if (priorityFeeInput) {
-    priorityFeeInput.value = "0";
+    priorityFeeInput.value = String(lastFormData?.priorityFee || 0);
   }
 
   // Reset surcharge to 0
@@ -684,7 +1114,7 @@ async function handleSaveSubmit(e) {
     submitBtn.innerHTML = "⏳ Saving...";
   }
 
-  const result = await saveToSheets({
+  const saveOptions = {
     result: lastResultData,
     formData: lastFormData || {},
     jobPostedTime,
@@ -692,6 +1122,19 @@ async function handleSaveSubmit(e) {
     priorityFee,
     surchargeAmount,
     notes,
+  };
+
+  // Keep the local history entry in step with what goes to Sheets
+  if (lastResultData.historyId) {
+    await updateTripDetails(lastResultData.historyId, saveOptions).catch(
+      (error) => console.warn("Could not update trip history:", error.message),
+    );
+  }
+
+  const result = await saveToSheets({
+    ...saveOptions,
+    id: lastResultData.historyId || undefined,
+    accepted: lastResultData.accepted ?? null,
   });
 
   // Re-enable button
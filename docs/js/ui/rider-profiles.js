@@ -0,0 +1,378 @@
+/**
+ * Rider Profile Settings
+ * Switcher and editor for the rider's saved profiles
+ * @module ui/rider-profiles
+ */
+
+import { BIKE_MODELS, PETROL_GRADES, CONFIG } from "../config.js";
+import {
+  getRiderProfiles,
+  getActiveRiderProfile,
+  setActiveRiderProfile,
+  saveRiderProfile,
+  deleteRiderProfile,
+  getRatingTiers,
+} from "../services/rider-profiles.js";
+import { getDeductionProfiles } from "../services/deductions.js";
+import { renderDeductionProfiles } from "./deduction-profiles.js";
+import {
+  formatCurrency,
+  formatEfficiency,
+  formatProfitPerHour,
+} from "../utils/format.js";
+import { parseNumericInput } from "../utils/validation.js";
+import {
+  $,
+  $q,
+  $qa,
+  showHint,
+  toggleHidden,
+  escapeHtml,
+} from "../utils/dom.js";
+
+// Colour for a newly added tier
+const NEW_TIER_COLOR = "#8b5cf6";
+
+// ID of the profile being edited (null for a new profile)
+let editingId = null;
+
+let onChangeCallback = null;
+let getFormValuesCallback = null;
+
+/**
+ * Initialize the rider profile settings
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onChange - Called with the newly active profile
+ *   and the one before it, to update the form
+ * @param {Function} handlers.getFormValues - Current bike, petrol and target
+ *   values in the form, to start a new profile from
+ */
+export function initRiderProfiles({ onChange, getFormValues }) {
+  const select = $("rider-profile-select");
+  if (!select) return;
+
+  onChangeCallback = onChange;
+  getFormValuesCallback = getFormValues;
+
+  $("rider-profile-bike").innerHTML = BIKE_MODELS.map(
+    (bike) => `<option value="${bike.id}">${escapeHtml(bike.name)}</option>`,
+  ).join("");
+  $("rider-profile-petrol-grade").innerHTML = PETROL_GRADES.map(
+    (grade) => `<option value="${grade.id}">${escapeHtml(grade.name)}</option>`,
+  ).join("");
+
+  renderSwitcher();
+
+  select.addEventListener("change", () => {
+    const previous = getActiveRiderProfile();
+    const profile = setActiveRiderProfile(select.value);
+    closeEditor();
+    renderSwitcher();
+    renderDeductionProfiles();
+    onChangeCallback?.(profile, previous);
+    showHint("rider-profile-hint", `Switched to "${profile.name}"`, "success");
+  });
+
+  $("new-rider-profile-btn")?.addEventListener("click", () => openEditor());
+  $("edit-rider-profile-btn")?.addEventListener("click", () =>
+    openEditor(getActiveRiderProfile()),
+  );
+  $("delete-rider-profile-btn")?.addEventListener("click", handleDelete);
+  $("cancel-rider-profile-btn")?.addEventListener("click", closeEditor);
+  $("save-rider-profile-btn")?.addEventListener("click", handleSave);
+  $("rider-profile-bike").addEventListener("change", updateEfficiencyField);
+  $("add-rating-tier-btn")?.addEventListener("click", handleAddTier);
+  $("rider-profile-tiers")?.addEventListener("click", (e) => {
+    const row = e.target
+      .closest(".btn-remove-tier")
+      ?.closest(".rating-tier-row");
+    if (!row) return;
+    row.remove();
+    updateAddTierButton();
+  });
+
+  // Enter saves the profile instead of submitting the calculator form
+  // (tier rows come and go, so this listens on the whole editor)
+  $("rider-profile-editor").addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && e.target.tagName === "INPUT") {
+      e.preventDefault();
+      handleSave();
+    }
+  });
+}
+
+/**
+ * Fill the switcher and describe the active profile
+ */
+function renderSwitcher() {
+  const select = $("rider-profile-select");
+  const profiles = getRiderProfiles();
+  const active = getActiveRiderProfile();
+
+  select.innerHTML = profiles
+    .map(
+      (profile) =>
+        `<option value="${escapeHtml(profile.id)}" ${
+          profile.id === active.id ? "selected" : ""
+        }>${escapeHtml(profile.name)}</option>`,
+    )
+    .join("");
+
+  const deleteBtn = $("delete-rider-profile-btn");
+  if (deleteBtn) deleteBtn.disabled = profiles.length < 2;
+
+  const summary = $("rider-profile-summary");
+  if (summary) summary.textContent = describeProfile(active);
+}
+
+/**
+ * One-line summary of a profile
+ *
+ * @param {import('../services/rider-profiles.js').RiderProfile} profile
+ * @returns {string}
+ */
+function describeProfile(profile) {
+  const bike =
+    profile.bikeModel === "custom"
+      ? `Custom bike (${formatEfficiency(profile.customEfficiency)})`
+      : BIKE_MODELS.find((b) => b.id === profile.bikeModel)?.name;
+  const grade =
+    PETROL_GRADES.find((g) => g.id === profile.petrolGrade)?.name ||
+    profile.petrolGrade;
+  const ratings = getRatingTiers(profile)
+    .filter((tier) => tier.min > 0)
+    .map((tier) => `${tier.emoji || tier.name} $${tier.min}`)
+    .join(" / ");
+
+  return [
+    bike,
+    `${grade} at ${formatCurrency(profile.petrolPrice)}/L`,
+    `Target ${formatProfitPerHour(profile.targetRate)}`,
+    `Ratings ${ratings}`,
+    profile.homeBase ? `Base: ${profile.homeBase}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Open the editor for a new or existing profile
+ * New profiles start from what's in the form now, so a rider can set up
+ * the calculator and save it as a profile.
+ *
+ * @param {import('../services/rider-profiles.js').RiderProfile} [profile]
+ */
+function openEditor(profile) {
+  const active = getActiveRiderProfile();
+  const source = profile || {
+    ...active,
+    name: "",
+    ...getFormValuesCallback?.(),
+  };
+  editingId = profile ? profile.id : null;
+
+  $("rider-profile-name").value = source.name;
+  $("rider-profile-bike").value = source.bikeModel;
+  $("rider-profile-efficiency").value = source.customEfficiency ?? "";
+  $("rider-profile-petrol-grade").value = source.petrolGrade;
+  $("rider-profile-petrol-price").value = source.petrolPrice;
+  $("rider-profile-home-base").value = source.homeBase;
+  $("rider-profile-target").value = source.targetRate;
+  renderTiers(getRatingTiers(source));
+
+  const deductions = $("rider-profile-deductions");
+  deductions.innerHTML = [
+    `<option value="">By job date</option>`,
+    ...getDeductionProfiles().map(
+      (deduction) =>
+        `<option value="${escapeHtml(deduction.id)}">${escapeHtml(
+          deduction.name,
+        )}</option>`,
+    ),
+  ].join("");
+  // A pinned profile that has since been deleted reads as "By job date"
+  deductions.value = source.deductionProfileId || "";
+  if (deductions.selectedIndex < 0) deductions.value = "";
+
+  updateEfficiencyField();
+  showHint("rider-profile-hint", "");
+  toggleHidden("rider-profile-editor", true);
+  $("rider-profile-name").focus();
+}
+
+/**
+ * Render the tier rows in the editor, highest first
+ *
+ * @param {import('../services/rider-profiles.js').RatingTier[]} tiers
+ */
+function renderTiers(tiers) {
+  const container = $("rider-profile-tiers");
+
+  container.innerHTML = tiers
+    .map((tier) => {
+      // Only extra tiers can be removed
+      const isBuiltIn = CONFIG.riderProfiles.builtInTiers.includes(tier.id);
+      const isLowest = tier.id === "poor";
+
+      return `
+        <div class="rating-tier-row" data-id="${escapeHtml(tier.id)}">
+          <input type="text" class="rating-tier-emoji" maxlength="8"
+            value="${escapeHtml(tier.emoji)}" aria-label="Emoji" />
+          <input type="text" class="rating-tier-name" maxlength="30"
+            value="${escapeHtml(tier.name)}" aria-label="Tier name" />
+          <input type="number" class="rating-tier-min" step="0.5" min="0"
+            value="${Number.isFinite(tier.min) ? tier.min : ""}"
+            aria-label="From $/hr" ${isLowest ? "disabled" : ""} />
+          <input type="color" class="rating-tier-color"
+            value="${escapeHtml(tier.color)}" aria-label="Colour" />
+          ${
+            isBuiltIn
+              ? '<span class="rating-tier-spacer"></span>'
+              : '<button type="button" class="btn-remove-tier" title="Remove tier">✕</button>'
+          }
+        </div>
+      `;
+    })
+    .join("");
+
+  updateAddTierButton();
+}
+
+/**
+ * Read the tier rows in the editor
+ * Blank minimums read as NaN so validation rejects them.
+ *
+ * @returns {Object[]}
+ */
+function readTiers() {
+  return Array.from($qa(".rating-tier-row", $("rider-profile-tiers"))).map(
+    (row) => ({
+      id: row.dataset.id || undefined,
+      emoji: $q(".rating-tier-emoji", row).value,
+      name: $q(".rating-tier-name", row).value,
+      min:
+        row.dataset.id === "poor"
+          ? 0
+          : parseNumericInput($q(".rating-tier-min", row).value, NaN),
+      color: $q(".rating-tier-color", row).value,
+    }),
+  );
+}
+
+/**
+ * Add an empty extra tier above the lowest one
+ */
+function handleAddTier() {
+  const tiers = readTiers();
+  tiers.splice(tiers.length - 1, 0, {
+    id: "",
+    emoji: "",
+    name: "",
+    min: NaN,
+    color: NEW_TIER_COLOR,
+  });
+  renderTiers(tiers);
+
+  const rows = $qa(".rating-tier-row", $("rider-profile-tiers"));
+  $q(".rating-tier-name", rows[rows.length - 2])?.focus();
+}
+
+/**
+ * Disable "Add Tier" once the profile has as many tiers as allowed
+ */
+function updateAddTierButton() {
+  const button = $("add-rating-tier-btn");
+  if (!button) return;
+
+  button.disabled =
+    $qa(".rating-tier-row", $("rider-profile-tiers")).length >=
+    CONFIG.riderProfiles.maxRatingTiers;
+}
+
+/**
+ * Show the efficiency field only for a custom bike
+ */
+function updateEfficiencyField() {
+  toggleHidden(
+    "rider-profile-efficiency-field",
+    $("rider-profile-bike").value === "custom",
+  );
+}
+
+/**
+ * Close the editor without saving
+ */
+function closeEditor() {
+  editingId = null;
+  toggleHidden("rider-profile-editor", false);
+}
+
+/**
+ * Read the editor into a profile
+ * Blank numbers read as NaN so validation rejects them.
+ *
+ * @returns {Object}
+ */
+function readEditor() {
+  const number = (id) => parseNumericInput($(id).value, NaN);
+
+  return {
+    id: editingId || undefined,
+    name: $("rider-profile-name").value,
+    bikeModel: $("rider-profile-bike").value,
+    customEfficiency: number("rider-profile-efficiency"),
+    petrolGrade: $("rider-profile-petrol-grade").value,
+    petrolPrice: number("rider-profile-petrol-price"),
+    homeBase: $("rider-profile-home-base").value,
+    targetRate: number("rider-profile-target"),
+    ratingTiers: readTiers(),
+    deductionProfileId: $("rider-profile-deductions").value || null,
+  };
+}
+
+/**
+ * Save the profile in the editor
+ * A new profile becomes the active one; saving the active profile updates
+ * the form to match.
+ */
+function handleSave() {
+  const previous = getActiveRiderProfile();
+
+  try {
+    let saved = saveRiderProfile(readEditor());
+    if (!editingId) saved = setActiveRiderProfile(saved.id);
+
+    closeEditor();
+    renderSwitcher();
+    renderDeductionProfiles();
+    if (saved.id === getActiveRiderProfile().id) {
+      onChangeCallback?.(saved, previous);
+    }
+    showHint("rider-profile-hint", `Saved "${saved.name}"`, "success");
+  } catch (error) {
+    showHint("rider-profile-hint", error.message, "error");
+  }
+}
+
+/**
+ * Delete the active profile after confirmation
+ */
+function handleDelete() {
+  const profile = getActiveRiderProfile();
+  if (!confirm(`Delete the "${profile.name}" rider profile?`)) return;
+
+  try {
+    const active = deleteRiderProfile(profile.id);
+    closeEditor();
+    renderSwitcher();
+    renderDeductionProfiles();
+    onChangeCallback?.(active, profile);
+    showHint(
+      "rider-profile-hint",
+      `Deleted "${profile.name}". Now using "${active.name}".`,
+    );
+  } catch (error) {
+    showHint("rider-profile-hint", error.message, "error");
+  }
+}
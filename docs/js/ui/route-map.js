@@ -0,0 +1,228 @@
+/**
+ * Route Map
+ * Map preview of an analysed route: each leg drawn over OneMap tiles,
+ * coloured by whether OneMap routed it or it was estimated
+ * @module ui/route-map
+ */
+
+import { CONFIG } from "../config.js";
+import { escapeHtml } from "../utils/dom.js";
+
+/**
+ * Map size and padding around the route (SVG user units)
+ */
+const MAP = {
+  width: 600,
+  height: 360,
+  padding: 36,
+};
+
+/**
+ * Create the route map for a calculated route
+ * Routed legs follow the road geometry OneMap returned; estimated legs
+ * are drawn as straight dashed segments.
+ *
+ * @param {import('../services/routing.js').FullRoute} route
+ * @returns {HTMLElement|null} Null without coordinates to plot
+ */
+export function createRouteMap(route) {
+  const points = route.coordinates || [];
+  if (points.length < 2) return null;
+
+  const paths = route.legs.map((leg, index) =>
+    leg.geometry?.length >= 2
+      ? leg.geometry
+      : [points[index], points[index + 1]],
+  );
+
+  const zoom = fitZoom([...points, ...paths.flat()]);
+  const project = createProjection([...points, ...paths.flat()], zoom);
+
+  const legLines = route.legs
+    .map((leg, index) => {
+      const line = paths[index]
+        .map((point) => {
+          const { x, y } = project(point);
+          return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(" ");
+      return `
+        <polyline points="${line}"
+          class="route-map-leg ${leg.isEstimate ? "estimated" : "routed"}">
+          <title>${escapeHtml(describeLeg(leg, index))}</title>
+        </polyline>
+      `;
+    })
+    .join("");
+
+  // Draw markers last so they sit on top of the legs
+  const markers = points
+    .map((point, index) => {
+      const { x, y } = project(point);
+      const marker = describeMarker(index);
+      return `
+        <g class="route-map-marker ${marker.className}"
+          transform="translate(${x.toFixed(1)} ${y.toFixed(1)})">
+          <title>${escapeHtml(
+            `${marker.title}: ${point.address || ""}`,
+          )}</title>
+          <circle r="11" />
+          <text text-anchor="middle" dy="4">${marker.label}</text>
+        </g>
+      `;
+    })
+    .join("");
+
+  const container = document.createElement("div");
+  container.className = "route-map";
+  container.innerHTML = `
+    <svg class="route-map-svg" viewBox="0 0 ${MAP.width} ${MAP.height}"
+      role="img" aria-label="Map of the route">
+      ${createTiles(project, zoom)}
+      ${legLines}
+      ${markers}
+    </svg>
+    <div class="route-map-legend">
+      <span><b>Y</b> You · <b>P</b> Pickup · <b>1, 2…</b> Deliveries</span>
+      <span><i class="route-map-key routed"></i> OneMap route</span>
+      <span><i class="route-map-key estimated"></i> Estimated (straight line)</span>
+      <span class="route-map-attribution">${escapeHtml(
+        CONFIG.routeMap.attribution,
+      )}</span>
+    </div>
+  `;
+
+  return container;
+}
+
+/**
+ * Marker label and style for a point on the route
+ * Delivery stops are numbered like the route breakdown.
+ *
+ * @param {number} index - 0 is the current location, 1 the pickup
+ * @returns {{label: string, title: string, className: string}}
+ */
+function describeMarker(index) {
+  if (index === 0) {
+    return { label: "Y", title: "You", className: "marker-current" };
+  }
+  if (index === 1) {
+    return { label: "P", title: "Pickup", className: "marker-pickup" };
+  }
+  return {
+    label: String(index - 1),
+    title: `Delivery ${index - 1}`,
+    className: "marker-stop",
+  };
+}
+
+/**
+ * Tooltip for a leg
+ * @param {import('../services/routing.js').RouteLeg} leg
+ * @param {number} index
+ * @returns {string}
+ */
+function describeLeg(leg, index) {
+  const label = index === 0 ? "To pickup" : `To delivery ${index}`;
+  return `${label}: ${leg.distanceKm.toFixed(1)} km, ${Math.round(
+    leg.timeMinutes,
+  )} min${leg.isEstimate ? " (estimated)" : ""}`;
+}
+
+/**
+ * Web Mercator pixel position at a zoom level
+ *
+ * @param {{lat: number, lng: number}} point
+ * @param {number} zoom
+ * @returns {{x: number, y: number}}
+ */
+function toWorldPixels({ lat, lng }, zoom) {
+  const scale = CONFIG.routeMap.tileSize * 2 ** zoom;
+  const sinLat = Math.sin((lat * Math.PI) / 180);
+
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * Closest zoom level that fits every point inside the padding
+ *
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {number}
+ */
+function fitZoom(points) {
+  const { minZoom, maxZoom } = CONFIG.routeMap;
+
+  for (let zoom = maxZoom; zoom > minZoom; zoom--) {
+    const pixels = points.map((point) => toWorldPixels(point, zoom));
+    const xs = pixels.map((p) => p.x);
+    const ys = pixels.map((p) => p.y);
+    const fitsWidth =
+      Math.max(...xs) - Math.min(...xs) <= MAP.width - 2 * MAP.padding;
+    const fitsHeight =
+      Math.max(...ys) - Math.min(...ys) <= MAP.height - 2 * MAP.padding;
+    if (fitsWidth && fitsHeight) return zoom;
+  }
+  return minZoom;
+}
+
+/**
+ * Projection from coordinates to map position, centred on the points
+ *
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} zoom
+ * @returns {Function} (point) => {x, y}, with `origin` in world pixels
+ */
+function createProjection(points, zoom) {
+  const pixels = points.map((point) => toWorldPixels(point, zoom));
+  const xs = pixels.map((p) => p.x);
+  const ys = pixels.map((p) => p.y);
+
+  const origin = {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2 - MAP.width / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2 - MAP.height / 2,
+  };
+
+  const project = (point) => {
+    const { x, y } = toWorldPixels(point, zoom);
+    return { x: x - origin.x, y: y - origin.y };
+  };
+  project.origin = origin;
+  return project;
+}
+
+/**
+ * Basemap tiles covering the map
+ * Without a connection the tiles don't load and the route shows on its own.
+ *
+ * @param {Function} project - From createProjection()
+ * @param {number} zoom
+ * @returns {string} SVG markup
+ */
+function createTiles(project, zoom) {
+  const { tileUrl, tileSize } = CONFIG.routeMap;
+  const { origin } = project;
+
+  const firstX = Math.floor(origin.x / tileSize);
+  const lastX = Math.floor((origin.x + MAP.width) / tileSize);
+  const firstY = Math.floor(origin.y / tileSize);
+  const lastY = Math.floor((origin.y + MAP.height) / tileSize);
+
+  const tiles = [];
+  for (let x = firstX; x <= lastX; x++) {
+    for (let y = firstY; y <= lastY; y++) {
+      const href = tileUrl
+        .replace("{z}", zoom)
+        .replace("{x}", x)
+        .replace("{y}", y);
+      tiles.push(`
+        <image href="${href}" width="${tileSize}" height="${tileSize}"
+          x="${x * tileSize - origin.x}" y="${y * tileSize - origin.y}" />
+      `);
+    }
+  }
+
+  return `<g class="route-map-tiles">${tiles.join("")}</g>`;
+}
@@ -0,0 +1,190 @@
+/**
+ * Routing Provider Settings
+ * Order, on/off switches and testing for the routing providers, and the
+ * address of a self-hosted route server
+ * @module ui/routing-providers
+ */
+
+import { CONFIG } from "../config.js";
+import {
+  getRoutingSettings,
+  saveRoutingSettings,
+  testRoutingProvider,
+} from "../services/routing.js";
+import { getValidToken } from "../api/onemap.js";
+import { $, $q, $qa, showHint, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Initialize the routing provider settings
+ * Saved as soon as anything changes, since providers apply to every route.
+ */
+export function initRoutingProviders() {
+  const container = $("routing-providers");
+  if (!container) return;
+
+  const settings = getRoutingSettings();
+  $("route-server-format").innerHTML = Object.entries(
+    CONFIG.routing.serverFormats,
+  )
+    .map(
+      ([key, format]) =>
+        `<option value="${key}">${escapeHtml(format.label)}</option>`,
+    )
+    .join("");
+  $("route-server-format").value = settings.server.format;
+  $("route-server-url").value = settings.server.url;
+  renderProviders(settings.providers);
+  showSummary();
+
+  container.addEventListener("change", handleChange);
+  container.addEventListener("click", (e) => {
+    const move = e.target.closest(".btn-move-provider");
+    if (move) {
+      moveProvider(
+        move.closest(".routing-provider-row"),
+        Number(move.dataset.direction),
+      );
+      return;
+    }
+
+    const test = e.target.closest(".btn-test-provider");
+    if (test) handleTest(test.closest(".routing-provider-row").dataset.id);
+  });
+
+  $("route-server-url").addEventListener("change", handleChange);
+  $("route-server-format").addEventListener("change", handleChange);
+
+  // Enter saves the address instead of submitting the calculator form
+  $("route-server-url").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleChange();
+    }
+  });
+}
+
+/**
+ * Render a row for each provider, in the order they're tried
+ *
+ * @param {Array<{id: string, enabled: boolean}>} providers
+ */
+function renderProviders(providers) {
+  $("routing-providers").innerHTML = providers
+    .map(({ id, enabled }, index) => {
+      const { label, icon } = CONFIG.routing.providers[id];
+
+      return `
+        <div class="routing-provider-row" data-id="${id}">
+          <label class="routing-provider-toggle">
+            <input type="checkbox" ${enabled ? "checked" : ""} />
+            ${icon} ${escapeHtml(label)}
+          </label>
+          <button type="button" class="btn-move-provider" data-direction="-1"
+            title="Try earlier" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button type="button" class="btn-move-provider" data-direction="1"
+            title="Try later" ${
+              index === providers.length - 1 ? "disabled" : ""
+            }>↓</button>
+          <button type="button" class="btn-secondary btn-test-provider">
+            Test
+          </button>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Read the settings from the form
+ * @returns {import('../services/routing.js').RoutingSettings}
+ */
+function readSettings() {
+  return {
+    providers: Array.from(
+      $qa(".routing-provider-row", $("routing-providers")),
+    ).map((row) => ({
+      id: row.dataset.id,
+      enabled: $q("input[type=checkbox]", row).checked,
+    })),
+    server: {
+      url: $("route-server-url").value,
+      format: $("route-server-format").value,
+    },
+  };
+}
+
+/**
+ * Validate and save after any change
+ */
+function handleChange() {
+  try {
+    saveRoutingSettings(readSettings());
+    showSummary();
+  } catch (error) {
+    showHint("routing-provider-hint", error.message, "error");
+  }
+}
+
+/**
+ * Swap a provider with the one above or below it
+ *
+ * @param {HTMLElement} row
+ * @param {number} direction - -1 for earlier, 1 for later
+ */
+function moveProvider(row, direction) {
+  const providers = readSettings().providers;
+  const from = providers.findIndex(
+    (provider) => provider.id === row.dataset.id,
+  );
+  const to = from + direction;
+  if (to < 0 || to >= providers.length) return;
+
+  [providers[from], providers[to]] = [providers[to], providers[from]];
+  renderProviders(providers);
+  handleChange();
+}
+
+/**
+ * Route the test journey with one provider and show how it went
+ * Uses what's in the form, so a server can be checked before switching it on.
+ *
+ * @param {string} id - Provider ID
+ */
+async function handleTest(id) {
+  const { label, icon } = CONFIG.routing.providers[id];
+  showHint("routing-provider-hint", `Testing ${label}...`);
+
+  try {
+    const token = id === "onemap" ? await getValidToken() : null;
+    const route = await testRoutingProvider(id, readSettings(), token);
+    showHint(
+      "routing-provider-hint",
+      `${icon} ${label} works: Raffles Place to Woodlands is ${route.distanceKm.toFixed(
+        1,
+      )} km, ${Math.round(route.timeMinutes)} min before traffic.`,
+      "success",
+    );
+  } catch (error) {
+    showHint(
+      "routing-provider-hint",
+      `${label} didn't route: ${error.message}`,
+      "error",
+    );
+  }
+}
+
+/**
+ * Say which providers are tried, in order
+ */
+function showSummary() {
+  const chain = getRoutingSettings()
+    .providers.filter((provider) => provider.enabled)
+    .map(({ id }) => CONFIG.routing.providers[id].label);
+
+  showHint(
+    "routing-provider-hint",
+    chain.length === 0
+      ? "No providers switched on, so every distance is estimated from a straight line."
+      : `Trying ${chain.join(", then ")}, then a straight-line estimate.`,
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * Stop Order Display
+ * Renders the optimised delivery order beside the route breakdown
+ * @module ui/stop-optimizer
+ */
+
+import {
+  formatCurrency,
+  formatDistance,
+  formatDuration,
+  formatProfitPerHour,
+  formatAddress,
+} from "../utils/format.js";
+import { $q, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Create the stop order panel
+ *
+ * @param {Object} comparison - Result of compareStopOrders()
+ * @param {GeocodedLocation[]} stops - Stops in typed order
+ * @param {Object} handlers
+ * @param {Function} [handlers.onApply] - Called with the best order; omit to hide the button
+ * @returns {HTMLElement}
+ */
+export function createStopOrderPanel(comparison, stops, { onApply } = {}) {
+  const panel = document.createElement("div");
+  panel.className = "stop-order-panel";
+
+  if (comparison.isAlreadyBest) {
+    panel.innerHTML = `
+      <div class="stop-order-title">✅ Your stop order is already the fastest</div>
+      ${createMethodNote(comparison)}
+    `;
+    return panel;
+  }
+
+  const { typed, best } = comparison;
+  const pinned = new Set(comparison.pinned);
+
+  panel.innerHTML = `
+    <div class="stop-order-title">🔀 Faster stop order</div>
+    <ol class="stop-order-list">
+      ${best.order
+        .map(
+          (stopIndex) => `
+        <li>
+          ${escapeHtml(formatAddress(stops[stopIndex].address, 36))}
+          <span class="stop-order-typed">(stop ${stopIndex + 1}${
+            pinned.has(stopIndex) ? " 📌" : ""
+          })</span>
+        </li>`,
+        )
+        .join("")}
+    </ol>
+    <div class="stop-order-savings">
+      <div>
+        <span class="savings-label">Saves</span>
+        <span class="savings-value">${formatDuration(
+          comparison.minutesSaved,
+        )} · ${describeDistanceChange(comparison.distanceSavedKm)}</span>
+      </div>
+      <div>
+        <span class="savings-label">$/hour</span>
+        <span class="savings-value">${formatProfitPerHour(
+          typed.profitability.profitPerHour,
+        )} → ${formatProfitPerHour(best.profitability.profitPerHour)}
+          <strong class="positive">(+${formatCurrency(
+            comparison.profitPerHourGain,
+          )}/hr)</strong></span>
+      </div>
+    </div>
+    ${createMethodNote(comparison)}
+    ${
+      onApply
+        ? `<button type="button" class="btn-secondary btn-apply-stop-order">Use this order</button>`
+        : ""
+    }
+  `;
+
+  $q(".btn-apply-stop-order", panel)?.addEventListener("click", () =>
+    onApply(best.order),
+  );
+
+  return panel;
+}
+
+/**
+ * Describe a distance saving, which can be negative when the fastest
+ * order covers slightly more road
+ *
+ * @param {number} savedKm
+ * @returns {string}
+ */
+function describeDistanceChange(savedKm) {
+  if (savedKm >= 0.05) return `${formatDistance(savedKm)} shorter`;
+  if (savedKm <= -0.05) return `${formatDistance(-savedKm)} longer`;
+  return "same distance";
+}
+
+/**
+ * Explain how the order was found
+ *
+ * @param {Object} comparison
+ * @returns {string} HTML
+ */
+function createMethodNote(comparison) {
+  const pins =
+    comparison.pinned.length > 0
+      ? ` with ${comparison.pinned.length} pinned stop${
+          comparison.pinned.length > 1 ? "s" : ""
+        } kept in place`
+      : "";
+  const estimates = comparison.hasEstimates
+    ? " Some distances are estimated."
+    : "";
+
+  return `<div class="stop-order-note">Every possible order was checked${pins}.${estimates}</div>`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Required Fare Display
+ * Renders the "What fare do I need?" result for a route and target rate
+ * @module ui/target-fare
+ */
+
+import { createMetricCard } from "./components.js";
+import {
+  formatCurrency,
+  formatDuration,
+  formatProfitPerHour,
+} from "../utils/format.js";
+import { CONFIG, PROFIT_THRESHOLDS } from "../config.js";
+import { calculateMinimumFare } from "../services/profitability.js";
+import { $, toggleHidden, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Render the required fare for a route
+ *
+ * @param {Object} target - Result of calculateRequiredFare()
+ * @param {Object} handlers
+ * @param {Function} handlers.onViewDetails - Show the full breakdown at this fare
+ */
+export function renderTargetFare(target, handlers) {
+  const container = $("results-container");
+  if (!container) return;
+
+  container.innerHTML = "";
+  toggleHidden(container, true);
+
+  container.appendChild(createTargetHeader(target));
+  if (!target.isReachable) {
+    container.appendChild(createOutOfReachWarning(target));
+  }
+  container.appendChild(createTargetMetrics(target.profitability));
+  container.appendChild(createRatingLadder(target.profitability));
+
+  const detailsButton = document.createElement("button");
+  detailsButton.type = "button";
+  detailsButton.className = "btn-secondary btn-view-details";
+  detailsButton.textContent = "View full breakdown at this fare";
+  detailsButton.addEventListener("click", handlers.onViewDetails);
+  container.appendChild(detailsButton);
+
+  container.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Create the header showing the required fare
+ *
+ * @param {Object} target
+ * @returns {HTMLElement}
+ */
+function createTargetHeader(target) {
+  const { rating } = target.profitability;
+  const threshold = PROFIT_THRESHOLDS[rating];
+
+  const header = document.createElement("div");
+  header.className = `rating-header rating-${rating}`;
+  header.innerHTML = `
+    <div class="rating-emoji">🎯</div>
+    <div class="rating-content">
+      <div class="rating-label">Minimum fare for ${formatProfitPerHour(
+        target.targetHourlyRate,
+      )}</div>
+      <div class="rating-value">${formatCurrency(target.fare)}</div>
+    </div>
+  `;
+  header.style.borderLeftColor = threshold.color;
+
+  return header;
+}
+
+/**
+ * Create the warning for a fare above any order's
+ *
+ * @param {Object} target
+ * @returns {HTMLElement}
+ */
+function createOutOfReachWarning(target) {
+  const warning = document.createElement("div");
+  warning.className = "estimate-warning";
+  warning.innerHTML = `
+    <span class="warning-icon">⚠️</span>
+    No order up to ${formatCurrency(
+      CONFIG.limits.maxFare,
+    )} reaches ${formatProfitPerHour(
+      target.targetHourlyRate,
+    )} on this route. Try a lower target or a shorter route.
+  `;
+  return warning;
+}
+
+/**
+ * Create the grid explaining where the fare goes
+ *
+ * @param {Object} profitability - Profitability at the required fare
+ * @returns {HTMLElement}
+ */
+function createTargetMetrics(profitability) {
+  const grid = document.createElement("div");
+  grid.className = "metrics-grid";
+
+  const { fareBreakdown } = profitability;
+
+  const metrics = [
+    {
+      label: "You Keep",
+      value: formatCurrency(profitability.netProfit),
+      subtext: "After deductions and fuel",
+      icon: "💰",
+      className: "positive",
+    },
+    {
+      label: "Lalamove Deductions",
+      value: formatCurrency(fareBreakdown.totalDeductions),
+      subtext: `Net fare ${formatCurrency(fareBreakdown.netFare)}`,
+      icon: "🏢",
+    },
+    {
+      label: "Fuel Cost",
+      value: formatCurrency(profitability.fuelCost),
+      icon: "⛽",
+    },
+    {
+      label: "Total Time",
+      value: formatDuration(profitability.totalTimeMinutes),
+      subtext: "Travel + waiting",
+      icon: "⏱️",
+    },
+  ];
+
+  metrics.forEach((metric) => grid.appendChild(createMetricCard(metric)));
+
+  return grid;
+}
+
+/**
+ * Create the table of fares needed for each rating band
+ *
+ * @param {Object} profitability - Profitability at the required fare
+ * @returns {HTMLElement}
+ */
+function createRatingLadder(profitability) {
+  const section = document.createElement("div");
+  section.className = "results-section";
+
+  const rows = Object.entries(PROFIT_THRESHOLDS)
+    .map(([key, threshold]) => {
+      const fare = calculateMinimumFare(
+        profitability.fuelCost,
+        profitability.totalTimeMinutes,
+        threshold.min,
+        profitability.fareBreakdown.deductionProfile,
+      );
+      const label =
+        threshold.min > 0 ? escapeHtml(threshold.label) : "⚖️ Break even";
+
+      return `
+        <tr class="rating-${key}">
+          <td>${label}</td>
+          <td>${formatProfitPerHour(threshold.min)}</td>
+          <td class="rate">${formatCurrency(fare)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  section.innerHTML = `
+    <h3>📶 Fare for Each Rating</h3>
+    <table class="comparison-table">
+      <thead>
+        <tr>
+          <th>Rating</th>
+          <th>From</th>
+          <th>Fare needed</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  return section;
+}
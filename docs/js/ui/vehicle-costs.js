@@ -0,0 +1,137 @@
+/**
+ * Ownership Cost Settings
+ * Inputs for the rider's vehicle costs beyond fuel
+ * @module ui/vehicle-costs
+ */
+
+import { CONFIG } from "../config.js";
+import {
+  getVehicleCostSettings,
+  saveVehicleCostSettings,
+  calculateVehicleCostRates,
+} from "../services/vehicle-cost.js";
+import {
+  validateVehicleCostSettings,
+  parseNumericInput,
+} from "../utils/validation.js";
+import { formatCurrency, formatCostPerKm } from "../utils/format.js";
+import { $, $q, $qa, showHint } from "../utils/dom.js";
+
+/**
+ * Initialize the ownership cost inputs
+ * Saved as soon as they change, since they apply to every calculation.
+ */
+export function initVehicleCosts() {
+  const container = $("vehicle-costs");
+  const hoursInput = $("vehicle-hours-per-week");
+  if (!container || !hoursInput) return;
+
+  const settings = getVehicleCostSettings();
+  hoursInput.value = settings.hoursPerWeek;
+  hoursInput.max = CONFIG.vehicleCosts.maxHoursPerWeek;
+
+  container.innerHTML = Object.entries(CONFIG.vehicleCosts.items)
+    .map(([key, item]) =>
+      createCostRow(key, item, settings.items[key] || { cost: 0, span: 0 }),
+    )
+    .join("");
+
+  $qa("input", container).forEach((input) => {
+    input.addEventListener("change", handleChange);
+  });
+  hoursInput.addEventListener("change", handleChange);
+
+  showRates();
+}
+
+/**
+ * Create the inputs for one cost
+ *
+ * @param {string} key
+ * @param {Object} item - Entry from CONFIG.vehicleCosts.items
+ * @param {{cost: number, span: number}} values
+ * @returns {string} HTML
+ */
+function createCostRow(key, item, values) {
+  return `
+    <div class="vehicle-cost-row" data-item="${key}">
+      <span class="vehicle-cost-name">${item.icon} ${item.label}</span>
+      <input
+        type="number"
+        class="vehicle-cost-input"
+        data-field="cost"
+        aria-label="${item.label}: ${item.costLabel}"
+        placeholder="${item.costLabel}"
+        step="0.01"
+        min="0"
+        value="${values.cost || ""}"
+      />
+      ${
+        item.spanLabel
+          ? `<input
+              type="number"
+              class="vehicle-cost-input"
+              data-field="span"
+              aria-label="${item.label}: ${item.spanLabel}"
+              placeholder="${item.spanLabel}"
+              step="any"
+              min="0"
+              value="${values.span || ""}"
+            />`
+          : ""
+      }
+    </div>
+  `;
+}
+
+/**
+ * Read the inputs into settings
+ * Blank fields count as zero.
+ *
+ * @returns {import('../services/vehicle-cost.js').VehicleCostSettings}
+ */
+function readSettings() {
+  const items = {};
+  $qa(".vehicle-cost-row").forEach((row) => {
+    const valueOf = (field) =>
+      parseNumericInput($q(`[data-field="${field}"]`, row)?.value);
+    items[row.dataset.item] = { cost: valueOf("cost"), span: valueOf("span") };
+  });
+
+  return {
+    hoursPerWeek: parseNumericInput($("vehicle-hours-per-week").value, NaN),
+    items,
+  };
+}
+
+/**
+ * Validate and save after any input changes
+ */
+function handleChange() {
+  const settings = readSettings();
+  const validation = validateVehicleCostSettings(settings);
+
+  if (!validation.isValid) {
+    showHint("vehicle-cost-hint", validation.error, "error");
+    return;
+  }
+
+  saveVehicleCostSettings(settings);
+  showRates();
+}
+
+/**
+ * Show the combined per-km and per-hour cost
+ */
+function showRates() {
+  const rates = calculateVehicleCostRates();
+
+  showHint(
+    "vehicle-cost-hint",
+    rates.items.length === 0
+      ? "Add your costs to see true profit after wear and ownership."
+      : `≈ ${formatCostPerKm(rates.perKm)} + ${formatCurrency(
+          rates.perHour,
+        )}/hour on top of fuel`,
+  );
+}
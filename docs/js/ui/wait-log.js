@@ -0,0 +1,111 @@
+/**
+ * Wait Log Panel
+ * Lets the rider log how long each handover actually took, so future
+ * estimates for those addresses learn from it
+ * @module ui/wait-log
+ */
+
+import { CONFIG } from "../config.js";
+import { recordWaitObservation } from "../services/wait-time.js";
+import { showToast } from "../services/sheets.js";
+import { parseNumericInput } from "../utils/validation.js";
+import { $q, $qa, escapeHtml } from "../utils/dom.js";
+
+/**
+ * Create the wait log panel for an analysed order
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @returns {HTMLElement}
+ */
+export function createWaitLogPanel(result) {
+  const { stops } = result.locations;
+  const { maxWaitMinutes } = CONFIG.waitLearning;
+
+  const section = document.createElement("div");
+  section.className = "results-section wait-log-section";
+
+  section.innerHTML = `
+    <h3>📝 Log Actual Waits</h3>
+    <p class="section-hint">
+      After delivering, enter how long each handover took. Estimates for
+      these addresses will learn from it.
+    </p>
+    <div class="wait-log-list">
+      ${stops
+        .map(
+          (stop, index) => `
+        <label class="wait-log-row">
+          <span class="wait-log-stop">
+            ${index + 1}. ${escapeHtml(stop.address || stop.searchTerm || "")}
+          </span>
+          <input
+            type="number"
+            class="wait-log-input"
+            data-stop="${index}"
+            min="0"
+            max="${maxWaitMinutes}"
+            step="1"
+            placeholder="${result.waitTime.breakdown[index]?.minutes ?? ""} min"
+          />
+        </label>
+      `,
+        )
+        .join("")}
+    </div>
+    <button type="button" class="btn-secondary wait-log-save">
+      💾 Save Waits
+    </button>
+  `;
+
+  $q(".wait-log-save", section).addEventListener("click", () =>
+    saveWaits(section, stops),
+  );
+
+  return section;
+}
+
+/**
+ * Record every filled-in wait
+ *
+ * @param {HTMLElement} section
+ * @param {Object[]} stops - Geocoded stops
+ */
+async function saveWaits(section, stops) {
+  const { maxWaitMinutes } = CONFIG.waitLearning;
+  const entries = Array.from($qa(".wait-log-input", section))
+    .filter((input) => input.value.trim() !== "")
+    .map((input) => ({
+      input,
+      stop: stops[Number(input.dataset.stop)],
+      minutes: parseNumericInput(input.value, NaN),
+    }));
+
+  if (entries.length === 0) {
+    showToast("Enter at least one wait time", "error");
+    return;
+  }
+  if (
+    entries.some(
+      ({ minutes }) =>
+        isNaN(minutes) || minutes < 0 || minutes > maxWaitMinutes,
+    )
+  ) {
+    showToast(`Waits must be between 0 and ${maxWaitMinutes} minutes`, "error");
+    return;
+  }
+
+  try {
+    for (const { input, stop, minutes } of entries) {
+      await recordWaitObservation(stop, minutes);
+      input.value = "";
+      input.placeholder = `Logged ${minutes} min`;
+    }
+    showToast(
+      `Saved ${entries.length} wait${entries.length === 1 ? "" : "s"}`,
+      "success",
+    );
+  } catch (error) {
+    console.error("Could not save wait times:", error);
+    showToast("Wait times are unavailable in this browser", "error");
+  }
+}
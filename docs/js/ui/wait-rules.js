@@ -0,0 +1,235 @@
+/**
+ * Busy-Time Wait Rule Settings
+ * Table of the extra minutes added to waits at busy times of day
+ * @module ui/wait-rules
+ */
+
+import { CONFIG, WAIT_TIMES } from "../config.js";
+import {
+  getWaitRules,
+  saveWaitRules,
+  resetWaitRules,
+} from "../services/wait-time.js";
+import { parseNumericInput } from "../utils/validation.js";
+import { $, $q, $qa, showHint, escapeHtml } from "../utils/dom.js";
+
+// Monday first, as riders plan their week
+const DAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+  { day: 0, label: "Sun" },
+];
+
+/**
+ * Initialize the wait rule table
+ * Saved as soon as a rule changes, since rules apply to every calculation.
+ */
+export function initWaitRules() {
+  const container = $("wait-rules");
+  if (!container) return;
+
+  renderRules(getWaitRules());
+  showSummary();
+
+  container.addEventListener("change", handleChange);
+  container.addEventListener("click", (e) => {
+    const row = e.target.closest(".btn-remove-rule")?.closest(".wait-rule-row");
+    if (!row) return;
+    row.remove();
+    updateAddButton();
+    handleChange();
+  });
+
+  // Enter saves the rules instead of submitting the calculator form
+  container.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && e.target.tagName === "INPUT") {
+      e.preventDefault();
+      handleChange();
+    }
+  });
+
+  $("add-wait-rule-btn")?.addEventListener("click", handleAddRule);
+  $("reset-wait-rules-btn")?.addEventListener("click", handleReset);
+}
+
+/**
+ * Render a row for each rule
+ *
+ * @param {Object[]} rules
+ */
+function renderRules(rules) {
+  $("wait-rules").innerHTML = rules.map(createRuleRow).join("");
+  updateAddButton();
+}
+
+/**
+ * Create the inputs for one rule
+ *
+ * @param {import('../services/wait-time.js').WaitRule} rule
+ * @returns {string} HTML
+ */
+function createRuleRow(rule) {
+  const buildingOptions = [
+    ["any", "Any building"],
+    ...Object.entries(WAIT_TIMES).map(([key, wait]) => [key, wait.label]),
+  ]
+    .map(
+      ([key, label]) =>
+        `<option value="${key}" ${
+          key === rule.buildingType ? "selected" : ""
+        }>${escapeHtml(label)}</option>`,
+    )
+    .join("");
+
+  const hourOptions = (from, to, selected) =>
+    Array.from({ length: to - from + 1 }, (_, i) => from + i)
+      .map(
+        (hour) =>
+          `<option value="${hour}" ${
+            hour === selected ? "selected" : ""
+          }>${String(hour).padStart(2, "0")}:00</option>`,
+      )
+      .join("");
+
+  return `
+    <div class="wait-rule-row" data-id="${escapeHtml(rule.id || "")}">
+      <select class="wait-rule-building" aria-label="Building type">
+        ${buildingOptions}
+      </select>
+      <select class="wait-rule-start" aria-label="From">
+        ${hourOptions(0, 23, rule.startHour)}
+      </select>
+      <select class="wait-rule-end" aria-label="Until">
+        ${hourOptions(1, 24, rule.endHour)}
+      </select>
+      <input
+        type="number"
+        class="wait-rule-minutes"
+        aria-label="Extra minutes"
+        step="1"
+        min="1"
+        max="${CONFIG.waitRules.maxExtraMinutes}"
+        inputmode="numeric"
+        value="${Number.isFinite(rule.minutes) ? rule.minutes : ""}"
+      />
+      <button type="button" class="btn-remove-rule" title="Remove rule">✕</button>
+      <input
+        type="text"
+        class="wait-rule-reason"
+        aria-label="Reason"
+        placeholder="Reason, e.g. Peak dining hours"
+        maxlength="${CONFIG.waitRules.maxReasonLength}"
+        value="${escapeHtml(rule.reason || "")}"
+      />
+      <div class="wait-rule-days">
+        ${DAYS.map(
+          ({ day, label }) => `
+            <label class="wait-rule-day">
+              <input type="checkbox" value="${day}" ${
+                rule.days.includes(day) ? "checked" : ""
+              } />
+              ${label}
+            </label>
+          `,
+        ).join("")}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Read the rows into rules
+ * Blank minutes read as NaN so validation rejects them.
+ *
+ * @returns {Object[]}
+ */
+function readRules() {
+  return Array.from($qa(".wait-rule-row", $("wait-rules"))).map((row) => ({
+    id: row.dataset.id || undefined,
+    buildingType: $q(".wait-rule-building", row).value,
+    days: Array.from($qa(".wait-rule-days input:checked", row)).map((input) =>
+      Number(input.value),
+    ),
+    startHour: Number($q(".wait-rule-start", row).value),
+    endHour: Number($q(".wait-rule-end", row).value),
+    minutes: parseNumericInput($q(".wait-rule-minutes", row).value, NaN),
+    reason: $q(".wait-rule-reason", row).value,
+  }));
+}
+
+/**
+ * Validate and save after any rule changes
+ * New rules get their IDs once saved.
+ */
+function handleChange() {
+  try {
+    const saved = saveWaitRules(readRules());
+    $qa(".wait-rule-row", $("wait-rules")).forEach((row, index) => {
+      row.dataset.id = saved[index].id;
+    });
+    showSummary();
+  } catch (error) {
+    showHint("wait-rule-hint", error.message, "error");
+  }
+}
+
+/**
+ * Add a rule for every day, to be filled in
+ */
+function handleAddRule() {
+  renderRules([
+    ...readRules(),
+    {
+      id: "",
+      buildingType: "any",
+      days: DAYS.map(({ day }) => day),
+      startHour: 12,
+      endHour: 14,
+      minutes: 2,
+      reason: "",
+    },
+  ]);
+
+  const rows = $qa(".wait-rule-row", $("wait-rules"));
+  $q(".wait-rule-reason", rows[rows.length - 1])?.focus();
+  showHint("wait-rule-hint", "Give the new rule a reason to save it.");
+}
+
+/**
+ * Go back to the built-in rules after confirmation
+ */
+function handleReset() {
+  if (!confirm("Replace your busy-time wait rules with the defaults?")) return;
+
+  renderRules(resetWaitRules());
+  showSummary();
+}
+
+/**
+ * Disable "Add Rule" once there are as many rules as allowed
+ */
+function updateAddButton() {
+  const button = $("add-wait-rule-btn");
+  if (!button) return;
+
+  button.disabled =
+    $qa(".wait-rule-row", $("wait-rules")).length >= CONFIG.waitRules.maxRules;
+}
+
+/**
+ * Say how many rules are in use
+ */
+function showSummary() {
+  const count = getWaitRules().length;
+
+  showHint(
+    "wait-rule-hint",
+    count === 0
+      ? "No busy-time rules. Waits use the building type and your logged waits only."
+      : `${count} rule${count === 1 ? "" : "s"} in use.`,
+  );
+}
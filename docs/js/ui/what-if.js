@@ -0,0 +1,326 @@
+/**
+ * What-If Panel
+ * Sliders for fare, petrol, traffic and waits with a live $/hour readout
+ * and a chart of $/hour against fare
+ * @module ui/what-if
+ */
+
+import { CONFIG, PROFIT_THRESHOLDS, WAIT_TIMES } from "../config.js";
+import {
+  getBaseScenario,
+  evaluateScenario,
+  getFareRange,
+  buildFareCurve,
+} from "../services/what-if.js";
+import {
+  formatCurrency,
+  formatDuration,
+  formatProfitPerHour,
+} from "../utils/format.js";
+import { $q, $qa, escapeHtml } from "../utils/dom.js";
+
+const TRAFFIC_KEYS = Object.keys(CONFIG.traffic.conditions);
+
+/**
+ * Chart size and padding (SVG user units)
+ */
+const CHART = {
+  width: 320,
+  height: 180,
+  left: 36,
+  right: 44,
+  top: 10,
+  bottom: 24,
+};
+
+/**
+ * Create the what-if panel for an analysed order
+ *
+ * @param {Object} result - Analysis result from analyzeOrder()
+ * @returns {HTMLElement}
+ */
+export function createWhatIfPanel(result) {
+  const base = getBaseScenario(result);
+  const baseProfitability = evaluateScenario(result, base);
+  const fareRange = getFareRange(result);
+  const petrol = CONFIG.whatIf.petrolPrice;
+
+  const section = document.createElement("div");
+  section.className = "results-section what-if-section";
+
+  section.innerHTML = `
+    <h3>🎛️ What If…</h3>
+    <div class="what-if-summary"></div>
+    <div class="what-if-chart"></div>
+    <div class="what-if-controls">
+      ${createSlider({
+        id: "what-if-fare",
+        label: "💵 Fare",
+        field: "fare",
+        min: fareRange.min,
+        max: fareRange.max,
+        step: fareRange.step,
+        value: base.fare,
+      })}
+      ${createSlider({
+        id: "what-if-petrol",
+        label: "⛽ Petrol price",
+        field: "petrolPrice",
+        min: Math.min(petrol.min, base.petrolPrice),
+        max: Math.max(petrol.max, base.petrolPrice),
+        step: petrol.step,
+        value: base.petrolPrice,
+      })}
+      ${createSlider({
+        id: "what-if-traffic",
+        label: "🚦 Traffic",
+        field: "trafficCondition",
+        min: 0,
+        max: TRAFFIC_KEYS.length - 1,
+        step: 1,
+        value: Math.max(0, TRAFFIC_KEYS.indexOf(base.trafficCondition)),
+      })}
+      ${base.stopWaits
+        .map((minutes, index) =>
+          createSlider({
+            id: `what-if-wait-${index}`,
+            label: `⏳ Wait at stop ${index + 1} (${
+              (
+                WAIT_TIMES[result.locations.stops[index]?.buildingType] ||
+                WAIT_TIMES.default
+              ).label
+            })`,
+            field: "stopWait",
+            min: 0,
+            max: Math.max(CONFIG.whatIf.maxStopWaitMinutes, minutes),
+            // Whole minutes, unless an override needs finer steps to fit
+            step: Number.isInteger(minutes) ? 1 : "any",
+            value: minutes,
+          }),
+        )
+        .join("")}
+    </div>
+    <button type="button" class="btn-secondary what-if-reset">
+      ↺ Reset to this job
+    </button>
+  `;
+
+  const update = () => {
+    const scenario = readScenario(section);
+    const profitability = evaluateScenario(result, scenario);
+
+    showSliderValues(section, scenario);
+    $q(".what-if-summary", section).innerHTML = createSummary(
+      profitability,
+      baseProfitability,
+    );
+    $q(".what-if-chart", section).innerHTML = createFareChart(
+      buildFareCurve(result, scenario, fareRange),
+      fareRange,
+      profitability,
+    );
+  };
+
+  $qa("input[type='range']", section).forEach((input) => {
+    input.addEventListener("input", update);
+  });
+
+  $q(".what-if-reset", section).addEventListener("click", () => {
+    $qa("input[type='range']", section).forEach((input) => {
+      input.value = input.dataset.initial;
+    });
+    update();
+  });
+
+  update();
+
+  return section;
+}
+
+/**
+ * Create one labelled range input
+ *
+ * @param {Object} options
+ * @returns {string} HTML
+ */
+function createSlider({ id, label, field, min, max, step, value }) {
+  return `
+    <div class="what-if-control">
+      <label for="${id}">
+        <span>${label}</span>
+        <span class="what-if-value" data-value-for="${id}"></span>
+      </label>
+      <input
+        type="range"
+        id="${id}"
+        data-field="${field}"
+        data-initial="${value}"
+        min="${min}"
+        max="${max}"
+        step="${step}"
+        value="${value}"
+      />
+    </div>
+  `;
+}
+
+/**
+ * Read the sliders into a scenario
+ *
+ * @param {HTMLElement} section
+ * @returns {import('../services/what-if.js').Scenario}
+ */
+function readScenario(section) {
+  const valueOf = (field) =>
+    Number($q(`input[data-field="${field}"]`, section).value);
+
+  return {
+    fare: valueOf("fare"),
+    petrolPrice: valueOf("petrolPrice"),
+    trafficCondition: TRAFFIC_KEYS[valueOf("trafficCondition")],
+    stopWaits: Array.from(
+      $qa('input[data-field="stopWait"]', section),
+      (input) => Number(input.value),
+    ),
+  };
+}
+
+/**
+ * Show each slider's current value beside its label
+ *
+ * @param {HTMLElement} section
+ * @param {Object} scenario
+ */
+function showSliderValues(section, scenario) {
+  const traffic = CONFIG.traffic.conditions[scenario.trafficCondition];
+  const values = {
+    "what-if-fare": formatCurrency(scenario.fare),
+    "what-if-petrol": `${formatCurrency(scenario.petrolPrice)}/L`,
+    "what-if-traffic": `${traffic.icon} ${traffic.label}`,
+  };
+  scenario.stopWaits.forEach((minutes, index) => {
+    values[`what-if-wait-${index}`] = `${minutes} min`;
+  });
+
+  Object.entries(values).forEach(([id, text]) => {
+    const el = $q(`[data-value-for="${id}"]`, section);
+    if (el) el.textContent = text;
+  });
+}
+
+/**
+ * Create the live $/hour readout
+ *
+ * @param {ProfitabilityResult} profitability - Under the current sliders
+ * @param {ProfitabilityResult} baseProfitability - As calculated
+ * @returns {string} HTML
+ */
+function createSummary(profitability, baseProfitability) {
+  const threshold = PROFIT_THRESHOLDS[profitability.rating];
+  const change = profitability.profitPerHour - baseProfitability.profitPerHour;
+  const changeText =
+    Math.abs(change) < 0.005
+      ? "Same as this job"
+      : `${change > 0 ? "+" : "−"}${formatProfitPerHour(
+          Math.abs(change),
+        )} vs this job`;
+
+  return `
+    <div class="what-if-rate" style="color: ${threshold.color}">
+      ${escapeHtml(threshold.emoji)} ${formatProfitPerHour(
+        profitability.profitPerHour,
+      )}
+    </div>
+    <div class="what-if-detail">
+      ${escapeHtml(threshold.name)} ·
+      Net ${formatCurrency(profitability.netProfit)} ·
+      ${formatDuration(profitability.totalTimeMinutes)}
+    </div>
+    <div class="what-if-change">${changeText}</div>
+  `;
+}
+
+/**
+ * Create an SVG chart of $/hour against fare
+ * Threshold lines mark where each rating starts.
+ *
+ * @param {Array<{fare: number, profitPerHour: number}>} curve
+ * @param {{min: number, max: number}} fareRange
+ * @param {ProfitabilityResult} current - Profitability at the slider fare
+ * @returns {string} SVG markup
+ */
+function createFareChart(curve, fareRange, current) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+
+  const rates = curve.map((point) => point.profitPerHour);
+  // Room above the rider's top tier (PROFIT_THRESHOLDS is highest first)
+  const [topTier] = Object.values(PROFIT_THRESHOLDS);
+  const yMin = Math.floor(Math.min(0, ...rates) / 10) * 10;
+  const yMax = Math.ceil(Math.max(topTier.min * 1.25, ...rates) / 10) * 10;
+
+  const x = (fare) =>
+    left +
+    ((fare - fareRange.min) / (fareRange.max - fareRange.min)) * plotWidth;
+  const y = (rate) =>
+    top + (1 - (Math.min(rate, yMax) - yMin) / (yMax - yMin)) * plotHeight;
+
+  const plotRight = width - right;
+  const plotBottom = height - bottom;
+  const zeroY = y(0);
+
+  const thresholds = Object.values(PROFIT_THRESHOLDS)
+    .filter((threshold) => threshold.min > 0)
+    .map((threshold) => {
+      const lineY = y(threshold.min);
+      return `
+        <line x1="${left}" x2="${plotRight}" y1="${lineY}" y2="${lineY}"
+          stroke="${threshold.color}" stroke-dasharray="4 3" />
+        <text x="${plotRight + 4}" y="${lineY + 4}" fill="${threshold.color}"
+          class="chart-label">$${threshold.min}/hr</text>
+      `;
+    })
+    .join("");
+
+  const fareLabels = [
+    fareRange.min,
+    (fareRange.min + fareRange.max) / 2,
+    fareRange.max,
+  ]
+    .map(
+      (fare) => `
+        <text x="${x(fare)}" y="${height - 6}" text-anchor="middle"
+          class="chart-label">$${fare}</text>
+      `,
+    )
+    .join("");
+
+  const line = curve
+    .map((point) => `${x(point.fare)},${y(point.profitPerHour)}`)
+    .join(" ");
+
+  const markerX = x(current.fare);
+  const markerY = y(current.profitPerHour);
+  const markerColor = PROFIT_THRESHOLDS[current.rating].color;
+
+  return `
+    <svg class="fare-chart" viewBox="0 0 ${width} ${height}" role="img"
+      aria-label="Profit per hour against fare">
+      <line x1="${left}" x2="${plotRight}" y1="${zeroY}" y2="${zeroY}"
+        class="chart-axis" />
+      <line x1="${left}" x2="${left}" y1="${top}" y2="${plotBottom}"
+        class="chart-axis" />
+      <text x="${left - 4}" y="${zeroY + 4}" text-anchor="end"
+        class="chart-label">$0</text>
+      <text x="${left - 4}" y="${top + 8}" text-anchor="end"
+        class="chart-label">$${yMax}</text>
+      ${fareLabels}
+      ${thresholds}
+      <polyline points="${line}" class="chart-line" />
+      <line x1="${markerX}" x2="${markerX}" y1="${top}" y2="${plotBottom}"
+        class="chart-marker" />
+      <circle cx="${markerX}" cy="${markerY}" r="5" fill="${markerColor}" />
+    </svg>
+  `;
+}
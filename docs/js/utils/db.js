@@ -0,0 +1,126 @@
+/**
+ * IndexedDB Utilities
+ * Small promise wrapper around the app's IndexedDB database
+ * @module utils/db
+ */
+
+const DB_NAME = "lalamove-calculator";
+
+/**
+ * Object stores and their options
+ * Bump DB_VERSION whenever a store is added so upgrades create it.
+ */
+const DB_VERSION = 3;
+export const STORES = {
+  onemapCache: "onemap-cache",
+  trips: "trips",
+  waitObservations: "wait-observations",
+};
+
+const STORE_OPTIONS = {
+  [STORES.onemapCache]: { keyPath: "key" },
+  [STORES.trips]: { keyPath: "id" },
+  [STORES.waitObservations]: { keyPath: "key" },
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORE_OPTIONS).forEach(([name, options]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options);
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry later if opening failed (e.g. private browsing)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ *
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get one record by key
+ *
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<Object|undefined>}
+ */
+export function dbGet(storeName, key) {
+  return runRequest(storeName, "readonly", (store) => store.get(key));
+}
+
+/**
+ * Get every record in a store
+ *
+ * @param {string} storeName
+ * @returns {Promise<Object[]>}
+ */
+export function dbGetAll(storeName) {
+  return runRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+/**
+ * Insert or replace a record
+ *
+ * @param {string} storeName
+ * @param {Object} value - Must include the store's key path
+ * @returns {Promise<IDBValidKey>}
+ */
+export function dbPut(storeName, value) {
+  return runRequest(storeName, "readwrite", (store) => store.put(value));
+}
+
+/**
+ * Delete a record by key
+ *
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export function dbDelete(storeName, key) {
+  return runRequest(storeName, "readwrite", (store) => store.delete(key));
+}
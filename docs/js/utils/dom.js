@@ -93,3 +93,18 @@ export function createElement(tag, props = {}) {
 
   return el;
 }
+
+/**
+ * Escape text for safe use inside innerHTML templates
+ * Needed wherever user-typed text (notes, addresses) is rendered
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -24,6 +24,20 @@ export function formatCurrency(amount, showCents = true) {
   }).format(amount);
 }
 
+/**
+ * Format a per-km cost, keeping fractions of a cent
+ *
+ * @param {number} amount - SGD per km
+ * @returns {string}
+ */
+export function formatCostPerKm(amount) {
+  if (typeof amount !== "number" || isNaN(amount)) {
+    return "$0.000/km";
+  }
+
+  return `$${amount.toFixed(3)}/km`;
+}
+
 /**
  * Format distance in km
  *
@@ -95,6 +109,20 @@ export function formatPercentage(value, decimals = 1) {
   return `${value.toFixed(decimals)}%`;
 }
 
+/**
+ * Format a fractional rate as a percentage, without trailing zeros
+ *
+ * @param {number} rate - Fraction (e.g., 0.15 for 15%)
+ * @returns {string}
+ */
+export function formatRate(rate) {
+  if (typeof rate !== "number" || isNaN(rate)) {
+    return "0%";
+  }
+
+  return `${Number((rate * 100).toFixed(2))}%`;
+}
+
 /**
  * Format fuel efficiency
  *
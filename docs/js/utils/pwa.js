@@ -0,0 +1,36 @@
+/**
+ * Progressive Web App Utilities
+ * Service worker registration and connectivity helpers
+ * @module utils/pwa
+ */
+
+/**
+ * Register the service worker that makes the app work offline
+ * The worker lives at the site root so it controls every page.
+ */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  const register = () =>
+    navigator.serviceWorker
+      .register("sw.js")
+      .then(() => console.log("✅ Offline support ready"))
+      .catch((error) =>
+        console.warn("Service worker registration failed:", error.message),
+      );
+
+  // Wait for the page to finish loading so precaching doesn't compete with it
+  if (document.readyState === "complete") {
+    register();
+  } else {
+    window.addEventListener("load", register);
+  }
+}
+
+/**
+ * Check whether the browser currently reports a connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return navigator.onLine !== false;
+}
@@ -3,7 +3,7 @@
  * @module utils/validation
  */
 
-import { CONFIG } from "../config.js";
+import { CONFIG, BIKE_MODELS, PETROL_GRADES, WAIT_TIMES } from "../config.js";
 
 /**
  * Validation result object
@@ -63,6 +63,278 @@ export function validateFare(fare) {
   return { isValid: true, error: null };
 }
 
+/**
+ * Validate a target take-home rate
+ *
+ * @param {number|string} rate - $/hour
+ * @returns {ValidationResult}
+ */
+export function validateTargetRate(rate) {
+  const numRate = typeof rate === "string" ? parseFloat(rate) : rate;
+
+  if (isNaN(numRate)) {
+    return { isValid: false, error: "Target rate must be a number" };
+  }
+
+  if (numRate <= 0) {
+    return { isValid: false, error: "Target rate must be positive" };
+  }
+
+  if (numRate > CONFIG.limits.maxTargetRate) {
+    return {
+      isValid: false,
+      error: `Target rate seems too high (max $${CONFIG.limits.maxTargetRate}/hr)`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate the rider's birth year (for CPF age bands)
+ *
+ * @param {number|string} year
+ * @returns {ValidationResult}
+ */
+export function validateBirthYear(year) {
+  const numYear = typeof year === "string" ? Number(year) : year;
+
+  if (!Number.isInteger(numYear)) {
+    return { isValid: false, error: "Birth year must be a whole year" };
+  }
+
+  const latest = new Date().getFullYear() - 15;
+  if (numYear < CONFIG.cpf.minBirthYear || numYear > latest) {
+    return {
+      isValid: false,
+      error: `Birth year must be between ${CONFIG.cpf.minBirthYear} and ${latest}`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate the rider's ownership costs
+ *
+ * @param {import('../services/vehicle-cost.js').VehicleCostSettings} settings
+ * @returns {ValidationResult}
+ */
+export function validateVehicleCostSettings(settings) {
+  const { hoursPerWeek, items } = settings;
+  const { maxHoursPerWeek } = CONFIG.vehicleCosts;
+
+  if (
+    isNaN(hoursPerWeek) ||
+    hoursPerWeek <= 0 ||
+    hoursPerWeek > maxHoursPerWeek
+  ) {
+    return {
+      isValid: false,
+      error: `Hours per week must be between 1 and ${maxHoursPerWeek}`,
+    };
+  }
+
+  for (const [key, item] of Object.entries(CONFIG.vehicleCosts.items)) {
+    const { cost, span } = items[key];
+
+    if (isNaN(cost) || cost < 0 || isNaN(span) || span < 0) {
+      return {
+        isValid: false,
+        error: `${item.label}: amounts can't be negative`,
+      };
+    }
+
+    if (item.spanLabel && cost > 0 && span <= 0) {
+      return {
+        isValid: false,
+        error: `${item.label}: enter how ${
+          item.basis === "distance" ? "many km" : "many years"
+        } it covers`,
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate a fare deduction profile
+ * Rates are fractions of the base fare (0.15 = 15%).
+ *
+ * @param {Object} profile
+ * @returns {ValidationResult}
+ */
+export function validateDeductionProfile(profile) {
+  if (!profile || typeof profile !== "object") {
+    return { isValid: false, error: "Profile is missing" };
+  }
+
+  const name = String(profile.name ?? "").trim();
+  if (!name) {
+    return { isValid: false, error: "Profile name is required" };
+  }
+  if (name.length > 50) {
+    return { isValid: false, error: "Profile name is too long" };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(profile.effectiveFrom ?? "")) {
+    return { isValid: false, error: "Effective date must be YYYY-MM-DD" };
+  }
+
+  const rates = ["commissionRate", "vatRate", "cpfWithholdingRate"];
+  for (const key of rates) {
+    const rate = profile[key];
+    if (typeof rate !== "number" || isNaN(rate) || rate < 0 || rate >= 1) {
+      return { isValid: false, error: "Rates must be between 0% and 100%" };
+    }
+  }
+
+  const totalRate = rates.reduce((sum, key) => sum + profile[key], 0);
+  if (totalRate >= 1) {
+    return { isValid: false, error: "Deductions must add up to under 100%" };
+  }
+
+  const fee = profile.platformFeeOffset;
+  const { maxPlatformFee } = CONFIG.deductionProfiles;
+  if (
+    typeof fee !== "number" ||
+    isNaN(fee) ||
+    fee < 0 ||
+    fee > maxPlatformFee
+  ) {
+    return {
+      isValid: false,
+      error: `Platform fee must be between $0 and $${maxPlatformFee}`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate a rider profile
+ *
+ * @param {Object} profile
+ * @returns {ValidationResult}
+ */
+export function validateRiderProfile(profile) {
+  if (!profile || typeof profile !== "object") {
+    return { isValid: false, error: "Profile is missing" };
+  }
+
+  const name = String(profile.name ?? "").trim();
+  if (!name) {
+    return { isValid: false, error: "Profile name is required" };
+  }
+  if (name.length > 50) {
+    return { isValid: false, error: "Profile name is too long" };
+  }
+
+  if (!BIKE_MODELS.some((bike) => bike.id === profile.bikeModel)) {
+    return { isValid: false, error: "Choose a motorcycle model" };
+  }
+  if (profile.bikeModel === "custom") {
+    const efficiency = validateEfficiency(profile.customEfficiency);
+    if (!efficiency.isValid) return efficiency;
+  }
+
+  if (!PETROL_GRADES.some((grade) => grade.id === profile.petrolGrade)) {
+    return { isValid: false, error: "Choose a petrol grade" };
+  }
+  const petrol = validatePetrolPrice(profile.petrolPrice);
+  if (!petrol.isValid) return petrol;
+
+  if (String(profile.homeBase ?? "").trim().length > 200) {
+    return { isValid: false, error: "Home base is too long" };
+  }
+
+  const target = validateTargetRate(profile.targetRate);
+  if (!target.isValid) return target;
+
+  const tiers = validateRatingTiers(profile.ratingTiers);
+  if (!tiers.isValid) return tiers;
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate a rider's rating tiers
+ * The four built-in tiers must stay in order, with extra tiers anywhere
+ * between or above them.
+ *
+ * @param {Object[]} tiers
+ * @returns {ValidationResult}
+ */
+export function validateRatingTiers(tiers) {
+  const { maxRatingTiers } = CONFIG.riderProfiles;
+  if (!Array.isArray(tiers)) {
+    return { isValid: false, error: "Rating tiers are missing" };
+  }
+  if (tiers.length > maxRatingTiers) {
+    return {
+      isValid: false,
+      error: `Up to ${maxRatingTiers} rating tiers are allowed`,
+    };
+  }
+
+  for (const tier of tiers) {
+    const name = String(tier?.name ?? "").trim();
+    if (!name || name.length > 30) {
+      return {
+        isValid: false,
+        error: "Each rating tier needs a name (up to 30 characters)",
+      };
+    }
+    if (String(tier.emoji ?? "").trim().length > 8) {
+      return { isValid: false, error: `"${name}" emoji is too long` };
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(tier.color ?? "")) {
+      return { isValid: false, error: `"${name}" needs a colour` };
+    }
+    if (typeof tier.min !== "number" || isNaN(tier.min) || tier.min < 0) {
+      return {
+        isValid: false,
+        error: `"${name}" needs a minimum $/hour of 0 or more`,
+      };
+    }
+    if (tier.id === "poor" ? tier.min !== 0 : tier.min <= 0) {
+      return {
+        isValid: false,
+        error:
+          tier.id === "poor"
+            ? `"${name}" is the lowest tier and starts at $0/hr`
+            : `"${name}" must start above $0/hr`,
+      };
+    }
+  }
+
+  const required = CONFIG.riderProfiles.builtInTiers.map((id) =>
+    tiers.find((tier) => tier.id === id),
+  );
+  if (required.some((tier) => !tier)) {
+    return {
+      isValid: false,
+      error: "The four built-in tiers can't be removed",
+    };
+  }
+  if (required.some((tier, i) => i > 0 && tier.min >= required[i - 1].min)) {
+    return {
+      isValid: false,
+      error: `Tiers must go down from ${required
+        .map((tier) => tier.name.trim())
+        .join(" to ")}`,
+    };
+  }
+
+  const mins = tiers.map((tier) => tier.min);
+  if (new Set(mins).size !== mins.length) {
+    return { isValid: false, error: "Each tier needs a different minimum" };
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate petrol price
  *
@@ -139,6 +411,74 @@ export function validateWaitTime(minutes) {
   return { isValid: true, error: null };
 }
 
+/**
+ * Validate the rider's busy-time wait rules
+ * Errors name the rule by its position in the list.
+ *
+ * @param {Object[]} rules
+ * @returns {ValidationResult}
+ */
+export function validateWaitRules(rules) {
+  const { maxRules, maxExtraMinutes, maxReasonLength } = CONFIG.waitRules;
+  if (!Array.isArray(rules)) {
+    return { isValid: false, error: "Wait rules are missing" };
+  }
+  if (rules.length > maxRules) {
+    return {
+      isValid: false,
+      error: `Up to ${maxRules} wait rules are allowed`,
+    };
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+
+    if (rule?.buildingType !== "any" && !WAIT_TIMES[rule?.buildingType]) {
+      return { isValid: false, error: `${label}: choose a building type` };
+    }
+    if (
+      !Array.isArray(rule.days) ||
+      rule.days.length === 0 ||
+      rule.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return { isValid: false, error: `${label}: tick at least one day` };
+    }
+    if (
+      !Number.isInteger(rule.startHour) ||
+      !Number.isInteger(rule.endHour) ||
+      rule.startHour < 0 ||
+      rule.endHour > 24 ||
+      rule.startHour >= rule.endHour
+    ) {
+      return {
+        isValid: false,
+        error: `${label}: the end hour must be after the start hour`,
+      };
+    }
+    if (
+      typeof rule.minutes !== "number" ||
+      isNaN(rule.minutes) ||
+      rule.minutes <= 0 ||
+      rule.minutes > maxExtraMinutes
+    ) {
+      return {
+        isValid: false,
+        error: `${label}: extra minutes must be between 1 and ${maxExtraMinutes}`,
+      };
+    }
+
+    const reason = String(rule.reason ?? "").trim();
+    if (!reason || reason.length > maxReasonLength) {
+      return {
+        isValid: false,
+        error: `${label}: enter a reason (up to ${maxReasonLength} characters)`,
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate entire form data
  *
@@ -154,29 +494,40 @@ export function validateFormData(formData) {
     errors.currentLocation = currentValidation.error;
   }
 
-  // Pickup
-  const pickupValidation = validateAddressInput(formData.pickup);
-  if (!pickupValidation.isValid) {
-    errors.pickup = pickupValidation.error;
-  }
-
-  // At least one stop
-  if (!formData.stops || formData.stops.length === 0) {
-    errors.stops = "At least one delivery stop is required";
+  if (formData.mode === "compare" || formData.mode === "chain") {
+    Object.assign(errors, validateOrders(formData.orders));
   } else {
-    // Validate each stop
-    formData.stops.forEach((stop, index) => {
-      const stopValidation = validateAddressInput(stop);
-      if (!stopValidation.isValid) {
-        errors[`stop_${index}`] = stopValidation.error;
-      }
-    });
-  }
+    // Pickup
+    const pickupValidation = validateAddressInput(formData.pickup);
+    if (!pickupValidation.isValid) {
+      errors.pickup = pickupValidation.error;
+    }
 
-  // Fare
-  const fareValidation = validateFare(formData.fare);
-  if (!fareValidation.isValid) {
-    errors.fare = fareValidation.error;
+    // At least one stop
+    if (!formData.stops || formData.stops.length === 0) {
+      errors.stops = "At least one delivery stop is required";
+    } else {
+      // Validate each stop
+      formData.stops.forEach((stop, index) => {
+        const stopValidation = validateAddressInput(stop);
+        if (!stopValidation.isValid) {
+          errors[`stop_${index}`] = stopValidation.error;
+        }
+      });
+    }
+
+    // Fare, or the target rate when solving for the fare
+    if (formData.mode === "target") {
+      const targetValidation = validateTargetRate(formData.targetRate);
+      if (!targetValidation.isValid) {
+        errors["target-rate"] = targetValidation.error;
+      }
+    } else {
+      const fareValidation = validateFare(formData.fare);
+      if (!fareValidation.isValid) {
+        errors.fare = fareValidation.error;
+      }
+    }
   }
 
   // Petrol price
@@ -199,6 +550,42 @@ export function validateFormData(formData) {
   };
 }
 
+/**
+ * Validate the candidate orders used by multi-order modes
+ * Error keys match the order input names so they can be highlighted
+ *
+ * @param {Array<{pickup: string, stops: string[], fare: number}>} orders
+ * @returns {Object} Errors keyed by input name
+ */
+export function validateOrders(orders = []) {
+  const errors = {};
+  const { minOrders, maxOrders } = CONFIG.limits;
+
+  if (orders.length < minOrders || orders.length > maxOrders) {
+    errors.orders = `Enter between ${minOrders} and ${maxOrders} orders`;
+  }
+
+  orders.forEach((order, index) => {
+    const prefix = `order-${index + 1}`;
+
+    const pickupValidation = validateAddressInput(order.pickup);
+    if (!pickupValidation.isValid) {
+      errors[`${prefix}-pickup`] = pickupValidation.error;
+    }
+
+    if (order.stops.length === 0) {
+      errors[`${prefix}-stop-1`] = "At least one delivery stop is required";
+    }
+
+    const fareValidation = validateFare(order.fare);
+    if (!fareValidation.isValid) {
+      errors[`${prefix}-fare`] = fareValidation.error;
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Parse numeric input safely
  *
@@ -214,3 +601,46 @@ export function parseNumericInput(value, defaultValue = 0) {
   const parsed = parseFloat(value);
   return isNaN(parsed) ? defaultValue : parsed;
 }
+
+/**
+ * Validate routing provider settings
+ * Every provider must be listed once; the route server needs an http(s)
+ * address only while it's switched on.
+ *
+ * @param {Object} settings - {providers: [{id, enabled}], server: {url, format}}
+ * @returns {ValidationResult}
+ */
+export function validateRoutingSettings(settings) {
+  const known = Object.keys(CONFIG.routing.providers);
+  const ids = Array.isArray(settings?.providers)
+    ? settings.providers.map((provider) => provider?.id)
+    : [];
+
+  if (ids.length !== known.length || !known.every((id) => ids.includes(id))) {
+    return { isValid: false, error: "Routing providers are missing" };
+  }
+  if (!CONFIG.routing.serverFormats[settings.server?.format]) {
+    return { isValid: false, error: "Choose the route server's API" };
+  }
+
+  const serverEnabled = settings.providers.some(
+    (provider) => provider.id === "server" && provider.enabled,
+  );
+  const url = String(settings.server.url ?? "").trim();
+  if (serverEnabled || url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return {
+        isValid: false,
+        error: "Enter the route server's address, e.g. http://localhost:5000",
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
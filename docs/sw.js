@@ -0,0 +1,161 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the calculator opens without signal.
+ * OneMap responses are cached separately in IndexedDB (see js/api/cache.js).
+ */
+
+// Bump when the precache list changes so old caches are cleared
+const CACHE_NAME = "lalamove-calc-v21";
+
+// Give up on the network after this long and serve the cached copy
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Every page, stylesheet and module the app needs to start offline
+// (secrets.js is optional, so it is cached at runtime if present)
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "dashboard.html",
+  "guide.html",
+  "history.html",
+  "accuracy.html",
+  "style.css",
+  "manifest.webmanifest",
+  "icon.svg",
+  "js/accuracy.js",
+  "js/api/cache.js",
+  "js/api/onemap.js",
+  "js/api/route-server.js",
+  "js/config.js",
+  "js/dashboard.js",
+  "js/guide.js",
+  "js/history.js",
+  "js/main.js",
+  "js/services/accuracy.js",
+  "js/services/calibration.js",
+  "js/services/chain.js",
+  "js/services/cpf.js",
+  "js/services/deductions.js",
+  "js/services/earnings.js",
+  "js/services/fuel.js",
+  "js/services/geocoding.js",
+  "js/services/history.js",
+  "js/services/job-timer.js",
+  "js/services/order-parser.js",
+  "js/services/profitability.js",
+  "js/services/rider-profiles.js",
+  "js/services/routing.js",
+  "js/services/share-link.js",
+  "js/services/sheets.js",
+  "js/services/stop-optimizer.js",
+  "js/services/traffic.js",
+  "js/services/vehicle-cost.js",
+  "js/services/wait-time.js",
+  "js/services/what-if.js",
+  "js/ui/autocomplete.js",
+  "js/ui/chain.js",
+  "js/ui/comparison.js",
+  "js/ui/components.js",
+  "js/ui/deduction-profiles.js",
+  "js/ui/form.js",
+  "js/ui/job-timer.js",
+  "js/ui/order-import.js",
+  "js/ui/orders.js",
+  "js/ui/results.js",
+  "js/ui/rider-profiles.js",
+  "js/ui/route-map.js",
+  "js/ui/routing-providers.js",
+  "js/ui/stop-optimizer.js",
+  "js/ui/target-fare.js",
+  "js/ui/vehicle-costs.js",
+  "js/ui/wait-log.js",
+  "js/ui/wait-rules.js",
+  "js/ui/what-if.js",
+  "js/utils/db.js",
+  "js/utils/dom.js",
+  "js/utils/format.js",
+  "js/utils/pwa.js",
+  "js/utils/validation.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only handle our own files; API calls go straight to the network
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(networkFirst(request));
+});
+
+/**
+ * Try the network so updates show up straight away, falling back to
+ * the cache when offline or when the connection is too slow
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    // Fall back to the calculator for pages we haven't cached
+    if (request.mode === "navigate") {
+      const shell = await cache.match("index.html");
+      if (shell) return shell;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Fetch with a time limit
+ *
+ * @param {Request} request
+ * @param {number} timeoutMs
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  return fetch(request, { signal: controller.signal }).finally(() =>
+    clearTimeout(timer),
+  );
+}
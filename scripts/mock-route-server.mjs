@@ -0,0 +1,226 @@
+/**
+ * Mock Route Server
+ * Answers OSRM and GraphHopper route requests with made-up but plausible
+ * routes, for trying the calculator's route server provider and its
+ * fallback without a real server. Needs only Node (18+).
+ *
+ *   node scripts/mock-route-server.mjs [--port 5000] [--speed 30]
+ *     [--fail 503] [--delay 0]
+ *
+ * --fail answers every route request with that HTTP status, and --delay
+ * holds each answer for that many ms (over 8000 trips the app's timeout),
+ * to see the next provider take over. --port 0 picks a free port, which
+ * is printed on start.
+ */
+
+import { createServer } from "node:http";
+
+const options = {
+  port: 5000,
+  speed: 30, // km/h
+  fail: 0,
+  delay: 0,
+};
+
+// Road distance vs straight line, matching the app's built-in
+// CONFIG.defaults.roadDistanceFactor
+const ROAD_FACTOR = 1.4;
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  const key = args[i].replace(/^--/, "");
+  const value = Number(args[i + 1]);
+  if (!(key in options) || !Number.isFinite(value)) {
+    console.error(`Unknown option: ${args[i]} ${args[i + 1] ?? ""}`);
+    process.exit(1);
+  }
+  options[key] = value;
+}
+
+/**
+ * Straight-line distance in km (Haversine formula)
+ * @param {{lat: number, lng: number}} start
+ * @param {{lat: number, lng: number}} end
+ * @returns {number}
+ */
+function distanceKm(start, end) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(end.lat - start.lat);
+  const dLng = toRad(end.lng - start.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(start.lat)) *
+      Math.cos(toRad(end.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Encode points as a 5-digit polyline (what both APIs send by default)
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = "";
+
+  const encodeValue = (value) => {
+    let zigzag = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (zigzag >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (zigzag & 0x1f)) + 63);
+      zigzag >>= 5;
+    }
+    return chunk + String.fromCharCode(zigzag + 63);
+  };
+
+  points.forEach(({ lat, lng }) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    encoded +=
+      encodeValue(latE5 - previousLat) + encodeValue(lngE5 - previousLng);
+    previousLat = latE5;
+    previousLng = lngE5;
+  });
+
+  return encoded;
+}
+
+/**
+ * Made-up route between two points
+ * The path bends through a point off the straight line, like a road would.
+ *
+ * @param {{lat: number, lng: number}} start
+ * @param {{lat: number, lng: number}} end
+ * @returns {{meters: number, seconds: number, polyline: string}}
+ */
+function makeRoute(start, end) {
+  const km = distanceKm(start, end) * ROAD_FACTOR;
+  const bend = {
+    lat: (start.lat + end.lat) / 2 + (end.lng - start.lng) * 0.1,
+    lng: (start.lng + end.lng) / 2 - (end.lat - start.lat) * 0.1,
+  };
+
+  return {
+    meters: Math.round(km * 1000),
+    seconds: Math.round((km / options.speed) * 3600),
+    polyline: encodePolyline([start, bend, end]),
+  };
+}
+
+/**
+ * Parse "a,b" into two numbers
+ * @param {string} pair
+ * @returns {number[]|null}
+ */
+function parsePair(pair) {
+  const numbers = String(pair ?? "")
+    .split(",")
+    .map(Number);
+  return numbers.length === 2 && numbers.every(Number.isFinite)
+    ? numbers
+    : null;
+}
+
+/**
+ * Answer an OSRM request: /route/v1/{profile}/{lng},{lat};{lng},{lat}
+ * @param {string[]} coordinates - "lng,lat" pairs
+ * @returns {[number, Object]} Status and body
+ */
+function answerOsrm(coordinates) {
+  const points = coordinates.map(parsePair);
+  if (points.length !== 2 || points.includes(null)) {
+    return [
+      400,
+      { code: "InvalidQuery", message: "Expected two lng,lat pairs" },
+    ];
+  }
+
+  const [start, end] = points.map(([lng, lat]) => ({ lat, lng }));
+  const route = makeRoute(start, end);
+  return [
+    200,
+    {
+      code: "Ok",
+      routes: [
+        {
+          distance: route.meters,
+          duration: route.seconds,
+          geometry: route.polyline,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Answer a GraphHopper request: /route?point=lat,lng&point=lat,lng
+ * @param {string[]} pointParams - "lat,lng" pairs
+ * @returns {[number, Object]} Status and body
+ */
+function answerGraphHopper(pointParams) {
+  const points = pointParams.map(parsePair);
+  if (points.length !== 2 || points.includes(null)) {
+    return [400, { message: "Expected two point=lat,lng parameters" }];
+  }
+
+  const [start, end] = points.map(([lat, lng]) => ({ lat, lng }));
+  const route = makeRoute(start, end);
+  return [
+    200,
+    {
+      paths: [
+        {
+          distance: route.meters,
+          time: route.seconds * 1000,
+          points: route.polyline,
+          points_encoded: true,
+        },
+      ],
+    },
+  ];
+}
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${options.port}`);
+  const send = (status, body) => {
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      // The calculator is served from another origin
+      "Access-Control-Allow-Origin": "*",
+    });
+    response.end(JSON.stringify(body));
+    console.log(`${status} ${request.method} ${url.pathname}${url.search}`);
+  };
+
+  let answer;
+  const osrmMatch = url.pathname.match(/^\/route\/v1\/[^/]+\/([^/]+)$/);
+  if (osrmMatch) {
+    answer = answerOsrm(decodeURIComponent(osrmMatch[1]).split(";"));
+  } else if (url.pathname === "/route") {
+    answer = answerGraphHopper(url.searchParams.getAll("point"));
+  } else {
+    answer = [
+      404,
+      { message: "Try /route/v1/driving/... or /route?point=..." },
+    ];
+  }
+
+  if (options.fail && answer[0] === 200) {
+    answer = [
+      options.fail,
+      { message: `Mock failure (--fail ${options.fail})` },
+    ];
+  }
+
+  setTimeout(() => send(...answer), options.delay);
+});
+
+server.listen(options.port, () => {
+  console.log(
+    `Mock route server on http://localhost:${
+      server.address().port
+    } (OSRM and GraphHopper, ${options.speed} km/h)`,
+  );
+});
@@ -0,0 +1,120 @@
+/**
+ * Platform Workers Act CPF Tests
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/local-storage.mjs";
+import {
+  calculateCpfContribution,
+  getMonthToDate,
+  saveCpfSettings,
+  setCpfEarningsHistory,
+} from "../docs/js/services/cpf.js";
+
+// 2026: 40% of the full rates, and an $8,000 monthly ceiling
+const JOB_TIME = "2026-03-20T10:00:00+08:00";
+const WORKER_RATE = 0.2 * 0.4;
+const PLATFORM_RATE = 0.17 * 0.4;
+const CEILING = 8000;
+
+/**
+ * A worked job in the history
+ * @param {string} time - When it was posted
+ * @param {number} earnings
+ * @returns {import('../docs/js/services/cpf.js').CpfEarningsEntry}
+ */
+function job(time, earnings) {
+  return {
+    time: Date.parse(time),
+    earnings,
+    workerContribution: earnings * WORKER_RATE,
+  };
+}
+
+/**
+ * Assert two amounts match to a fraction of a cent
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertAmount(actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`,
+  );
+}
+
+beforeEach(() => {
+  saveCpfSettings({ birthYear: 2000, optedIn: false });
+  setCpfEarningsHistory([]);
+});
+
+test("month-to-date counts only earlier jobs in the same Singapore month", () => {
+  setCpfEarningsHistory([
+    // 1 March 00:30 in Singapore is still February in UTC
+    job("2026-03-01T00:30:00+08:00", 100),
+    job("2026-03-19T10:00:00+08:00", 200),
+    // Last day of February in Singapore
+    job("2026-02-28T23:30:00+08:00", 400),
+    // After the job
+    job("2026-03-25T10:00:00+08:00", 800),
+  ]);
+
+  const monthToDate = getMonthToDate(JOB_TIME);
+
+  assertAmount(monthToDate.earnings, 300);
+  assertAmount(monthToDate.withholding, 300 * WORKER_RATE);
+});
+
+test("below the ceiling the whole job attracts CPF", () => {
+  setCpfEarningsHistory([job("2026-03-02T10:00:00+08:00", 5000)]);
+
+  const cpf = calculateCpfContribution(40, JOB_TIME);
+
+  assertAmount(cpf.contributableEarnings, 40);
+  assertAmount(cpf.workerContribution, 40 * WORKER_RATE);
+  assertAmount(cpf.platformContribution, 40 * PLATFORM_RATE);
+  assertAmount(cpf.monthToDateEarnings, 5000);
+  assertAmount(cpf.monthToDateWithholding, 5040 * WORKER_RATE);
+});
+
+test("a job crossing the ceiling attracts CPF only up to it", () => {
+  setCpfEarningsHistory([
+    job("2026-03-02T10:00:00+08:00", 5000),
+    job("2026-03-15T10:00:00+08:00", CEILING - 5000 - 15),
+  ]);
+
+  const cpf = calculateCpfContribution(40, JOB_TIME);
+
+  assertAmount(cpf.contributableEarnings, 15);
+  assertAmount(cpf.workerContribution, 15 * WORKER_RATE);
+  assertAmount(cpf.platformContribution, 15 * PLATFORM_RATE);
+  assertAmount(cpf.monthToDateWithholding, CEILING * WORKER_RATE);
+});
+
+test("above the ceiling nothing more is withheld", () => {
+  setCpfEarningsHistory([job("2026-03-02T10:00:00+08:00", CEILING + 500)]);
+
+  const cpf = calculateCpfContribution(40, JOB_TIME);
+
+  assertAmount(cpf.contributableEarnings, 0);
+  assertAmount(cpf.workerContribution, 0);
+  assertAmount(cpf.platformContribution, 0);
+  assertAmount(cpf.monthToDateWithholding, (CEILING + 500) * WORKER_RATE);
+});
+
+test("the ceiling starts again in a new month", () => {
+  setCpfEarningsHistory([job("2026-02-20T10:00:00+08:00", CEILING)]);
+
+  const cpf = calculateCpfContribution(40, JOB_TIME);
+
+  assertAmount(cpf.monthToDateEarnings, 0);
+  assertAmount(cpf.workerContribution, 40 * WORKER_RATE);
+});
+
+test("a rider CPF doesn't cover gets no contribution", () => {
+  saveCpfSettings({ birthYear: 1980, optedIn: false });
+
+  assert.equal(calculateCpfContribution(40, JOB_TIME), null);
+});
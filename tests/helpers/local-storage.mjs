@@ -0,0 +1,14 @@
+/**
+ * In-memory localStorage for tests
+ * Node doesn't have one, and settings (routing providers, CPF, deduction
+ * profiles) are read from it. Import before the app's modules.
+ */
+
+const storage = new Map();
+
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+  clear: () => storage.clear(),
+};
@@ -0,0 +1,26 @@
+/**
+ * Order Text Parser Tests
+ * Run with: node --test tests/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseOrderText } from "../docs/js/services/order-parser.js";
+
+test("a fare label beats a delivery fee listed before it", () => {
+  const order = parseOrderText(
+    [
+      "Pick-up",
+      "Blk 123 Ang Mo Kio Ave 3 Singapore 560123",
+      "Drop-off",
+      "1 Raffles Place Singapore 048616",
+      "Delivery fee S$3",
+      "Fare: $15.00",
+    ].join("\n"),
+  );
+
+  assert.equal(order.fare, 15);
+  assert.equal(order.isFareConfident, true);
+  assert.equal(order.fareType, "regular");
+  assert.equal(order.stops.length, 1);
+});
@@ -0,0 +1,146 @@
+/**
+ * Required Fare Tests
+ * calculateGrossFareForNet() must undo calculateFareBreakdown(), including
+ * when the CPF monthly ceiling cuts in part-way through a fare.
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/local-storage.mjs";
+import { CONFIG } from "../docs/js/config.js";
+import {
+  calculateFareBreakdown,
+  calculateGrossFareForNet,
+  calculateRequiredFare,
+} from "../docs/js/services/profitability.js";
+import {
+  saveCpfSettings,
+  setCpfEarningsHistory,
+} from "../docs/js/services/cpf.js";
+
+const PROFILE = {
+  commissionRate: 0.15,
+  vatRate: 0.09,
+  cpfWithholdingRate: 0,
+  platformFeeOffset: 0.5,
+};
+
+// 2026: 40% of the full rates, so 8% for a rider under 55
+const JOB_TIME = "2026-03-10T10:00:00+08:00";
+const CPF_RATE = 0.08;
+const CEILING = 8000;
+
+/**
+ * Set the rider's earnings earlier in the job's month
+ * @param {number} earnings
+ */
+function setMonthToDate(earnings) {
+  setCpfEarningsHistory([
+    {
+      time: Date.parse("2026-03-02T10:00:00+08:00"),
+      earnings,
+      workerContribution: earnings * CPF_RATE,
+    },
+  ]);
+}
+
+/**
+ * Net fare after deductions for a gross fare
+ * @param {number} grossFare
+ * @returns {number}
+ */
+function netFor(grossFare) {
+  return calculateFareBreakdown(grossFare, PROFILE, JOB_TIME).netFare;
+}
+
+beforeEach(() => {
+  saveCpfSettings({ birthYear: 2000, optedIn: false });
+  setMonthToDate(0);
+});
+
+test("without CPF the gross fare is the closed-form inverse", () => {
+  saveCpfSettings({ birthYear: null, optedIn: false });
+
+  const gross = calculateGrossFareForNet(8, PROFILE, JOB_TIME);
+
+  assert.ok(Math.abs(gross - (8 / 0.76 + 0.5)) < 1e-9);
+  assert.ok(Math.abs(netFor(gross) - 8) < 1e-9);
+});
+
+test("below the CPF ceiling the whole base fare attracts CPF", () => {
+  const gross = calculateGrossFareForNet(20, PROFILE, JOB_TIME);
+
+  assert.ok(Math.abs(gross - (20 / (0.76 - CPF_RATE) + 0.5)) < 1e-9);
+  assert.ok(Math.abs(netFor(gross) - 20) < 1e-9);
+});
+
+test("crossing the CPF ceiling lands between the two straight lines", () => {
+  // $10 of the month's ceiling left, and the fare's base is more than that
+  setMonthToDate(CEILING - 10);
+
+  const gross = calculateGrossFareForNet(20, PROFILE, JOB_TIME);
+
+  assert.ok(Math.abs(netFor(gross) - 20) < 1e-6);
+  assert.ok(gross > 20 / 0.76 + 0.5);
+  assert.ok(gross < 20 / (0.76 - CPF_RATE) + 0.5);
+});
+
+test("above the CPF ceiling no CPF is taken", () => {
+  setMonthToDate(CEILING);
+
+  const gross = calculateGrossFareForNet(20, PROFILE, JOB_TIME);
+
+  assert.ok(Math.abs(gross - (20 / 0.76 + 0.5)) < 1e-9);
+  assert.ok(Math.abs(netFor(gross) - 20) < 1e-9);
+});
+
+test("the bisection converges on a fare that is never short", () => {
+  setMonthToDate(CEILING - 25);
+
+  for (let net = 1; net <= 60; net += 3.7) {
+    const gross = calculateGrossFareForNet(net, PROFILE, JOB_TIME);
+
+    assert.ok(netFor(gross) >= net - 1e-9, `net ${net}`);
+    assert.ok(netFor(gross) - net < 1e-6, `net ${net}`);
+  }
+});
+
+test("the required fare is the cent that first reaches the target", () => {
+  const params = {
+    fuelCost: 0.5,
+    travelMinutes: 20,
+    waitMinutes: 4,
+    pickupWaitMinutes: 6,
+    targetHourlyRate: 15,
+    jobTime: JOB_TIME,
+  };
+
+  const target = calculateRequiredFare(params);
+  const { deductionProfile } = target.profitability.fareBreakdown;
+  const profitPerHourAt = (fare) =>
+    ((calculateFareBreakdown(fare, deductionProfile, JOB_TIME).netFare -
+      params.fuelCost) /
+      30) *
+    60;
+
+  assert.equal(target.isReachable, true);
+  assert.equal(target.fare, Math.round(target.fare * 100) / 100);
+  assert.ok(target.profitability.profitPerHour >= 15 - 1e-9);
+  assert.ok(profitPerHourAt(target.fare) >= 15 - 1e-9);
+  assert.ok(profitPerHourAt(target.fare - 0.01) < 15);
+});
+
+test("a target no order's fare can reach is marked out of reach", () => {
+  const target = calculateRequiredFare({
+    fuelCost: 20,
+    travelMinutes: 600,
+    waitMinutes: 60,
+    pickupWaitMinutes: 6,
+    targetHourlyRate: CONFIG.limits.maxTargetRate,
+    jobTime: JOB_TIME,
+  });
+
+  assert.equal(target.isReachable, false);
+  assert.ok(target.fare > CONFIG.limits.maxFare);
+});
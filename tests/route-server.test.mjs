@@ -0,0 +1,112 @@
+/**
+ * Route Server Tests
+ * Runs scripts/mock-route-server.mjs on a free port and routes through it.
+ * Run with: node --test tests/
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import "./helpers/local-storage.mjs";
+import { requestServerRoute } from "../docs/js/api/route-server.js";
+import { calculateStraightLineDistance } from "../docs/js/api/onemap.js";
+import {
+  calculateMultiStopRoute,
+  saveRoutingSettings,
+} from "../docs/js/services/routing.js";
+
+const MOCK_SERVER = fileURLToPath(
+  new URL("../scripts/mock-route-server.mjs", import.meta.url),
+);
+
+const RAFFLES_PLACE = { lat: 1.2841, lng: 103.8515, address: "Raffles Place" };
+const WOODLANDS = { lat: 1.4369, lng: 103.7864, address: "Woodlands" };
+
+/**
+ * Start the mock server on a free port
+ *
+ * @param {string[]} [args] - Extra mock server options
+ * @returns {Promise<{url: string, process: import('node:child_process').ChildProcess}>}
+ */
+async function startMockServer(args = []) {
+  const server = spawn(process.execPath, [MOCK_SERVER, "--port", "0", ...args]);
+  const [output] = await once(server.stdout, "data");
+  const port = String(output).match(/localhost:(\d+)/)?.[1];
+  assert.ok(port, `Mock server didn't start: ${output}`);
+  return { url: `http://localhost:${port}`, process: server };
+}
+
+/**
+ * Switch on OneMap then the route server, in that order
+ * @param {string} url - Route server address
+ */
+function useServerAfterOneMap(url) {
+  saveRoutingSettings({
+    providers: [
+      { id: "onemap", enabled: true },
+      { id: "server", enabled: true },
+    ],
+    server: { url, format: "osrm" },
+  });
+}
+
+let working;
+let failing;
+
+before(async () => {
+  working = await startMockServer();
+  failing = await startMockServer(["--fail", "503"]);
+});
+
+after(() => {
+  working.process.kill();
+  failing.process.kill();
+});
+
+test("the mock server answers OSRM and GraphHopper requests", async () => {
+  const roadKm = calculateStraightLineDistance(RAFFLES_PLACE, WOODLANDS) * 1.4;
+
+  for (const format of ["osrm", "graphhopper"]) {
+    const route = await requestServerRoute(RAFFLES_PLACE, WOODLANDS, {
+      url: working.url,
+      format,
+    });
+
+    assert.ok(Math.abs(route.distanceKm - roadKm) < 0.01, format);
+    assert.ok(Math.abs(route.timeMinutes - (roadKm / 30) * 60) < 0.1, format);
+    assert.equal(route.geometry.length, 3, format);
+  }
+});
+
+test("a failing server reports its status", async () => {
+  await assert.rejects(
+    requestServerRoute(RAFFLES_PLACE, WOODLANDS, {
+      url: failing.url,
+      format: "osrm",
+    }),
+    { name: "RouteServerError", statusCode: 503 },
+  );
+});
+
+test("a leg OneMap can't route goes to the route server", async () => {
+  // No OneMap token, so OneMap fails first
+  useServerAfterOneMap(working.url);
+
+  const route = await calculateMultiStopRoute([RAFFLES_PLACE, WOODLANDS]);
+
+  assert.equal(route.hasEstimates, false);
+  assert.equal(route.legs[0].provider, "server");
+  assert.equal(route.legs[0].isEstimate, false);
+});
+
+test("a leg no provider can route is estimated", async () => {
+  useServerAfterOneMap(failing.url);
+
+  const route = await calculateMultiStopRoute([RAFFLES_PLACE, WOODLANDS]);
+
+  assert.equal(route.hasEstimates, true);
+  assert.equal(route.legs[0].provider, null);
+  assert.equal(route.legs[0].isEstimate, true);
+});